@@ -0,0 +1,124 @@
+// Regenerates fixtures/candles/BTCUSDT_<timeframe>.json for CANDLE_PROVIDER=fixture:
+//   node fixtures/generateCandles.js
+// One seeded 1m random walk, bridged through approximate BTCUSDT daily closes, aggregated into every
+// timeframe - so the timeframes agree with each other and each one covers the provider's CANDLE_LIMIT.
+const fs = require('fs');
+const path = require('path');
+const { TIMEFRAMES, CANDLE_LIMIT } = require('../services/candleProvider');
+
+const BARS_PER_TIMEFRAME = 500; // More than CANDLE_LIMIT, so fixture mode fetches as many bars as live mode
+const MINUTE = 60 * 1000;
+const TIMEFRAME_MS = { '1m': MINUTE, '15m': 15 * MINUTE, '1h': 60 * MINUTE, '4h': 240 * MINUTE, '12h': 720 * MINUTE, '1d': 1440 * MINUTE };
+const END = Date.UTC(2025, 0, 1); // Last bar of every timeframe closes at 2024-12-31 23:59:59.999
+const MINUTE_VOLATILITY = 0.0008; // ~3% a day
+const OUT_DIR = path.join(__dirname, 'candles');
+
+// Approximate BTCUSDT closes the walk is pinned to - the path between them is random
+const ANCHORS = [
+  ['2023-08-20', 26100],
+  ['2023-09-30', 26970],
+  ['2023-10-31', 34650],
+  ['2023-11-30', 37720],
+  ['2023-12-31', 42280],
+  ['2024-01-31', 42580],
+  ['2024-02-29', 61130],
+  ['2024-03-13', 73070],
+  ['2024-03-31', 71280],
+  ['2024-04-30', 60640],
+  ['2024-05-31', 67530],
+  ['2024-06-30', 62680],
+  ['2024-07-31', 64620],
+  ['2024-08-05', 54020],
+  ['2024-08-31', 58970],
+  ['2024-09-30', 63330],
+  ['2024-10-31', 70290],
+  ['2024-11-30', 96410],
+  ['2024-12-16', 106060],
+  ['2024-12-31', 93430]
+].map(([date, price]) => [Date.parse(`${date}T00:00:00Z`), price]);
+
+// mulberry32 - deterministic so regenerating gives the same files
+function random(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const uniform = random(20241231);
+function gaussian() {
+  return Math.sqrt(-2 * Math.log(1 - uniform())) * Math.cos(2 * Math.PI * uniform());
+}
+
+// Log-price Brownian bridge from one anchor to the next, one value per minute
+function minuteCloses(start) {
+  const closes = [];
+  const anchors = [[start, ANCHORS[0][1]], ...ANCHORS.slice(1, -1), [END - MINUTE, ANCHORS[ANCHORS.length - 1][1]]];
+
+  for (let i = 1; i < anchors.length; i++) {
+    const [fromTime, fromPrice] = anchors[i - 1];
+    const [toTime, toPrice] = anchors[i];
+    const steps = (toTime - fromTime) / MINUTE;
+    const walk = [0];
+    for (let k = 1; k <= steps; k++) walk.push(walk[k - 1] + gaussian() * MINUTE_VOLATILITY);
+
+    const drift = Math.log(toPrice) - Math.log(fromPrice);
+    for (let k = i === 1 ? 0 : 1; k <= steps; k++) {
+      const share = k / steps;
+      closes.push(fromPrice * Math.exp(share * drift + walk[k] - share * walk[steps]));
+    }
+  }
+  return closes;
+}
+
+function minuteCandles() {
+  const start = END - BARS_PER_TIMEFRAME * TIMEFRAME_MS['1d'];
+  const closes = minuteCloses(start);
+
+  return closes.map((close, i) => {
+    const open = i === 0 ? close : closes[i - 1];
+    const wick = () => Math.abs(gaussian()) * MINUTE_VOLATILITY * 0.5;
+    const move = Math.abs(close - open) / open;
+    return {
+      openTime: start + i * MINUTE,
+      open,
+      high: Math.max(open, close) * (1 + wick()),
+      low: Math.min(open, close) * (1 - wick()),
+      close,
+      volume: 14 * Math.exp(gaussian() * 0.6) * (1 + 200 * move)
+    };
+  });
+}
+
+// Binance kline rows: [openTime, "open", "high", "low", "close", "volume", closeTime]
+function aggregate(minutes, timeframe) {
+  const intervalMs = TIMEFRAME_MS[timeframe];
+  const rows = [];
+  for (let openTime = END - BARS_PER_TIMEFRAME * intervalMs; openTime < END; openTime += intervalMs) {
+    const first = (openTime - minutes[0].openTime) / MINUTE;
+    const bars = minutes.slice(first, first + intervalMs / MINUTE);
+    rows.push([
+      openTime,
+      bars[0].open.toFixed(2),
+      Math.max(...bars.map(bar => bar.high)).toFixed(2),
+      Math.min(...bars.map(bar => bar.low)).toFixed(2),
+      bars[bars.length - 1].close.toFixed(2),
+      bars.reduce((sum, bar) => sum + bar.volume, 0).toFixed(3),
+      openTime + intervalMs - 1
+    ]);
+  }
+  return rows;
+}
+
+if (BARS_PER_TIMEFRAME < CANDLE_LIMIT) throw new Error(`Fixtures must cover CANDLE_LIMIT (${CANDLE_LIMIT}) bars`);
+
+const minutes = minuteCandles();
+TIMEFRAMES.forEach(timeframe => {
+  const rows = aggregate(minutes, timeframe);
+  const file = path.join(OUT_DIR, `BTCUSDT_${timeframe}.json`);
+  fs.writeFileSync(file, `[${rows.map(row => JSON.stringify(row)).join(',\n')}]\n`);
+  console.log(`🕯️ ${path.basename(file)}: ${rows.length} candles, last close ${rows[rows.length - 1][4]}`);
+});
@@ -1,7 +1,42 @@
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
-const ti = require('technicalindicators');
+const { evaluateSignal } = require('./services/signals');
+const { computeIndicatorSuite } = require('./services/indicators');
+const { computeLevels } = require('./services/levels');
+const { computeRisk, sizePosition } = require('./services/risk');
+const { DEFAULT_STRATEGY, getStrategy, listStrategies } = require('./services/strategies');
+const {
+  TIMEFRAMES,
+  TIMEFRAME_MS,
+  toExchangeSymbol,
+  getCandleProvider
+} = require('./services/candleProvider');
+const { getCandlesForAllTimeframes, getStoredCandles, ensureHistory } = require('./services/candleStore');
+const { WARMUP_BARS, SIGNAL_WINDOW, runBacktest } = require('./services/backtester');
+const {
+  startScanner,
+  getSnapshot,
+  getAllSnapshots,
+  getScannerStatus
+} = require('./services/scanner');
+const paperTrading = require('./services/paperTrading');
+const notifier = require('./services/notifier');
+const alerts = require('./services/alerts');
+const stream = require('./services/stream');
+const {
+  getLivePrice,
+  mergeLiveCandle,
+  startTickerStream,
+  getTickerStatus
+} = require('./services/tickerStream');
+const { getTelegramTransport } = require('./services/telegram');
+const digest = require('./services/digest');
+const { getAggregatedPrice, getOutlierCounts, getSourceHealth } = require('./services/priceSources');
+const { getBreakerStatuses } = require('./services/circuitBreaker');
+const { isWebPushConfigured, getVapidPublicKey } = require('./services/webPush');
+const { getCoin, getCoins, getCoinIds, getDefaultQuote, getQuotes, getPair, validatePairs } = require('./services/coinRegistry');
+const { getLiveness, getReadiness } = require('./services/health');
+const { formatPrice } = require('./services/priceFormat');
 
 const app = express();
 const port = process.env.PORT || 4000;
@@ -9,27 +44,30 @@ const port = process.env.PORT || 4000;
 app.use(cors());
 app.use(express.json());
 
-// API endpoints
-const COINGECKO_BASE = 'https://api.coingecko.com/api/v3/simple/price';
-const COINDESK_BASE = 'https://api.coindesk.com/v1/bpi/currentprice.json';
-
 // Cache for API results (DISABLED for fresh unique timeframe data)
 const dataCache = new Map();
 const CACHE_DURATION = 0; // DISABLED - force fresh calculation every time
 
+// Stored 1m candle older than this means the store is lagging - fall back to a live price API
+const PRICE_STALE_MS = 2 * 60 * 1000;
+
 // Logging system for signal changes
 const logs = [];
 const MAX_LOGS = 1000;
 
-function logSignalChange(coin, timeframe, oldSignal, newSignal, reason, confidence) {
+// Last computed signal per coin/timeframe, used to detect BUY/SELL/NEUTRAL transitions
+const lastSignals = new Map();
+
+function logSignalChange(coin, timeframe, oldSignal, newSignal, reason, confidence, price) {
   const logEntry = {
-    time: new Date().toLocaleTimeString(),
+    time: new Date().toISOString(),
     coin,
     timeframe, 
     oldSignal,
     newSignal,
     reason,
-    confidence
+    confidence,
+    price
   };
   
   logs.unshift(logEntry);
@@ -38,277 +76,127 @@ function logSignalChange(coin, timeframe, oldSignal, newSignal, reason, confiden
   }
   
   console.log(`📝 Signal change logged: ${coin} ${timeframe} ${oldSignal} -> ${newSignal} (${confidence}%)`);
+  stream.publish('signal', coin, logEntry);
 }
 
-// Supported coins mapping
-const coinMapping = {
-  'bitcoin': { name: 'Bitcoin', symbol: 'BTC', id: 'bitcoin' },
-  'btc': { name: 'Bitcoin', symbol: 'BTC', id: 'bitcoin' },
-  'ethereum': { name: 'Ethereum', symbol: 'ETH', id: 'ethereum' },
-  'eth': { name: 'Ethereum', symbol: 'ETH', id: 'ethereum' },
-  'solana': { name: 'Solana', symbol: 'SOL', id: 'solana' },
-  'sol': { name: 'Solana', symbol: 'SOL', id: 'solana' },
-  'cardano': { name: 'Cardano', symbol: 'ADA', id: 'cardano' },
-  'ada': { name: 'Cardano', symbol: 'ADA', id: 'cardano' },
-  'ripple': { name: 'XRP', symbol: 'XRP', id: 'ripple' },
-  'xrp': { name: 'XRP', symbol: 'XRP', id: 'ripple' }
-};
-
-// Generate realistic market data with REALTIME current price
-function generateMarketData(currentPrice, coinSymbol) {
-  const prices = [];
-  const volumes = [];
-  
-  // Generate 200 price points for technical analysis, ending with REALTIME current price
-  let simulatedPrice = currentPrice * 0.95; // Start 5% below current
-  
-  for (let i = 0; i < 199; i++) {
-    const volatility = coinSymbol === 'BTC' ? 0.01 : 0.02; // Altcoins more volatile
-    const change = (Math.random() - 0.5) * volatility;
-    simulatedPrice = simulatedPrice * (1 + change);
-    prices.push(simulatedPrice);
-    
-    const volume = 1000000 + Math.random() * 10000000;
-    volumes.push(volume);
-  }
-  
-  // Add REALTIME current price as the last price
-  prices.push(currentPrice);
-  volumes.push(5000000 + Math.random() * 15000000);
-  
-  const change24h = ((currentPrice - prices[0]) / prices[0]) * 100;
-  
-  return {
-    prices: prices,
-    volumes: volumes,
-    currentPrice: currentPrice,
-    change24h: change24h,
-    volume24h: volumes[volumes.length - 1],
-    marketCap: currentPrice * (coinSymbol === 'BTC' ? 21000000 : 1000000000)
-  };
-}
+// Compare freshly computed results with the last known signal and log every transition
+function trackSignalChanges(coinId, results) {
+  results.forEach(result => {
+    // Failed timeframe calculations fall back to NEUTRAL - that's not a real transition
+    if (result.rsi === 'Error') return;
 
-// Fetch REALTIME prices from multiple API sources (NO STATIC FALLBACKS!)
-async function fetchRealPrice(coinData) {
-  let lastError = null;
-  
-  // Try CoinGecko API with retry logic (primary source)
-  for (let attempt = 1; attempt <= 3; attempt++) {
-    try {
-      console.log(`🔍 Fetching REALTIME price for ${coinData.name} from CoinGecko (attempt ${attempt}/3)...`);
-      const response = await axios.get(`${COINGECKO_BASE}?ids=${coinData.id}&vs_currencies=usd&include_24hr_change=true&include_24hr_vol=true`, { 
-        timeout: 15000,
-        headers: {
-          'User-Agent': 'CryptoBot/1.0'
-        }
-      });
-      
-      const price = response.data[coinData.id]?.usd;
-      if (price && typeof price === 'number' && price > 0) {
-        console.log(`✅ REALTIME ${coinData.symbol} price from CoinGecko: $${price}`);
-        return price;
-      } else {
-        throw new Error('Invalid or zero price data from CoinGecko');
-      }
-    } catch (error) {
-      lastError = error;
-      console.log(`❌ CoinGecko attempt ${attempt} failed for ${coinData.symbol}:`, error.message);
-      if (attempt < 3) {
-        await new Promise(resolve => setTimeout(resolve, 2000)); // Wait 2s between retries
-      }
-    }
-  }
-  
-  console.log(`⚠️ All CoinGecko attempts failed for ${coinData.symbol}, trying backups...`);
+    const key = `${coinId}_${result.timeframe}`;
+    const oldSignal = lastSignals.get(key);
+    lastSignals.set(key, result.signal);
 
-  // Try CoinDesk for Bitcoin backup
-  if (coinData.symbol === 'BTC') {
-    try {
-      console.log(`🔄 Trying CoinDesk backup for Bitcoin...`);
-      const btcPrice = await fetchRealBitcoinPrice();
-      if (btcPrice > 0) {
-        console.log(`✅ REALTIME BTC price from CoinDesk: $${btcPrice}`);
-        return btcPrice;
-      }
-    } catch (btcError) {
-      console.log(`❌ CoinDesk also failed for Bitcoin:`, btcError.message);
-    }
-  }
+    // First observation only establishes the baseline
+    if (oldSignal === undefined || oldSignal === result.signal) return;
 
-  // Try CryptoCompare as backup for all coins
-  try {
-    console.log(`🔄 Trying CryptoCompare backup for ${coinData.symbol}...`);
-    const response = await axios.get(`https://min-api.cryptocompare.com/data/price?fsym=${coinData.symbol}&tsyms=USD`, {
-      timeout: 10000
+    const reason = result.reasons && result.reasons.length > 0
+      ? result.reasons.join('; ')
+      : 'No strategy entry rule active';
+    logSignalChange(coinId, result.timeframe, oldSignal, result.signal, reason, result.confidence, result.price);
+  });
+}
+
+// Push the coin's full set of rows to stream subscribers, recomputing for any non-default strategy they follow
+function publishIndicators(coinData, results) {
+  // The scanner only hands over the timeframes that just closed - its snapshot has all of them
+  const rows = getScannerStatus().running ? getSnapshot(coinData.id) : results;
+  stream.publish('snapshot', coinData.id, { coin: coinData.id, strategy: DEFAULT_STRATEGY, data: rows }, DEFAULT_STRATEGY);
+
+  stream.getSubscribedStrategies(coinData.id)
+    .filter(name => name !== DEFAULT_STRATEGY)
+    .forEach(name => {
+      computeIndicatorsForCoin(coinData, getStrategy(name))
+        .then(data => stream.publish('snapshot', coinData.id, { coin: coinData.id, strategy: name, data }, name))
+        .catch(error => console.error(`❌ Stream ${name} computation failed for ${coinData.name}:`, error.message));
     });
-    
-    const price = response.data?.USD;
-    if (price && typeof price === 'number' && price > 0) {
-      console.log(`✅ REALTIME price for ${coinData.symbol} from CryptoCompare: $${price}`);
-      return price;
-    }
-  } catch (ccError) {
-    console.log(`❌ CryptoCompare failed for ${coinData.symbol}:`, ccError.message);
-  }
+}
+
+// Every new evaluation feeds the signal log, the user alerts, the notifier and the live stream
+function handleSignalResults(coinData, results) {
+  trackSignalChanges(coinData.id, results);
+  notifier.processSignalRows(coinData, results)
+    .catch(error => console.error('❌ Notifier error:', error.message));
+
+  alerts.evaluateAlerts(coinData.id, results).forEach(alert => {
+    const row = results.find(result => result.timeframe === alert.timeframe);
+    stream.publish('alert', coinData.id, alert);
+    notifier.notifyAlert(coinData, alert, row)
+      .catch(error => console.error('❌ Alert notification error:', error.message));
+  });
 
-  // 🚨 NO MORE STATIC FALLBACK PRICES! 
-  console.error(`🚨 CRITICAL ERROR: All realtime API sources failed for ${coinData.name}!`);
-  console.error(`🚨 This breaks prediction accuracy - system requires REALTIME data only!`);
-  throw new Error(`REALTIME PRICE REQUIRED: Unable to fetch current price for ${coinData.name}. All API sources failed: ${lastError?.message}`);
+  publishIndicators(coinData, results);
 }
 
-// Fetch real Bitcoin price from CoinDesk (backup)
-async function fetchRealBitcoinPrice() {
-  try {
-    const response = await axios.get(COINDESK_BASE, { timeout: 10000 });
-    const btcPrice = parseFloat(response.data.bpi.USD.rate.replace(',', ''));
-    console.log(`✅ Real BTC price from CoinDesk: $${btcPrice}`);
-    return btcPrice;
-  } catch (error) {
-    console.log('⚠️ CoinDesk failed');
-    throw error; // No more static fallbacks!
+
+// REALTIME price: live ticker stream when it's fresh, otherwise the multi-source consensus (NO STATIC FALLBACKS!)
+async function fetchRealPrice(coinData) {
+  const livePrice = getLivePrice(toExchangeSymbol(coinData));
+  if (livePrice !== null) return livePrice;
+
+  console.log(`🔍 Fetching REALTIME price for ${coinData.name} from all price sources...`);
+  const aggregated = await getAggregatedPrice(coinData);
+  if (aggregated.price === null) {
+    const errors = aggregated.sources.map(quote => `${quote.source}: ${quote.error}`).join('; ');
+    console.error(`🚨 CRITICAL ERROR: All realtime API sources failed for ${coinData.name}!`);
+    throw new Error(`REALTIME PRICE REQUIRED: Unable to fetch current price for ${coinData.name}. All API sources failed: ${errors}`);
   }
+
+  console.log(`✅ REALTIME ${coinData.symbol} consensus price: $${aggregated.price.toFixed(2)} (${aggregated.method}, ${aggregated.sourcesUsed.join(', ') || 'no agreement'})`);
+  return aggregated.price;
 }
 
-// Calculate technical indicators with enhanced prediction
-function calculateTechnicalIndicators(prices, volumes, currentPrice) {
+// Calculate technical indicators with enhanced prediction from real OHLCV candles per timeframe
+function calculateTechnicalIndicators(candlesByTimeframe, currentPrice, volume24h, strategy = getStrategy(), quote = getDefaultQuote()) {
   const results = [];
-  const timeframes = ['1m', '15m', '1h', '4h', '12h', '1d'];
+  // Position sizes come from the paper account, which is kept in the default quote
+  const equity = quote === getDefaultQuote() ? paperTrading.getPortfolioSummary().equity : null;
 
-  timeframes.forEach((timeframe, index) => {
+  TIMEFRAMES.forEach((timeframe) => {
     try {
-      // Generate DIFFERENT price data for each timeframe using different volatility patterns
-      const timeframeMultiplier = {
-        '1m': 0.005,   // Very small movements for 1-minute
-        '15m': 0.01,   // Small movements for 15-minute  
-        '1h': 0.025,   // Medium movements for 1-hour
-        '4h': 0.04,    // Larger movements for 4-hour
-        '12h': 0.06,   // Big movements for 12-hour
-        '1d': 0.08     // Biggest movements for daily
-      };
-      
-      const volatility = timeframeMultiplier[timeframe] || 0.02;
-      const trendBias = (index * 0.01) - 0.025; // Different trend bias for each timeframe
-      
-      // Generate UNIQUE price series for this timeframe
-      const timeframePrices = [];
-      let tfPrice = currentPrice * (1 + trendBias); // Start with trend bias
-      
-      for (let i = 0; i < prices.length; i++) {
-        const change = (Math.random() - 0.5) * volatility;
-        tfPrice = tfPrice * (1 + change);
-        timeframePrices.push(tfPrice);
-      }
-      
-      // Ensure last price converges towards current price
-      timeframePrices[timeframePrices.length - 1] = currentPrice * (0.98 + Math.random() * 0.04);
-      
-      console.log(`📊 ${timeframe}: Generated unique prices ending at $${timeframePrices[timeframePrices.length - 1].toFixed(2)}`);
-      
-      // Use different periods based on timeframe
-      const period = timeframe === '1m' ? 14 : timeframe === '15m' ? 20 : timeframe === '1h' ? 25 : timeframe === '4h' ? 30 : 35;
-      
-      // Calculate RSI using timeframe-specific prices
-      const rsi = timeframePrices.length >= 14 ? ti.RSI.calculate({
-        values: timeframePrices,
-        period: 14
-      }) : [];
-
-      // Calculate MACD using timeframe-specific prices  
-      const macdData = timeframePrices.length >= 26 ? ti.MACD.calculate({
-        values: timeframePrices,
-        fastPeriod: 12,
-        slowPeriod: 26,
-        signalPeriod: 9,
-        SimpleMAOscillator: false,
-        SimpleMASignal: false
-      }) : [];
-
-      // Enhanced prediction logic with multiple factors
-      let signal = 'NEUTRAL';
-      let confidence = 0;
-      let buyConfidence = 0;
-      let sellConfidence = 0;
-      
-      // Timeframe-specific prediction base (different ranges for different timeframes)
-      const timeframePredictionBase = timeframePrices[timeframePrices.length - 1];
-      let predictedPrice = timeframePredictionBase;
-
-      const currentRsi = rsi[rsi.length - 1] || 50;
-      const currentMacd = macdData[macdData.length - 1] || { MACD: 0, signal: 0, histogram: 0 };
-
-      // RSI analysis
-      if (currentRsi < 30) {
-        signal = 'BUY';
-        buyConfidence += 25;
-        confidence += 25;
-        predictedPrice = currentPrice * 1.03; // 3% increase expected
-      } else if (currentRsi > 70) {
-        signal = 'SELL';  
-        sellConfidence += 25;
-        confidence += 25;
-        predictedPrice = currentPrice * 0.97; // 3% decrease expected
+      const candles = candlesByTimeframe[timeframe] || [];
+      if (candles.length === 0) {
+        throw new Error(`No candles available for ${timeframe}`);
       }
 
-      // MACD analysis
-      if (currentMacd.histogram > 0.01) {
-        if (signal === 'NEUTRAL') signal = 'BUY';
-        buyConfidence += 20;
-        confidence += 20;
-        predictedPrice *= 1.02; // Additional 2% for strong MACD
-      } else if (currentMacd.histogram < -0.01) {
-        if (signal === 'NEUTRAL') signal = 'SELL';
-        sellConfidence += 20;
-        confidence += 20;
-        predictedPrice *= 0.98; // Additional 2% decrease for bearish MACD
-      }
+      // Closed candle closes, with the in-progress bar pinned to the REALTIME price
+      const timeframePrices = candles.map(candle => candle.close);
+      timeframePrices[timeframePrices.length - 1] = currentPrice;
 
-      // Price momentum analysis using timeframe-specific prices
-      const recentPrices = timeframePrices.slice(-10);
-      const priceChange = ((recentPrices[recentPrices.length - 1] - recentPrices[0]) / recentPrices[0]) * 100;
+      console.log(`📊 ${timeframe}: ${timeframePrices.length} real candles ending at ${formatPrice(currentPrice)} ${quote}`);
       
-      if (priceChange > 2) {
-        buyConfidence += 15;
-        confidence += 15;
-      } else if (priceChange < -2) {
-        sellConfidence += 15;
-        confidence += 15;
-      }
-
-      // Calculate entry/exit levels based on REALTIME current price
-      let entryPrice, stopLoss, takeProfit;
-      
-      if (signal === 'BUY') {
-        entryPrice = currentPrice * 0.995;  // Entry 0.5% below current
-        stopLoss = currentPrice * 0.97;     // Stop Loss 3% below current  
-        takeProfit = currentPrice * 1.05;   // Take Profit 5% above current
-      } else if (signal === 'SELL') {
-        entryPrice = currentPrice * 1.005;  // Entry 0.5% above current (short entry)
-        stopLoss = currentPrice * 1.03;     // Stop Loss 3% above current (short protection)
-        takeProfit = currentPrice * 0.95;   // Take Profit 5% below current (short profit)
-      } else {
-        entryPrice = currentPrice;
-        stopLoss = currentPrice * 0.97;
-        takeProfit = currentPrice * 1.03;   // Smaller profit for neutral
-      }
+      const levels = computeLevels(candles, currentPrice);
+      const evaluation = evaluateSignal(timeframePrices, currentPrice, strategy, levels);
+      const { buyConfidence, sellConfidence } = evaluation;
+      const suite = computeIndicatorSuite(candles, currentPrice);
+      const risk = computeRisk(candles, currentPrice, evaluation.signal, equity);
 
       const result = {
         timeframe: timeframe,
-        price: currentPrice.toFixed(2),
-        predictedPrice: predictedPrice.toFixed(2),
-        entryPrice: entryPrice.toFixed(2),
-        stopLoss: stopLoss.toFixed(2),
-        takeProfit: takeProfit.toFixed(2),
+        quote,
+        price: formatPrice(currentPrice),
+        predictedPrice: formatPrice(evaluation.predictedPrice),
+        entryPrice: formatPrice(evaluation.entryPrice),
+        stopLoss: formatPrice(evaluation.stopLoss),
+        takeProfit: formatPrice(evaluation.takeProfit),
         expectedMoveUp: buyConfidence > 0 ? (buyConfidence / 2).toFixed(1) : '-',
         expectedMoveDown: sellConfidence > 0 ? (sellConfidence / 2).toFixed(1) : '-',
-        rsi: currentRsi ? currentRsi.toFixed(2) : 'N/A',
-        macd: currentMacd,
-        signal: signal,
+        rsi: evaluation.rsi ? evaluation.rsi.toFixed(2) : 'N/A',
+        macd: evaluation.macd || { MACD: 0, signal: 0, histogram: 0 },
+        signal: evaluation.signal,
+        strategy: strategy.name,
         buyConfidence: buyConfidence,
         sellConfidence: sellConfidence,
-        confidence: Math.min(confidence, 95), // Cap at 95%
-        volume24h: volumes[volumes.length - 1],
-        price: currentPrice.toFixed(2),
+        confidence: evaluation.confidence,
+        reasons: evaluation.reasons,
+        indicators: suite.indicators,
+        indicatorVotes: suite.votes,
+        levels,
+        levelAnchors: evaluation.levelAnchors,
+        risk,
+        volume24h: volume24h,
         lastUpdate: new Date().toISOString()
       };
 
@@ -318,21 +206,30 @@ function calculateTechnicalIndicators(prices, volumes, currentPrice) {
       console.error(`Error calculating indicators for ${timeframe}:`, error);
       
       // Return neutral result with REALTIME price
+      const emptySuite = computeIndicatorSuite([]);
       results.push({
         timeframe: timeframe,
-        price: currentPrice.toFixed(2),
-        predictedPrice: currentPrice.toFixed(2),
-        entryPrice: currentPrice.toFixed(2),
-        stopLoss: (currentPrice * 0.97).toFixed(2),
-        takeProfit: (currentPrice * 1.03).toFixed(2),
+        quote,
+        price: formatPrice(currentPrice),
+        predictedPrice: formatPrice(currentPrice),
+        entryPrice: formatPrice(currentPrice),
+        stopLoss: formatPrice(currentPrice * 0.97),
+        takeProfit: formatPrice(currentPrice * 1.03),
         expectedMoveUp: '-',
         expectedMoveDown: '-',
         rsi: 'Error',
         macd: { MACD: 0, signal: 0, histogram: 0 },
         signal: 'NEUTRAL',
+        strategy: strategy.name,
         buyConfidence: 0,
         sellConfidence: 0,
         confidence: 0,
+        reasons: [],
+        indicators: emptySuite.indicators,
+        indicatorVotes: emptySuite.votes,
+        levels: null,
+        levelAnchors: { stopLoss: null, takeProfit: null },
+        risk: null,
         volume24h: 0,
         lastUpdate: new Date().toISOString()
       });
@@ -342,44 +239,112 @@ function calculateTechnicalIndicators(prices, volumes, currentPrice) {
   return results;
 }
 
+/**
+ * Load candles + live price for a coin and run the indicator calculation for every timeframe.
+ * `quote` picks the exchange pair (e.g. ETHBTC for BTC); only the default quote has live ticks,
+ * the USD price consensus and paper trading behind it.
+ */
+async function computeIndicatorsForCoin(coinData, strategy = getStrategy(), quote = getDefaultQuote()) {
+  const isDefaultQuote = quote === getDefaultQuote();
+  const exchangeSymbol = getPair(coinData, quote);
+  if (!exchangeSymbol) throw new Error(`${coinData.symbol} has no ${quote} pair`);
+
+  // Candles come from the persistent store (incremental sync, no full refetch per hit)
+  console.log(`🚀 Loading stored ${exchangeSymbol} candles for ${coinData.name} (provider: ${getCandleProvider().name})...`);
+
+  const storedCandles = await getCandlesForAllTimeframes(exchangeSymbol);
+
+  // The ticker stream's in-progress bars are newer than anything the REST sync returned
+  const candlesByTimeframe = {};
+  TIMEFRAMES.forEach(timeframe => {
+    candlesByTimeframe[timeframe] = mergeLiveCandle(exchangeSymbol, timeframe, storedCandles[timeframe]);
+  });
+
+  // A fresh listing (or a short fixture) can lack some timeframes - those rows come back neutral,
+  // but without a single candle there's no price to work with
+  const latestTimeframe = TIMEFRAMES.find(timeframe => candlesByTimeframe[timeframe].length > 0);
+  if (!latestTimeframe) {
+    const error = new Error(`No candles available for ${exchangeSymbol}`);
+    error.code = 'NO_CANDLES';
+    throw error;
+  }
+
+  // Live ticker first, then the newest in-progress candle - only ask CoinGecko if both have gone stale
+  const livePrice = getLivePrice(exchangeSymbol);
+  const latestCandles = candlesByTimeframe[latestTimeframe];
+  const lastCandle = latestCandles[latestCandles.length - 1];
+  const isStale = livePrice === null && Date.now() - lastCandle.openTime > PRICE_STALE_MS;
+  let currentPrice = lastCandle.close;
+  if (livePrice !== null) {
+    currentPrice = livePrice;
+  } else if (isStale && getCandleProvider().live && isDefaultQuote) {
+    currentPrice = await fetchRealPrice(coinData);
+  }
+  const priceSource = livePrice !== null ? ' (ticker stream)' : isStale ? ' (stale candles)' : '';
+  console.log(`💰 REALTIME price obtained: ${coinData.symbol} = ${currentPrice} ${quote}${priceSource}`);
+
+  const dailyCandles = candlesByTimeframe['1d'];
+  const volume24h = dailyCandles.length > 0 ? dailyCandles[dailyCandles.length - 1].volume : 0;
+
+  // Every fresh price also drives the paper trading engine's SL/TP checks (positions are in the default quote)
+  if (isDefaultQuote) paperTrading.checkPositions(coinData.id, currentPrice);
+
+  // Calculate indicators using REAL candle data
+  return calculateTechnicalIndicators(candlesByTimeframe, currentPrice, volume24h, strategy, quote);
+}
+
 // API Routes
 
 // Get all indicators for a specific coin
 app.get('/api/getAllIndicators', async (req, res) => {
   try {
     const coinName = req.query.coin || 'bitcoin';
-    const coinData = coinMapping[coinName.toLowerCase()];
+    const coinData = getCoin(coinName);
     
     if (!coinData) {
       return res.status(400).json({ 
         success: false, 
-        error: `Unsupported coin: ${coinName}. Supported coins: ${Object.keys(coinMapping).join(', ')}` 
+        error: `Unsupported coin: ${coinName}. Supported coins: ${getCoinIds().join(', ')}` 
       });
     }
 
-    // FORCE FRESH DATA - NO CACHE for unique timeframe generation
-    console.log(`🚀 Generating FRESH UNIQUE timeframe data for ${coinData.name} (cache disabled)...`);
+    let strategy;
+    try {
+      strategy = getStrategy(req.query.strategy);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    const quote = (req.query.quote || getDefaultQuote()).toUpperCase();
+    if (!getPair(coinData, quote)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unsupported quote for ${coinData.symbol}: ${quote}. Supported: ${Object.keys(coinData.pairs).join(', ')}`
+      });
+    }
 
-    // Get REALTIME current price for this coin
-    const currentPrice = await fetchRealPrice(coinData);
-    console.log(`💰 REALTIME price obtained: ${coinData.symbol} = $${currentPrice}`);
-    
-    // Generate market data with REALTIME current price
-    const marketData = generateMarketData(currentPrice, coinData.symbol);
-    
-    // Calculate indicators using REALTIME data
-    const results = calculateTechnicalIndicators(
-      marketData.prices, 
-      marketData.volumes, 
-      marketData.currentPrice
-    );
+    // Serve the background scanner's latest snapshot (refreshed every minute) when we have one (scanner runs the default strategy and quote)
+    const snapshot = getSnapshot(coinData.id);
+    const isDefault = strategy.name === DEFAULT_STRATEGY && quote === getDefaultQuote();
+    if (isDefault && snapshot && snapshot.length === TIMEFRAMES.length && req.query.fresh !== 'true') {
+      return res.json({ success: true, source: 'snapshot', strategy: strategy.name, quote, data: snapshot });
+    }
 
-    // NO CACHE - Fresh unique timeframe data every time
-    console.log(`✅ Successfully generated UNIQUE timeframe indicators for ${coinData.name}`);
-    res.json({ success: true, data: results });
+    const results = await computeIndicatorsForCoin(coinData, strategy, quote);
+
+    // Without a scanner running, on-demand computations are the only signal source
+    if (isDefault && !getScannerStatus().running) {
+      handleSignalResults(coinData, results);
+    }
+
+    console.log(`✅ Successfully calculated candle-based ${quote} indicators for ${coinData.name}`);
+    res.json({ success: true, source: 'live', strategy: strategy.name, quote, data: results });
 
   } catch (error) {
     console.error('Error in getAllIndicators:', error);
+    if (error.code === 'NO_CANDLES') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
     res.status(500).json({ 
       success: false, 
       error: `Failed to generate indicators: ${error.message}`,
@@ -388,6 +353,403 @@ app.get('/api/getAllIndicators', async (req, res) => {
   }
 });
 
+// Live updates over Server-Sent Events: ?coins=bitcoin,solana&strategy=
+// Events: hello { live }, snapshot { coin, strategy, data }, signal (as /api/logs), alert (triggered alert), ping.
+// `live` is false without the background scanner - clients should keep polling then.
+app.get('/api/stream', (req, res) => {
+  const coinIds = [];
+  for (const coin of String(req.query.coins || req.query.coin || '').split(',').filter(Boolean)) {
+    const coinData = getCoin(coin);
+    if (!coinData) {
+      return res.status(400).json({ success: false, error: `Unsupported coin: ${coin}` });
+    }
+    if (!coinIds.includes(coinData.id)) coinIds.push(coinData.id);
+  }
+  if (coinIds.length === 0) {
+    return res.status(400).json({ success: false, error: 'coins is required' });
+  }
+
+  let strategy;
+  try {
+    strategy = getStrategy(req.query.strategy);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  const live = getScannerStatus().running;
+  const client = stream.addClient(req, res, { coins: coinIds, strategy: strategy.name });
+  stream.send(client, 'hello', { live, coins: coinIds, strategy: strategy.name });
+
+  // Current values right away so the dashboard doesn't wait for the next scanner tick
+  coinIds.forEach(coinId => {
+    const snapshot = getSnapshot(coinId);
+    if (strategy.name === DEFAULT_STRATEGY && snapshot && snapshot.length === TIMEFRAMES.length) {
+      stream.send(client, 'snapshot', { coin: coinId, strategy: strategy.name, data: snapshot });
+    } else if (live) {
+      computeIndicatorsForCoin(getCoin(coinId), strategy)
+        .then(data => stream.send(client, 'snapshot', { coin: coinId, strategy: strategy.name, data }))
+        .catch(error => console.error(`❌ Stream initial computation failed for ${coinId}:`, error.message));
+    }
+  });
+});
+
+// Consensus spot price with every source's quote, deviation and status (ok / outlier / error)
+app.get('/api/price', async (req, res) => {
+  const coinName = req.query.coin || 'bitcoin';
+  const coinData = getCoin(coinName);
+  if (!coinData) {
+    return res.status(400).json({ success: false, error: `Unsupported coin: ${coinName}` });
+  }
+
+  const aggregated = await getAggregatedPrice(coinData);
+  res.status(aggregated.price === null ? 502 : 200).json({
+    success: aggregated.price !== null,
+    ...aggregated,
+    health: getSourceHealth()
+  });
+});
+
+// Circuit breaker state, latency and error rate for every upstream provider, plus the ticker stream
+app.get('/api/providers/health', (req, res) => {
+  const outliers = getOutlierCounts();
+  const { symbols, ...tickerStream } = getTickerStatus();
+  res.json({
+    success: true,
+    candleProvider: getCandleProvider().name,
+    providers: getBreakerStatuses().map(status => ({ ...status, outliers: outliers[status.name] || 0 })),
+    tickerStream: { ...tickerStream, liveSymbols: symbols.filter(symbol => symbol.live).length }
+  });
+});
+
+// Exchange websocket ingestion: connection state and last price per symbol
+app.get('/api/ticker/status', (req, res) => {
+  res.json({ success: true, ...getTickerStatus() });
+});
+
+app.get('/api/stream/status', (req, res) => {
+  res.json({ success: true, scanner: getScannerStatus().running, ...stream.getStreamStatus() });
+});
+
+// Coin universe from the coin registry - drives every coin selector in the dashboard
+app.get('/api/coins', (req, res) => {
+  res.json({ success: true, defaultQuote: getDefaultQuote(), quotes: getQuotes(), coins: getCoins() });
+});
+
+// Available strategy definitions for ?strategy=
+app.get('/api/strategies', (req, res) => {
+  res.json({ success: true, default: DEFAULT_STRATEGY, strategies: listStrategies() });
+});
+
+// Latest scanner snapshot for every coin
+app.get('/api/snapshot', (req, res) => {
+  res.json({ success: true, scanner: getScannerStatus(), data: getAllSnapshots() });
+});
+
+// Paper trading portfolio summary (balance, equity, stats)
+app.get('/api/portfolio', (req, res) => {
+  res.json({ success: true, portfolio: paperTrading.getPortfolioSummary() });
+});
+
+// Paper positions, optionally filtered by ?status=open|closed
+app.get('/api/portfolio/positions', (req, res) => {
+  res.json({ success: true, positions: paperTrading.getPositions(req.query.status) });
+});
+
+// Executed paper fills, newest first
+app.get('/api/portfolio/fills', (req, res) => {
+  const limit = parseInt(req.query.limit || '100');
+  res.json({ success: true, fills: paperTrading.getFills(limit) });
+});
+
+// Place a paper order: BUY opens a long at the live price, SELL exits the coin's open longs
+app.post('/api/portfolio/orders', async (req, res) => {
+  try {
+    const { coin, side, amount, timeframe = '1h', confidence, isAutoTrade, strategy } = req.body || {};
+    const coinData = getCoin(coin);
+
+    if (!coinData) {
+      return res.status(400).json({ success: false, error: `Unsupported coin: ${coin}` });
+    }
+    if (!TIMEFRAMES.includes(timeframe)) {
+      return res.status(400).json({ success: false, error: `Unsupported timeframe: ${timeframe}` });
+    }
+
+    // Fresh computation so entries and exits happen at the real current price
+    const results = await computeIndicatorsForCoin(coinData, getStrategy(strategy));
+    const row = results.find(result => result.timeframe === timeframe);
+    const price = parseFloat(row.price);
+
+    if (side === 'SELL') {
+      const closed = paperTrading.closePositionsForCoin(coinData.id, price);
+      return res.json({ success: true, closed, portfolio: paperTrading.getPortfolioSummary() });
+    }
+
+    if (side !== 'BUY') {
+      return res.status(400).json({ success: false, error: `Unsupported side: ${side}. Use BUY or SELL` });
+    }
+
+    // SELL rows carry short-side levels - a long can't be protected by them
+    if (row.signal === 'SELL') {
+      return res.status(400).json({ success: false, error: `Cannot open a long: ${timeframe} signal is SELL` });
+    }
+
+    // Without an amount the order is risk-sized to RISK_PER_TRADE_PERCENT of equity: against the row's own
+    // SL/TP when the strategy anchored them to support / resistance, otherwise against ATR stops
+    const riskSized = amount === undefined || amount === null;
+    const anchored = Boolean(row.levelAnchors && (row.levelAnchors.stopLoss || row.levelAnchors.takeProfit));
+    const useAtrStops = riskSized && !anchored;
+    const stopLoss = useAtrStops ? row.risk && row.risk.stopLoss : parseFloat(row.stopLoss);
+    const takeProfit = useAtrStops ? row.risk && row.risk.takeProfit : parseFloat(row.takeProfit);
+
+    let sizing = null;
+    if (riskSized) {
+      const equity = paperTrading.getPortfolioSummary().equity;
+      sizing = anchored ? (stopLoss < price ? sizePosition(price, price - stopLoss, equity) : null) : row.risk;
+      if (!(sizing && sizing.positionSize > 0)) {
+        return res.status(400).json({ success: false, error: `No risk sizing available for ${timeframe} yet` });
+      }
+    }
+
+    const position = paperTrading.openPosition({
+      coinId: coinData.id,
+      coin: coinData.symbol,
+      timeframe,
+      amount: riskSized ? Math.min(sizing.positionSize, paperTrading.getPortfolioSummary().balance) : parseFloat(amount),
+      price,
+      stopLoss,
+      takeProfit,
+      confidence: confidence !== undefined ? confidence : row.confidence,
+      isAutoTrade
+    });
+
+    res.json({ success: true, position, portfolio: paperTrading.getPortfolioSummary() });
+
+  } catch (error) {
+    console.error('Error in paper order:', error.message);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Wipe the paper portfolio back to the starting balance
+app.post('/api/portfolio/reset', (req, res) => {
+  paperTrading.resetPortfolio();
+  res.json({ success: true, portfolio: paperTrading.getPortfolioSummary() });
+});
+
+// Parse a ?from= / ?to= query value given as ISO date or epoch milliseconds
+function parseTimeParam(value) {
+  if (value === undefined || value === '') return null;
+  const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  if (isNaN(time)) throw new Error(`Invalid date: ${value}`);
+  return time;
+}
+
+// Replay stored candles for a coin/timeframe through a strategy's signal rules
+app.get('/api/backtest', async (req, res) => {
+  try {
+    const coinName = req.query.coin || 'bitcoin';
+    const timeframe = req.query.timeframe || '1h';
+    const coinData = getCoin(coinName);
+
+    if (!coinData) {
+      return res.status(400).json({ success: false, error: `Unsupported coin: ${coinName}` });
+    }
+    if (!TIMEFRAMES.includes(timeframe)) {
+      return res.status(400).json({ success: false, error: `Unsupported timeframe: ${timeframe}. Supported: ${TIMEFRAMES.join(', ')}` });
+    }
+
+    let from, to, strategy;
+    try {
+      from = parseTimeParam(req.query.from);
+      to = parseTimeParam(req.query.to);
+      strategy = getStrategy(req.query.strategy);
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    // Candles before `from` are kept for indicator warm-up; trading starts at `from`
+    const symbol = toExchangeSymbol(coinData);
+    if (from !== null) await ensureHistory(symbol, timeframe, from - SIGNAL_WINDOW * TIMEFRAME_MS[timeframe]);
+    const candles = await getStoredCandles(symbol, timeframe, { to });
+    if (candles.length === 0) {
+      return res.status(404).json({ success: false, error: `No stored candles for ${coinData.symbol} ${timeframe}` });
+    }
+
+    // History is capped (CANDLE_HISTORY_LIMIT) - start where the data allows and say so
+    const firstTradable = candles[Math.min(WARMUP_BARS, candles.length - 1)].openTime;
+    const startTime = from !== null ? Math.max(from, firstTradable) : null;
+    const rangeClamped = from !== null && startTime > from;
+
+    const result = runBacktest(candles, {
+      startingBalance: parseFloat(req.query.balance || '10000'),
+      positionSize: req.query.positionSize ? parseFloat(req.query.positionSize) : undefined,
+      startTime,
+      strategy
+    });
+
+    console.log(`🧪 Backtest ${coinData.symbol} ${timeframe} [${strategy.name}]: ${result.totalTrades} trades, ${result.returnPercent}% return`);
+    res.json({
+      success: true,
+      coin: coinData.id,
+      timeframe,
+      strategy: strategy.name,
+      from: new Date(startTime || candles[0].openTime).toISOString(),
+      to: new Date(candles[candles.length - 1].closeTime).toISOString(),
+      requestedFrom: from !== null ? new Date(from).toISOString() : null,
+      rangeClamped,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('Error in backtest:', error);
+    res.status(500).json({ success: false, error: `Backtest failed: ${error.message}` });
+  }
+});
+
+// Notification subscriptions, optionally filtered by ?user=
+app.get('/api/notifications/subscriptions', (req, res) => {
+  res.json({ success: true, subscriptions: notifier.getSubscriptions(req.query.user) });
+});
+
+// Subscribe a Telegram chat ({ chatId }), a webhook ({ channel: 'webhook', url, secret }) or a browser
+// ({ channel: 'webpush', pushSubscription }) plus rules:
+// { user, coins, timeframes, signals, minConfidence, confidenceThreshold, quietHours }
+app.post('/api/notifications/subscriptions', (req, res) => {
+  try {
+    const body = req.body || {};
+    const coins = (body.coins || []).map(coin => {
+      const coinData = getCoin(coin);
+      if (!coinData) throw new Error(`Unsupported coin: ${coin}`);
+      return coinData.id;
+    });
+
+    const subscription = notifier.addSubscription({ ...body, coins });
+    res.json({ success: true, subscription });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/notifications/subscriptions/:id', (req, res) => {
+  if (!notifier.removeSubscription(req.params.id)) {
+    return res.status(404).json({ success: false, error: `Unknown subscription: ${req.params.id}` });
+  }
+  res.json({ success: true });
+});
+
+// VAPID public key the dashboard needs for PushManager.subscribe()
+app.get('/api/notifications/push-key', (req, res) => {
+  res.json({ success: true, configured: isWebPushConfigured(), publicKey: getVapidPublicKey() });
+});
+
+// Send a test message to one subscription
+app.post('/api/notifications/subscriptions/:id/test', async (req, res) => {
+  try {
+    const result = await notifier.sendTestMessage(req.params.id);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Delivery log (?channel=telegram|webhook) plus the mock outbox when no bot token is configured
+app.get('/api/notifications/deliveries', (req, res) => {
+  const limit = parseInt(req.query.limit || '100');
+  const transport = getTelegramTransport();
+  res.json({
+    success: true,
+    transport: transport.name,
+    deliveries: notifier.getDeliveries(limit, req.query.channel),
+    outbox: transport.getMessages ? transport.getMessages().slice(0, limit) : undefined
+  });
+});
+
+// Price / indicator alerts, optionally filtered by ?coin= and ?status=active|triggered
+app.get('/api/alerts', (req, res) => {
+  const coinData = req.query.coin ? getCoin(req.query.coin) : null;
+  if (req.query.coin && !coinData) {
+    return res.status(400).json({ success: false, error: `Unsupported coin: ${req.query.coin}` });
+  }
+  res.json({
+    success: true,
+    metrics: alerts.METRICS,
+    conditions: alerts.CONDITIONS,
+    alerts: alerts.getAlerts({ coin: coinData && coinData.id, status: req.query.status })
+  });
+});
+
+// { coin, timeframe, metric, condition, value, note, user } - e.g. SOL price crosses 150
+app.post('/api/alerts', (req, res) => {
+  const body = req.body || {};
+  const coinData = getCoin(body.coin);
+  if (!coinData) {
+    return res.status(400).json({ success: false, error: `Unsupported coin: ${body.coin}` });
+  }
+
+  try {
+    res.json({ success: true, alert: alerts.addAlert(coinData, body) });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Change an alert's rule / note - also re-arms a triggered alert
+app.put('/api/alerts/:id', (req, res) => {
+  try {
+    const alert = alerts.updateAlert(req.params.id, req.body || {});
+    if (!alert) {
+      return res.status(404).json({ success: false, error: `Unknown alert: ${req.params.id}` });
+    }
+    res.json({ success: true, alert });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.delete('/api/alerts/:id', (req, res) => {
+  if (!alerts.removeAlert(req.params.id)) {
+    return res.status(404).json({ success: false, error: `Unknown alert: ${req.params.id}` });
+  }
+  res.json({ success: true });
+});
+
+// Everything the email digest summarizes - same data as /api/snapshot, /api/logs and /api/portfolio
+function collectDigestData() {
+  return {
+    coins: getCoins(),
+    snapshots: getAllSnapshots(),
+    logs,
+    portfolio: paperTrading.getPortfolioSummary(),
+    closedPositions: paperTrading.getPositions('CLOSED')
+  };
+}
+
+// Render the digest as it would be emailed (?period=daily|weekly)
+app.get('/api/digest/preview', (req, res) => {
+  try {
+    const rendered = digest.renderDigest(req.query.period || 'daily', collectDigestData());
+    res.type('html').send(rendered.html);
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Send a digest right now: { period, to } (to defaults to DIGEST_TO)
+app.post('/api/digest/send', async (req, res) => {
+  try {
+    const { period = 'daily', to } = req.body || {};
+    const result = await digest.sendDigest(period, collectDigestData(), to);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error sending digest:', error.message);
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/digest/status', (req, res) => {
+  res.json({ success: true, digest: digest.getDigestStatus() });
+});
+
 // Get logs
 app.get('/api/logs', (req, res) => {
   res.json({ success: true, logs: logs.slice(0, 100) });
@@ -402,6 +764,7 @@ app.get('/api/tradeHistory', (req, res) => {
       coin: log.coin,
       timeframe: log.timeframe,
       signal: log.newSignal,
+      price: log.price,
       confidence: log.confidence || 0,
       reason: log.reason || 'Signal change detected'
     }))
@@ -421,13 +784,72 @@ app.get('/test', (req, res) => {
       '🔄 3x retry logic with 2s delays',
       '🚨 NO MORE static fallback prices',
       '💎 Enhanced prediction accuracy',
-      '📊 Multi-timeframe technical analysis'
+      '📊 Multi-timeframe technical analysis on real OHLCV candles'
     ]
   });
 });
 
-app.listen(port, () => {
-  console.log(`🚀 REALTIME Trading Bot Backend running on port ${port}`);
-  console.log(`🔥 Features: NO static prices, REALTIME API only, enhanced accuracy!`);
-  console.log(`📡 API Sources: CoinGecko (primary), CryptoCompare (backup), CoinDesk (BTC only)`);
+// Liveness for the Render health check (render.yaml healthCheckPath) - 200 while the process answers
+app.get('/health', (req, res) => {
+  res.json(getLiveness());
 });
+
+// Readiness: 503 when a critical dependency (data dir, candle provider) is down
+app.get('/ready', async (req, res) => {
+  const readiness = await getReadiness();
+  res.status(readiness.status === 'not-ready' ? 503 : 200).json(readiness);
+});
+
+// Only bind the port when run directly, so the app can be required for offline testing
+if (require.main === module) {
+  app.listen(port, () => {
+    console.log(`🚀 REALTIME Trading Bot Backend running on port ${port}`);
+    console.log(`🔥 Features: NO static prices, REALTIME API only, enhanced accuracy!`);
+    console.log(`📡 Price sources: CoinGecko, CryptoCompare, CoinDesk (BTC only), Binance - parallel consensus`);
+    console.log(`🕯️ Candle provider: ${getCandleProvider().name}`);
+    console.log(`📨 Telegram transport: ${getTelegramTransport().name}`);
+  });
+
+  startBackgroundServices().catch(error => console.error('❌ Background services failed to start:', error.message));
+}
+
+// Registry pairs are derived as `${symbol}${quote}` - without a saved exchange info dump, check them
+// against the live exchange before anything subscribes to or scans them
+async function validateCoinPairs() {
+  const provider = getCandleProvider();
+  if (process.env.COINS_EXCHANGE_INFO_FILE || typeof provider.fetchExchangeInfo !== 'function') return;
+
+  try {
+    const coins = validatePairs(await provider.fetchExchangeInfo());
+    console.log(`✅ Coin pairs validated against ${provider.name}: ${coins.map(coin => Object.values(coin.pairs).join('/')).join(', ')}`);
+  } catch (error) {
+    console.error('⚠️ Coin pairs not validated, using the configured ones:', error.message);
+  }
+}
+
+async function startBackgroundServices() {
+  await validateCoinPairs();
+
+  // Live exchange ticks by default whenever candles come from the live exchange
+  const tickerMode = process.env.TICKER_STREAM || (getCandleProvider().live ? 'binance' : 'off');
+  try {
+    // Every quote pair, so EUR / BTC rows get live bars too
+    const symbols = getCoins().flatMap(coin => Object.values(coin.pairs));
+    const replaying = startTickerStream(symbols, tickerMode);
+    if (replaying) replaying.then(count => console.log(`📼 Ticker replay finished (${count} messages)`));
+  } catch (error) {
+    console.error('❌ Ticker stream not started:', error.message);
+  }
+
+  if (process.env.SCANNER_ENABLED !== 'false') {
+    startScanner({
+      coins: getCoins(),
+      compute: computeIndicatorsForCoin,
+      onResults: handleSignalResults
+    });
+  }
+
+  digest.startDigestScheduler(collectDigestData);
+}
+
+module.exports = { app, calculateTechnicalIndicators, computeIndicatorsForCoin };
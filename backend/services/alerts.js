@@ -0,0 +1,167 @@
+const { readJson, writeJson } = require('./jsonStore');
+const { TIMEFRAMES } = require('./candleProvider');
+
+// User-defined price / indicator alerts, evaluated against every freshly computed indicator row
+const ALERTS_FILE = 'alerts.json';
+
+// Metric -> value read from an indicator row (price/rsi are formatted strings there)
+const METRICS = {
+  price: row => parseFloat(row.price),
+  rsi: row => parseFloat(row.rsi),
+  macd: row => row.macd.MACD,
+  macdSignal: row => row.macd.signal,
+  macdHistogram: row => row.macd.histogram
+};
+
+const CONDITIONS = ['above', 'below', 'crossesAbove', 'crossesBelow', 'crosses'];
+
+const CONDITION_LABELS = {
+  above: 'above',
+  below: 'below',
+  crossesAbove: 'crosses above',
+  crossesBelow: 'crosses below',
+  crosses: 'crosses'
+};
+
+let alerts = readJson(ALERTS_FILE, []);
+
+// Last seen metric value per alert id - the baseline for cross conditions
+const lastValues = new Map();
+
+function save() {
+  writeJson(ALERTS_FILE, alerts);
+}
+
+// Fields shared by create and update; throws on invalid input so routes can answer with 400
+function validateAlertFields({ timeframe, metric, condition, value, note }) {
+  if (!METRICS[metric]) throw new Error(`Unsupported metric: ${metric}. Supported: ${Object.keys(METRICS).join(', ')}`);
+  if (!CONDITIONS.includes(condition)) {
+    throw new Error(`Unsupported condition: ${condition}. Supported: ${CONDITIONS.join(', ')}`);
+  }
+  // Price is the same on every timeframe, indicators need to know which candles they come from
+  const alertTimeframe = timeframe || (metric === 'price' ? '1m' : null);
+  if (!alertTimeframe) throw new Error(`timeframe is required for ${metric} alerts`);
+  if (!TIMEFRAMES.includes(alertTimeframe)) {
+    throw new Error(`Unsupported timeframe: ${timeframe}. Supported: ${TIMEFRAMES.join(', ')}`);
+  }
+  const target = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof target !== 'number' || !Number.isFinite(target)) throw new Error('value must be a number');
+
+  return { timeframe: alertTimeframe, metric, condition, value: target, note: note || '' };
+}
+
+function describeAlert(alert) {
+  const subject = alert.metric === 'price' ? `${alert.symbol} price` : `${alert.symbol} ${alert.timeframe} ${alert.metric}`;
+  return `${subject} ${CONDITION_LABELS[alert.condition]} ${alert.value}`;
+}
+
+/**
+ * Create an alert for a coin (coin registry entry), e.g. { metric: 'price', condition: 'crosses', value: 150 }
+ * or { timeframe: '1h', metric: 'rsi', condition: 'below', value: 25 }. `user` limits the notification
+ * to that user's subscriptions.
+ */
+function addAlert(coin, input) {
+  const alert = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    user: input.user || null,
+    coin: coin.id,
+    symbol: coin.symbol,
+    ...validateAlertFields(input),
+    status: 'active',
+    createdAt: new Date().toISOString(),
+    triggeredAt: null,
+    triggeredValue: null
+  };
+
+  alerts.push(alert);
+  save();
+  console.log(`🚨 Alert added: ${describeAlert(alert)}`);
+  return alert;
+}
+
+// Edit an alert's rule or note; any update re-arms it
+function updateAlert(id, input) {
+  const alert = alerts.find(candidate => candidate.id === id);
+  if (!alert) return null;
+
+  Object.assign(alert, validateAlertFields({ ...alert, ...input }), {
+    user: input.user !== undefined ? input.user || null : alert.user,
+    status: 'active',
+    triggeredAt: null,
+    triggeredValue: null
+  });
+  lastValues.delete(id);
+  save();
+  return alert;
+}
+
+function removeAlert(id) {
+  const before = alerts.length;
+  alerts = alerts.filter(alert => alert.id !== id);
+  if (alerts.length === before) return false;
+  lastValues.delete(id);
+  save();
+  return true;
+}
+
+function getAlerts({ coin, status } = {}) {
+  return alerts.filter(alert => (!coin || alert.coin === coin) && (!status || alert.status === status));
+}
+
+function isConditionMet(condition, target, value, previous) {
+  const crossedUp = previous !== undefined && previous <= target && value > target;
+  const crossedDown = previous !== undefined && previous >= target && value < target;
+
+  switch (condition) {
+    case 'above': return value > target;
+    case 'below': return value < target;
+    case 'crossesAbove': return crossedUp;
+    case 'crossesBelow': return crossedDown;
+    case 'crosses': return crossedUp || crossedDown;
+    default: return false;
+  }
+}
+
+/**
+ * Check a coin's freshly evaluated rows against its active alerts. Triggered alerts are marked
+ * (and stop being evaluated) and returned so the caller can notify about them.
+ */
+function evaluateAlerts(coinId, rows) {
+  const rowsByTimeframe = {};
+  rows.forEach(row => { rowsByTimeframe[row.timeframe] = row; });
+
+  const triggered = [];
+  getAlerts({ coin: coinId, status: 'active' }).forEach(alert => {
+    const row = rowsByTimeframe[alert.timeframe];
+    // Failed timeframe calculations fall back to placeholder values - never trigger on those
+    if (!row || row.rsi === 'Error') return;
+
+    const value = METRICS[alert.metric](row);
+    if (!Number.isFinite(value)) return;
+
+    const previous = lastValues.get(alert.id);
+    lastValues.set(alert.id, value);
+    if (!isConditionMet(alert.condition, alert.value, value, previous)) return;
+
+    alert.status = 'triggered';
+    alert.triggeredAt = new Date().toISOString();
+    alert.triggeredValue = value;
+    lastValues.delete(alert.id);
+    console.log(`🚨 Alert triggered: ${describeAlert(alert)} (now ${value})`);
+    triggered.push(alert);
+  });
+
+  if (triggered.length > 0) save();
+  return triggered;
+}
+
+module.exports = {
+  METRICS: Object.keys(METRICS),
+  CONDITIONS,
+  addAlert,
+  updateAlert,
+  removeAlert,
+  getAlerts,
+  describeAlert,
+  evaluateAlerts
+};
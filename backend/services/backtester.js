@@ -0,0 +1,179 @@
+const { evaluateSignal, checkExitRules } = require('./signals');
+const { getStrategy } = require('./strategies');
+const { computeLevels } = require('./levels');
+
+// Historical backtester - replays stored candles through a strategy's signal rules
+const WARMUP_BARS = 35;          // MACD(26) + signal(9) before the first usable signal
+const SIGNAL_WINDOW = 200;       // Same history length the live endpoint evaluates on
+const ENTRY_TIMEOUT_BARS = 3;    // Unfilled entry orders are cancelled after this many bars
+const DEFAULT_FEE_RATE = 0.001;  // 0.1% per side (Binance spot taker)
+
+function round(value, decimals = 2) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Exit check for one bar; when SL and TP both fall inside the bar assume the stop hit first
+function checkExit(position, candle) {
+  if (position.side === 'LONG') {
+    if (candle.low <= position.stopLoss) return { price: position.stopLoss, reason: 'Stop-loss' };
+    if (candle.high >= position.takeProfit) return { price: position.takeProfit, reason: 'Take-profit' };
+  } else {
+    if (candle.high >= position.stopLoss) return { price: position.stopLoss, reason: 'Stop-loss' };
+    if (candle.low <= position.takeProfit) return { price: position.takeProfit, reason: 'Take-profit' };
+  }
+  return null;
+}
+
+function positionValue(position, price) {
+  const move = position.side === 'LONG' ? price - position.entryPrice : position.entryPrice - price;
+  return position.margin + move * position.quantity;
+}
+
+/**
+ * Run a backtest over closed candles (oldest first).
+ * options: startingBalance, startTime (ms, earlier candles are only used for warm-up),
+ *          positionSize (fraction of equity per trade, 0-1), feeRate (per side),
+ *          strategy (definition from services/strategies, defaults to the default strategy)
+ */
+function runBacktest(candles, options = {}) {
+  const startingBalance = options.startingBalance || 10000;
+  const positionSize = Math.min(Math.max(options.positionSize || 1, 0.01), 1);
+  const feeRate = options.feeRate !== undefined ? options.feeRate : DEFAULT_FEE_RATE;
+  const startTime = options.startTime || 0;
+  const strategy = options.strategy || getStrategy();
+
+  const closes = candles.map(candle => candle.close);
+  const trades = [];
+  const equityCurve = [];
+  let cash = startingBalance;
+  let position = null;
+  let pendingOrder = null;
+  let peakEquity = startingBalance;
+  let maxDrawdown = 0;
+
+  const closePosition = (candle, price, reason) => {
+    const grossValue = positionValue(position, price);
+    const fee = position.quantity * price * feeRate;
+    const profit = grossValue - fee - position.margin - position.entryFee;
+    cash += grossValue - fee;
+
+    trades.push({
+      side: position.side,
+      entryTime: new Date(position.entryTime).toISOString(),
+      exitTime: new Date(candle.closeTime).toISOString(),
+      entryPrice: position.entryPrice,
+      exitPrice: price,
+      stopLoss: position.stopLoss,
+      takeProfit: position.takeProfit,
+      quantity: position.quantity,
+      profit: round(profit),
+      profitPercent: round((profit / position.margin) * 100),
+      exitReason: reason,
+      signalConfidence: position.confidence
+    });
+    position = null;
+  };
+
+  for (let i = 0; i < candles.length; i++) {
+    const candle = candles[i];
+    if (i < WARMUP_BARS || candle.openTime < startTime) continue;
+
+    // 1. Fill a pending limit entry if this bar trades through it
+    if (pendingOrder && !position) {
+      const touched = pendingOrder.side === 'LONG'
+        ? candle.low <= pendingOrder.entryPrice
+        : candle.high >= pendingOrder.entryPrice;
+
+      if (touched) {
+        const margin = cash * positionSize;
+        const quantity = margin / pendingOrder.entryPrice;
+        const entryFee = margin * feeRate;
+        cash -= margin + entryFee;
+        position = { ...pendingOrder, margin, quantity, entryFee, entryTime: candle.openTime };
+        pendingOrder = null;
+      } else if (i - pendingOrder.createdAt >= ENTRY_TIMEOUT_BARS) {
+        pendingOrder = null;
+      }
+    }
+
+    // 2. Exit on stop-loss / take-profit inside this bar
+    if (position) {
+      const exit = checkExit(position, candle);
+      if (exit) closePosition(candle, exit.price, exit.reason);
+    }
+
+    // 3. Evaluate the signal on this bar's close, exactly like the live endpoint would
+    const hasExitRules = position && (strategy.exit[position.side] || []).length > 0;
+    if (!position || hasExitRules) {
+      const window = closes.slice(Math.max(0, i - SIGNAL_WINDOW + 1), i + 1);
+      // Support / resistance only matter to strategies that anchor SL/TP to them
+      const levels = strategy.risk.anchorToLevels
+        ? computeLevels(candles.slice(Math.max(0, i - SIGNAL_WINDOW + 1), i + 1), candle.close)
+        : null;
+      const evaluation = evaluateSignal(window, candle.close, strategy, levels);
+
+      // Strategy exit conditions close at this bar's close; the same bar may then queue a new entry
+      if (hasExitRules && checkExitRules(strategy, position.side, evaluation.values)) {
+        closePosition(candle, candle.close, 'Exit rule');
+      }
+
+      if (!position && (evaluation.signal === 'BUY' || evaluation.signal === 'SELL')) {
+        pendingOrder = {
+          side: evaluation.signal === 'BUY' ? 'LONG' : 'SHORT',
+          entryPrice: evaluation.entryPrice,
+          stopLoss: evaluation.stopLoss,
+          takeProfit: evaluation.takeProfit,
+          confidence: evaluation.confidence,
+          createdAt: i
+        };
+      }
+    }
+
+    // 4. Mark-to-market equity and drawdown
+    const equity = cash + (position ? positionValue(position, candle.close) : 0);
+    peakEquity = Math.max(peakEquity, equity);
+    const drawdown = peakEquity > 0 ? ((peakEquity - equity) / peakEquity) * 100 : 0;
+    maxDrawdown = Math.max(maxDrawdown, drawdown);
+    equityCurve.push({
+      time: new Date(candle.closeTime).toISOString(),
+      equity: round(equity),
+      drawdown: round(drawdown)
+    });
+  }
+
+  // Anything still open is closed at the last close
+  if (position) {
+    const last = candles[candles.length - 1];
+    closePosition(last, last.close, 'End of data');
+    if (equityCurve.length > 0) equityCurve[equityCurve.length - 1].equity = round(cash);
+  }
+
+  const wins = trades.filter(trade => trade.profit > 0);
+  const losses = trades.filter(trade => trade.profit <= 0);
+  const grossProfit = wins.reduce((sum, trade) => sum + trade.profit, 0);
+  const grossLoss = Math.abs(losses.reduce((sum, trade) => sum + trade.profit, 0));
+
+  return {
+    startingBalance,
+    finalBalance: round(cash),
+    netProfit: round(cash - startingBalance),
+    returnPercent: round(((cash - startingBalance) / startingBalance) * 100),
+    totalTrades: trades.length,
+    winningTrades: wins.length,
+    losingTrades: losses.length,
+    winRate: trades.length > 0 ? round((wins.length / trades.length) * 100) : 0,
+    // null when there were no losing trades (profit factor is undefined, not infinite)
+    profitFactor: grossLoss > 0 ? round(grossProfit / grossLoss) : null,
+    maxDrawdown: round(maxDrawdown),
+    barsTested: equityCurve.length,
+    trades,
+    equityCurve
+  };
+}
+
+module.exports = {
+  WARMUP_BARS,
+  SIGNAL_WINDOW,
+  runBacktest
+};
@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { getBreaker } = require('./circuitBreaker');
+
+// Candle provider layer - returns real OHLCV bars per timeframe
+const BINANCE_BASE = process.env.BINANCE_API_URL
+  ? `${process.env.BINANCE_API_URL.replace(/\/$/, '')}/api/v3`
+  : 'https://api.binance.com/api/v3';
+const FIXTURE_DIR = process.env.CANDLE_FIXTURE_DIR || path.join(__dirname, '..', 'fixtures', 'candles');
+
+const TIMEFRAMES = ['1m', '15m', '1h', '4h', '12h', '1d'];
+const CANDLE_LIMIT = 400; // EMA200 needs a warm-up of its own on top of the 200 candles it averages
+const MAX_KLINES_PER_REQUEST = 1000; // Binance hard limit
+
+// Candle duration per timeframe in milliseconds
+const TIMEFRAME_MS = {
+  '1m': 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '4h': 4 * 60 * 60 * 1000,
+  '12h': 12 * 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000
+};
+
+// Binance kline row: [openTime, open, high, low, close, volume, closeTime, ...]
+function parseKline(kline) {
+  return {
+    openTime: kline[0],
+    open: parseFloat(kline[1]),
+    high: parseFloat(kline[2]),
+    low: parseFloat(kline[3]),
+    close: parseFloat(kline[4]),
+    volume: parseFloat(kline[5]),
+    closeTime: kline[6]
+  };
+}
+
+// Accept both raw Binance kline arrays and already parsed candle objects
+function normalizeCandle(raw) {
+  if (Array.isArray(raw)) return parseKline(raw);
+  return {
+    openTime: raw.openTime,
+    open: parseFloat(raw.open),
+    high: parseFloat(raw.high),
+    low: parseFloat(raw.low),
+    close: parseFloat(raw.close),
+    volume: parseFloat(raw.volume),
+    closeTime: raw.closeTime
+  };
+}
+
+// Exchange ticker for a coin registry entry (derived as a USDT pair when the registry has none)
+function toExchangeSymbol(coinData) {
+  return coinData.exchangeSymbol || `${coinData.symbol}USDT`;
+}
+
+// Live provider - Binance public klines endpoint (no API key needed)
+const binanceProvider = {
+  name: 'binance',
+  live: true,
+  async fetchCandles(symbol, timeframe, limit = CANDLE_LIMIT, startTime = null) {
+    let url = `${BINANCE_BASE}/klines?symbol=${symbol}&interval=${timeframe}&limit=${Math.min(limit, MAX_KLINES_PER_REQUEST)}`;
+    if (startTime) url += `&startTime=${startTime}`;
+
+    // Same breaker as the Binance price source - a rate limit there applies here too
+    return getBreaker('binance').exec(async () => {
+      const response = await axios.get(url, { timeout: 15000 });
+
+      // An empty page is only valid for incremental requests (nothing new since startTime)
+      if (!Array.isArray(response.data) || (!startTime && response.data.length === 0)) {
+        throw new Error(`Empty kline response from Binance for ${symbol} ${timeframe}`);
+      }
+
+      return response.data.map(parseKline);
+    });
+  },
+
+  // Every listed market with its base / quote asset and status - used to validate the coin registry's pairs
+  async fetchExchangeInfo() {
+    return getBreaker('binance').exec(async () => {
+      const response = await axios.get(`${BINANCE_BASE}/exchangeInfo`, { timeout: 30000 });
+      if (!response.data || !Array.isArray(response.data.symbols)) {
+        throw new Error('Invalid exchangeInfo response from Binance');
+      }
+      return response.data;
+    });
+  }
+};
+
+// Offline provider - reads recorded klines from <FIXTURE_DIR>/<SYMBOL>_<timeframe>.json
+const fixtureProvider = {
+  name: 'fixture',
+  live: false,
+  async fetchCandles(symbol, timeframe, limit = CANDLE_LIMIT, startTime = null) {
+    const file = path.join(FIXTURE_DIR, `${symbol}_${timeframe}.json`);
+    if (!fs.existsSync(file)) {
+      throw new Error(`No candle fixture for ${symbol} ${timeframe} (expected ${file})`);
+    }
+
+    const rows = JSON.parse(fs.readFileSync(file, 'utf8'));
+    const candles = rows.map(normalizeCandle);
+    if (startTime) return candles.filter(candle => candle.openTime >= startTime).slice(0, limit);
+
+    // Live mode would return `limit` bars - a short fixture makes the indicators differ from it
+    if (candles.length < limit) {
+      console.log(`⚠️ Candle fixture ${path.basename(file)} holds ${candles.length} candles, ${limit} requested`);
+    }
+    return candles.slice(-limit);
+  }
+};
+
+const providers = {
+  binance: binanceProvider,
+  fixture: fixtureProvider
+};
+
+let activeProvider = providers[process.env.CANDLE_PROVIDER] || binanceProvider;
+
+function getCandleProvider() {
+  return activeProvider;
+}
+
+// Swap the provider at runtime (e.g. tests or a custom exchange implementation)
+function setCandleProvider(provider) {
+  const resolved = typeof provider === 'string' ? providers[provider] : provider;
+  if (!resolved || typeof resolved.fetchCandles !== 'function') {
+    throw new Error(`Unknown candle provider: ${provider}`);
+  }
+  activeProvider = resolved;
+  console.log(`🔌 Candle provider set to: ${resolved.name || 'custom'}`);
+}
+
+module.exports = {
+  TIMEFRAMES,
+  CANDLE_LIMIT,
+  TIMEFRAME_MS,
+  MAX_KLINES_PER_REQUEST,
+  parseKline,
+  normalizeCandle,
+  toExchangeSymbol,
+  getCandleProvider,
+  setCandleProvider
+};
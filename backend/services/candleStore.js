@@ -0,0 +1,229 @@
+const fs = require('fs');
+const path = require('path');
+const {
+  TIMEFRAMES,
+  CANDLE_LIMIT,
+  TIMEFRAME_MS,
+  MAX_KLINES_PER_REQUEST,
+  normalizeCandle,
+  getCandleProvider
+} = require('./candleProvider');
+const { DATA_DIR, dataPath } = require('./jsonStore');
+
+// Persistent candle store - append-only JSONL files per coin/timeframe, survives restarts.
+// Each series keeps the newest HISTORY_LIMIT closed bars
+const CANDLE_DIR = dataPath('candles');
+const BACKFILL_LIMIT = parseInt(process.env.CANDLE_BACKFILL_LIMIT || '500');
+const HISTORY_LIMIT = parseInt(process.env.CANDLE_HISTORY_LIMIT || '5000'); // Max bars per series kept
+const COMPACT_SLACK = Math.max(Math.floor(HISTORY_LIMIT / 10), 1); // Bars a file may run over the limit before it's rewritten
+const SYNC_THROTTLE_MS = 10000; // Don't hit the provider more than once per 10s per series
+
+// In-memory view of each series: closed candles (persisted) + the in-progress candle (memory only)
+const series = new Map();
+
+function seriesKey(symbol, timeframe) {
+  return `${symbol}_${timeframe}`;
+}
+
+function seriesFile(symbol, timeframe) {
+  return path.join(CANDLE_DIR, `${seriesKey(symbol, timeframe)}.jsonl`);
+}
+
+function loadSeries(symbol, timeframe) {
+  const key = seriesKey(symbol, timeframe);
+  if (series.has(key)) return series.get(key);
+
+  // storedLines: bars in the file, which may run ahead of `closed` until the next compaction
+  const entry = { closed: [], open: null, lastSync: 0, syncing: null, storedLines: 0 };
+  const file = seriesFile(symbol, timeframe);
+
+  if (fs.existsSync(file)) {
+    const lines = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    lines.forEach(line => {
+      try {
+        const candle = normalizeCandle(JSON.parse(line));
+        const last = entry.closed[entry.closed.length - 1];
+        if (!last || candle.openTime > last.openTime) entry.closed.push(candle);
+      } catch (error) {
+        console.log(`⚠️ Skipping corrupt candle line in ${file}:`, error.message);
+      }
+    });
+    entry.storedLines = lines.length;
+    trimSeries(symbol, timeframe, entry);
+    console.log(`💾 Loaded ${entry.closed.length} stored candles for ${key}`);
+  }
+
+  series.set(key, entry);
+  return entry;
+}
+
+function appendClosedCandles(symbol, timeframe, candles) {
+  if (candles.length === 0) return;
+  fs.mkdirSync(CANDLE_DIR, { recursive: true });
+  const lines = candles.map(candle => JSON.stringify(candle)).join('\n') + '\n';
+  fs.appendFileSync(seriesFile(symbol, timeframe), lines);
+}
+
+// Merge freshly fetched bars: persist newly closed ones, keep the in-progress bar in memory
+function mergeCandles(symbol, timeframe, entry, fetched) {
+  const now = Date.now();
+  const last = entry.closed[entry.closed.length - 1];
+  const newClosed = [];
+  let open = null;
+
+  fetched
+    .filter(candle => !last || candle.openTime > last.openTime)
+    .forEach(candle => {
+      if (candle.closeTime < now) {
+        newClosed.push(candle);
+      } else {
+        open = candle;
+      }
+    });
+
+  appendClosedCandles(symbol, timeframe, newClosed);
+  entry.closed.push(...newClosed);
+  entry.storedLines += newClosed.length;
+  entry.open = open;
+  trimSeries(symbol, timeframe, entry);
+  return newClosed.length;
+}
+
+// Rewrite a series file - older bars were prepended or dropped, so appending is not enough
+function writeClosedCandles(symbol, timeframe, candles) {
+  fs.mkdirSync(CANDLE_DIR, { recursive: true });
+  const file = seriesFile(symbol, timeframe);
+  const lines = candles.map(candle => JSON.stringify(candle)).join('\n') + '\n';
+  fs.writeFileSync(`${file}.tmp`, lines);
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+// Keep the newest HISTORY_LIMIT bars in memory; compact the file once it's COMPACT_SLACK bars over
+function trimSeries(symbol, timeframe, entry) {
+  if (entry.closed.length > HISTORY_LIMIT) {
+    entry.closed.splice(0, entry.closed.length - HISTORY_LIMIT);
+  }
+  if (entry.storedLines > HISTORY_LIMIT + COMPACT_SLACK) {
+    writeClosedCandles(symbol, timeframe, entry.closed);
+    entry.storedLines = entry.closed.length;
+    console.log(`🗜️ ${seriesKey(symbol, timeframe)}: compacted to the newest ${entry.closed.length} candles`);
+  }
+}
+
+// Backfill history on first request, afterwards only fetch the bars we're missing
+async function syncCandles(symbol, timeframe) {
+  const entry = loadSeries(symbol, timeframe);
+  if (Date.now() - entry.lastSync < SYNC_THROTTLE_MS) return entry;
+
+  // Concurrent requests share one sync so bars are never appended twice
+  if (!entry.syncing) {
+    entry.syncing = fetchMissingCandles(symbol, timeframe, entry)
+      .finally(() => { entry.syncing = null; });
+  }
+  await entry.syncing;
+  return entry;
+}
+
+async function fetchMissingCandles(symbol, timeframe, entry) {
+  const provider = getCandleProvider();
+  const last = entry.closed[entry.closed.length - 1];
+  let fetched;
+
+  if (!last) {
+    console.log(`📥 Backfilling ${BACKFILL_LIMIT} ${timeframe} candles for ${symbol} from ${provider.name}...`);
+    fetched = await provider.fetchCandles(symbol, timeframe, BACKFILL_LIMIT);
+  } else {
+    const startTime = last.openTime + TIMEFRAME_MS[timeframe];
+    const missing = Math.ceil((Date.now() - startTime) / TIMEFRAME_MS[timeframe]) + 1;
+    fetched = await provider.fetchCandles(symbol, timeframe, Math.max(missing, 1), startTime);
+  }
+
+  const added = mergeCandles(symbol, timeframe, entry, fetched);
+  entry.lastSync = Date.now();
+  if (added > 0) console.log(`🕯️ ${symbol} ${timeframe}: stored ${added} new closed candles`);
+}
+
+// Page backwards from the oldest stored bar until `from` is covered, the exchange has nothing
+// older or the series holds HISTORY_LIMIT bars
+async function fetchOlderCandles(symbol, timeframe, entry, from) {
+  const provider = getCandleProvider();
+  const intervalMs = TIMEFRAME_MS[timeframe];
+  const older = [];
+
+  while (entry.closed.length + older.length < HISTORY_LIMIT) {
+    const first = older.length > 0 ? older[0] : entry.closed[0];
+    if (!first || first.openTime <= from) break;
+
+    const remaining = HISTORY_LIMIT - entry.closed.length - older.length;
+    const bars = Math.min(Math.ceil((first.openTime - from) / intervalMs), MAX_KLINES_PER_REQUEST, remaining);
+    const startTime = first.openTime - bars * intervalMs;
+    const page = (await provider.fetchCandles(symbol, timeframe, bars, startTime))
+      .filter(candle => candle.openTime < first.openTime);
+    if (page.length === 0) break;
+
+    older.unshift(...page);
+  }
+
+  if (older.length === 0) return;
+  entry.closed.unshift(...older);
+  writeClosedCandles(symbol, timeframe, entry.closed);
+  entry.storedLines = entry.closed.length;
+  console.log(`📥 ${symbol} ${timeframe}: backfilled ${older.length} older candles (${entry.closed.length} stored)`);
+}
+
+// Make sure the stored series reaches back to `from` (ms) - bounded by HISTORY_LIMIT
+async function ensureHistory(symbol, timeframe, from) {
+  const entry = await syncCandles(symbol, timeframe);
+
+  // Shares the sync lock so a concurrent incremental sync can't append mid-rewrite
+  while (entry.syncing) await entry.syncing;
+  entry.syncing = fetchOlderCandles(symbol, timeframe, entry, from)
+    .finally(() => { entry.syncing = null; });
+  await entry.syncing;
+  return entry;
+}
+
+// Last `limit` candles (closed + in-progress) for a coin/timeframe, synced with the provider
+async function getCandles(symbol, timeframe, limit = CANDLE_LIMIT) {
+  const entry = await syncCandles(symbol, timeframe);
+  const candles = entry.open ? [...entry.closed, entry.open] : entry.closed.slice();
+  return candles.slice(-limit);
+}
+
+async function getCandlesForAllTimeframes(symbol, timeframes = TIMEFRAMES, limit = CANDLE_LIMIT) {
+  const entries = await Promise.all(timeframes.map(async (timeframe) => {
+    return [timeframe, await getCandles(symbol, timeframe, limit)];
+  }));
+
+  return Object.fromEntries(entries);
+}
+
+// Every stored closed candle in [from, to] (ms timestamps, both optional) - used for backtests
+async function getStoredCandles(symbol, timeframe, { from = null, to = null } = {}) {
+  const entry = await syncCandles(symbol, timeframe);
+  return entry.closed.filter(candle =>
+    (from === null || candle.openTime >= from) && (to === null || candle.openTime <= to)
+  );
+}
+
+// Summary of what's on disk / in memory (for status endpoints)
+function getStoreStatus() {
+  return {
+    dataDir: DATA_DIR,
+    series: Array.from(series.entries()).map(([key, entry]) => ({
+      key,
+      storedCandles: entry.closed.length,
+      lastClosedOpenTime: entry.closed.length ? entry.closed[entry.closed.length - 1].openTime : null,
+      lastSync: entry.lastSync ? new Date(entry.lastSync).toISOString() : null
+    }))
+  };
+}
+
+module.exports = {
+  syncCandles,
+  getCandles,
+  getCandlesForAllTimeframes,
+  getStoredCandles,
+  ensureHistory,
+  getStoreStatus
+};
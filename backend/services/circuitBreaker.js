@@ -0,0 +1,167 @@
+// Circuit breakers per upstream provider - stop calling a provider that keeps failing, probe it again later
+const FAILURE_THRESHOLD = parseInt(process.env.BREAKER_FAILURE_THRESHOLD || '5');
+const COOLDOWN_MS = parseInt(process.env.BREAKER_COOLDOWN_MS || '30000');
+const OUTCOME_WINDOW = 50; // Recent calls the error rate is computed over
+
+const breakers = new Map();
+
+function circuitOpenError(name, retryAt) {
+  const error = new Error(`${name} circuit is open - skipping until ${new Date(retryAt).toISOString()}`);
+  error.code = 'CIRCUIT_OPEN';
+  return error;
+}
+
+// Retry-After on a 429 (seconds) - the provider tells us exactly how long to back off
+function retryAfterMs(error) {
+  const header = error.response && error.response.headers && error.response.headers['retry-after'];
+  const seconds = parseInt(header);
+  return Number.isFinite(seconds) ? seconds * 1000 : 0;
+}
+
+// Only provider trouble counts: network errors / timeouts (no response), 429 and 5xx.
+// A 4xx or an unusable answer (empty page, bad price) fails that one request, the provider is fine.
+function isProviderFailure(error) {
+  const status = error.response && error.response.status;
+  if (status) return status === 429 || status >= 500;
+  return Boolean(error.request) || ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code);
+}
+
+function createBreaker(name, { failureThreshold = FAILURE_THRESHOLD, cooldownMs = COOLDOWN_MS } = {}) {
+  const breaker = {
+    name,
+    state: 'closed', // closed -> open after failureThreshold consecutive failures -> half-open probe
+    consecutiveFailures: 0,
+    openedAt: null,
+    retryAt: null,
+    probing: false,
+    requests: 0,
+    failures: 0,
+    rejected: 0,
+    lastLatencyMs: null,
+    avgLatencyMs: null,
+    lastSuccessAt: null,
+    lastError: null,
+    outcomes: []
+  };
+
+  function record(ok, latencyMs) {
+    breaker.outcomes.push(ok);
+    if (breaker.outcomes.length > OUTCOME_WINDOW) breaker.outcomes.shift();
+    breaker.lastLatencyMs = latencyMs;
+    // Exponential moving average - recent calls matter most
+    breaker.avgLatencyMs = breaker.avgLatencyMs === null ? latencyMs : Math.round(breaker.avgLatencyMs * 0.8 + latencyMs * 0.2);
+  }
+
+  function open(delayMs) {
+    if (breaker.state !== 'open') console.log(`🔴 Circuit for ${name} opened after ${breaker.consecutiveFailures} failures`);
+    breaker.state = 'open';
+    breaker.openedAt = new Date().toISOString();
+    breaker.retryAt = Date.now() + delayMs;
+  }
+
+  function close() {
+    breaker.consecutiveFailures = 0;
+    if (breaker.state !== 'closed') console.log(`🟢 Circuit for ${name} closed again`);
+    breaker.state = 'closed';
+    breaker.openedAt = null;
+    breaker.retryAt = null;
+  }
+
+  function onSuccess(latencyMs) {
+    record(true, latencyMs);
+    breaker.lastSuccessAt = new Date().toISOString();
+    close();
+  }
+
+  // The provider answered, just not usefully - it's reachable, so this closes a half-open circuit too
+  function onRequestError(error, latencyMs) {
+    record(true, latencyMs);
+    breaker.lastError = error.message;
+    close();
+  }
+
+  function onFailure(error, latencyMs) {
+    record(false, latencyMs);
+    breaker.failures++;
+    breaker.consecutiveFailures++;
+    breaker.lastError = error.message;
+
+    const rateLimited = error.response && error.response.status === 429;
+    // A failed probe, a rate limit or too many failures in a row all open the circuit
+    if (breaker.state === 'half-open' || rateLimited || breaker.consecutiveFailures >= failureThreshold) {
+      open(Math.max(cooldownMs, rateLimited ? retryAfterMs(error) : 0));
+    }
+  }
+
+  /**
+   * Run `fn` through the breaker. Rejects with error.code CIRCUIT_OPEN without calling
+   * `fn` while the circuit is open; after the cooldown a single half-open probe is let through.
+   */
+  breaker.exec = async (fn) => {
+    if (breaker.state === 'open') {
+      if (Date.now() < breaker.retryAt || breaker.probing) {
+        breaker.rejected++;
+        throw circuitOpenError(name, breaker.retryAt);
+      }
+      breaker.state = 'half-open';
+    } else if (breaker.state === 'half-open' && breaker.probing) {
+      breaker.rejected++;
+      throw circuitOpenError(name, breaker.retryAt);
+    }
+
+    const probe = breaker.state === 'half-open';
+    if (probe) breaker.probing = true;
+    breaker.requests++;
+    const started = Date.now();
+
+    try {
+      const result = await fn();
+      onSuccess(Date.now() - started);
+      return result;
+    } catch (error) {
+      if (isProviderFailure(error)) onFailure(error, Date.now() - started);
+      else onRequestError(error, Date.now() - started);
+      throw error;
+    } finally {
+      if (probe) breaker.probing = false;
+    }
+  };
+
+  breaker.getStatus = () => {
+    const errors = breaker.outcomes.filter(ok => !ok).length;
+    return {
+      name,
+      state: breaker.state,
+      requests: breaker.requests,
+      failures: breaker.failures,
+      rejected: breaker.rejected,
+      consecutiveFailures: breaker.consecutiveFailures,
+      errorRate: breaker.outcomes.length > 0 ? parseFloat(((errors / breaker.outcomes.length) * 100).toFixed(1)) : null,
+      lastLatencyMs: breaker.lastLatencyMs,
+      avgLatencyMs: breaker.avgLatencyMs,
+      lastSuccessAt: breaker.lastSuccessAt,
+      lastError: breaker.lastError,
+      openedAt: breaker.openedAt,
+      retryAt: breaker.retryAt ? new Date(breaker.retryAt).toISOString() : null
+    };
+  };
+
+  return breaker;
+}
+
+// One shared breaker per provider name, created on first use
+function getBreaker(name, options) {
+  if (!breakers.has(name)) breakers.set(name, createBreaker(name, options));
+  return breakers.get(name);
+}
+
+function getBreakerStatuses() {
+  return Array.from(breakers.values()).map(breaker => breaker.getStatus());
+}
+
+module.exports = {
+  isProviderFailure,
+  createBreaker,
+  getBreaker,
+  getBreakerStatuses
+};
@@ -0,0 +1,153 @@
+const fs = require('fs');
+const path = require('path');
+
+// Coin universe - CoinGecko ids <-> exchange tickers, loaded from a config file and optionally checked against an exchange info dump
+const COINS_FILE = process.env.COINS_FILE || path.join(__dirname, '..', 'config', 'coins.json');
+const EXCHANGE_INFO_FILE = process.env.COINS_EXCHANGE_INFO_FILE || null; // Saved Binance /api/v3/exchangeInfo response
+
+// Config entry -> { id, name, symbol, exchangeSymbol, pairs: { quote -> exchange ticker }, aliases }
+function normalizeCoin(entry, quote, quotes, label) {
+  if (!entry || typeof entry.id !== 'string' || typeof entry.symbol !== 'string') {
+    throw new Error(`${label}: every coin needs an "id" (CoinGecko id) and a "symbol"`);
+  }
+  const symbol = entry.symbol.toUpperCase();
+
+  // A coin can't be quoted in itself (no BTCBTC); `quotes` on the entry narrows the registry-wide list
+  const pairs = {};
+  (entry.quotes || quotes)
+    .map(pairQuote => pairQuote.toUpperCase())
+    .filter(pairQuote => quotes.includes(pairQuote) && pairQuote !== symbol)
+    .forEach(pairQuote => { pairs[pairQuote] = `${symbol}${pairQuote}`; });
+  pairs[quote] = (entry.exchangeSymbol || `${symbol}${quote}`).toUpperCase();
+
+  return {
+    id: entry.id.toLowerCase(),
+    name: entry.name || symbol,
+    symbol,
+    exchangeSymbol: pairs[quote],
+    pairs,
+    aliases: (entry.aliases || []).map(alias => String(alias).toLowerCase())
+  };
+}
+
+// Keep only pairs the exchange actually trades (the dump's ticker wins over the derived one);
+// coins without a default-quote pair are dropped
+function applyExchangeInfo(coins, exchangeInfo, quote) {
+  const trading = new Map();
+  (exchangeInfo.symbols || [])
+    .filter(market => market.status === 'TRADING')
+    .forEach(market => trading.set(`${market.baseAsset}/${market.quoteAsset}`, market.symbol));
+
+  return coins.filter(coin => {
+    Object.keys(coin.pairs).forEach(pairQuote => {
+      const listed = trading.get(`${coin.symbol}/${pairQuote}`);
+      if (listed) {
+        coin.pairs[pairQuote] = listed;
+      } else {
+        if (pairQuote !== quote) console.log(`⚠️ ${coin.symbol}${pairQuote} is not trading on the exchange - dropping the ${pairQuote} quote for ${coin.id}`);
+        delete coin.pairs[pairQuote];
+      }
+    });
+
+    if (!coin.pairs[quote]) {
+      console.log(`⚠️ ${coin.symbol}${quote} is not trading on the exchange - dropping ${coin.id}`);
+      return false;
+    }
+    coin.exchangeSymbol = coin.pairs[quote];
+    return true;
+  });
+}
+
+/**
+ * Load the registry from `file` ({ quote, quotes, coins: [{ id, symbol, name, aliases, exchangeSymbol, quotes }] }),
+ * filtered through `exchangeInfoFile` when given. `quote` is the default quote currency and always
+ * one of the `quotes`. Throws on an unreadable config or duplicate names.
+ */
+function loadCoinRegistry(file = COINS_FILE, exchangeInfoFile = EXCHANGE_INFO_FILE) {
+  const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const quote = (config.quote || 'USDT').toUpperCase();
+  const quotes = Array.from(new Set([quote, ...(config.quotes || []).map(entry => entry.toUpperCase())]));
+  let coins = (config.coins || []).map((entry, index) => normalizeCoin(entry, quote, quotes, `${file} coins[${index}]`));
+
+  if (exchangeInfoFile) {
+    coins = applyExchangeInfo(coins, JSON.parse(fs.readFileSync(exchangeInfoFile, 'utf8')), quote);
+  }
+  if (coins.length === 0) throw new Error(`No coins configured in ${file}`);
+
+  console.log(`🪙 Loaded ${coins.length} coins: ${coins.map(coin => coin.symbol).join(', ')} (quotes: ${quotes.join(', ')})`);
+  return { quote, quotes, coins, lookup: buildLookup(coins) };
+}
+
+// Lookup by id, ticker, exchange ticker and aliases - all lower case
+function buildLookup(coins) {
+  const lookup = new Map();
+  coins.forEach(coin => {
+    [coin.id, coin.symbol.toLowerCase(), coin.exchangeSymbol.toLowerCase(), ...coin.aliases].forEach(key => {
+      const existing = lookup.get(key);
+      if (existing && existing !== coin) throw new Error(`Coin name "${key}" is used by both ${existing.id} and ${coin.id}`);
+      lookup.set(key, coin);
+    });
+  });
+  return lookup;
+}
+
+let registry = loadCoinRegistry();
+
+// Coin for an id, ticker, exchange ticker or alias (case-insensitive), or null
+function getCoin(name) {
+  return registry.lookup.get(String(name || '').toLowerCase()) || null;
+}
+
+function getCoins() {
+  return registry.coins;
+}
+
+function getCoinIds() {
+  return registry.coins.map(coin => coin.id);
+}
+
+// Default quote currency - the one the scanner, alerts, notifications and paper trading run on
+function getDefaultQuote() {
+  return registry.quote;
+}
+
+function getQuotes() {
+  return registry.quotes;
+}
+
+// Exchange ticker for a coin quoted in `quote` (default quote when omitted), or null if there's no such pair
+function getPair(coin, quote = registry.quote) {
+  return coin.pairs[String(quote).toUpperCase()] || null;
+}
+
+/**
+ * Check the loaded pairs against an exchange info response (Binance /api/v3/exchangeInfo) - used at
+ * startup when no saved dump is configured. Unlisted quotes are dropped from `pairs`, coins without
+ * a default-quote pair entirely. Throws (keeping the current registry) when no coin would be left.
+ */
+function validatePairs(exchangeInfo) {
+  const copies = registry.coins.map(coin => ({ ...coin, pairs: { ...coin.pairs } }));
+  const coins = applyExchangeInfo(copies, exchangeInfo, registry.quote);
+  if (coins.length === 0) throw new Error('None of the configured coins trades on the exchange');
+
+  registry = { ...registry, coins, lookup: buildLookup(coins) };
+  return coins;
+}
+
+// Swap in another registry (tests, or a refreshed exchange info dump)
+function reloadCoinRegistry(file, exchangeInfoFile) {
+  registry = loadCoinRegistry(file, exchangeInfoFile);
+  return registry.coins;
+}
+
+module.exports = {
+  loadCoinRegistry,
+  reloadCoinRegistry,
+  validatePairs,
+  getCoin,
+  getCoins,
+  getCoinIds,
+  getDefaultQuote,
+  getQuotes,
+  getPair
+};
@@ -0,0 +1,227 @@
+const nodemailer = require('nodemailer');
+const { TIMEFRAMES } = require('./candleProvider');
+const { getDefaultQuote } = require('./coinRegistry');
+const { formatQuotePrice } = require('./priceFormat');
+
+// Email digest - HTML summary of signals, signal changes and paper P&L sent over SMTP
+const DIGEST_SCHEDULE = process.env.DIGEST_SCHEDULE || 'off'; // daily, weekly or off
+const DIGEST_HOUR_UTC = parseInt(process.env.DIGEST_HOUR_UTC || '7');
+const DIGEST_TO = process.env.DIGEST_TO || '';
+const DIGEST_FROM = process.env.DIGEST_FROM || 'Notify Trading Bot <bot@localhost>';
+
+const PERIOD_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+
+const SIGNAL_COLORS = { BUY: '#2ecc71', SELL: '#e74c3c', NEUTRAL: '#f39c12' };
+
+const state = {
+  timer: null,
+  schedule: null,
+  nextRunAt: null,
+  lastSentAt: null,
+  lastError: null
+};
+
+let transporter = null;
+
+// SMTP_HOST=localhost SMTP_PORT=1025 points this at a local sink (MailHog, smtp4dev...)
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT || '587'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transporter;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Paper account amounts are kept in the default quote currency
+function formatAmount(value) {
+  return `${value.toFixed(2)} ${getDefaultQuote()}`;
+}
+
+function formatMoney(value) {
+  return `${value >= 0 ? '+' : '-'}${formatAmount(Math.abs(value))}`;
+}
+
+const cellStyle = 'padding:6px 10px;border:1px solid #ddd;';
+
+function renderSignalTable(coins, snapshots) {
+  const header = TIMEFRAMES.map(timeframe => `<th style="${cellStyle}">${timeframe}</th>`).join('');
+  const rows = coins.map(coin => {
+    const rowsByTimeframe = {};
+    (snapshots[coin.id] || []).forEach(row => { rowsByTimeframe[row.timeframe] = row; });
+
+    const cells = TIMEFRAMES.map(timeframe => {
+      const row = rowsByTimeframe[timeframe];
+      if (!row) return `<td style="${cellStyle}color:#999;">-</td>`;
+      return `<td style="${cellStyle}color:${SIGNAL_COLORS[row.signal]};font-weight:bold;">${row.signal} ${row.confidence}%</td>`;
+    }).join('');
+
+    const latest = rowsByTimeframe['1m'];
+    const price = latest ? formatQuotePrice(latest.price, latest.quote || getDefaultQuote()) : '-';
+    return `<tr><td style="${cellStyle}"><b>${escapeHtml(coin.symbol)}</b></td><td style="${cellStyle}">${price}</td>${cells}</tr>`;
+  }).join('');
+
+  return `<table style="border-collapse:collapse;font-size:13px;"><tr><th style="${cellStyle}">Coin</th><th style="${cellStyle}">Price</th>${header}</tr>${rows}</table>`;
+}
+
+function renderChangesTable(signalChanges) {
+  if (signalChanges.length === 0) return '<p style="color:#999;">No signal changes in this period.</p>';
+
+  const rows = signalChanges.map(log => `<tr>
+    <td style="${cellStyle}">${new Date(log.time).toISOString().replace('T', ' ').slice(0, 16)}</td>
+    <td style="${cellStyle}">${escapeHtml(log.coin)}</td>
+    <td style="${cellStyle}">${log.timeframe}</td>
+    <td style="${cellStyle}">${log.oldSignal} → <b style="color:${SIGNAL_COLORS[log.newSignal]};">${log.newSignal}</b></td>
+    <td style="${cellStyle}">${log.confidence}%</td>
+    <td style="${cellStyle}">${escapeHtml(log.reason || '')}</td>
+  </tr>`).join('');
+
+  return `<table style="border-collapse:collapse;font-size:13px;"><tr>
+    <th style="${cellStyle}">Time (UTC)</th><th style="${cellStyle}">Coin</th><th style="${cellStyle}">TF</th>
+    <th style="${cellStyle}">Change</th><th style="${cellStyle}">Confidence</th><th style="${cellStyle}">Reason</th>
+  </tr>${rows}</table>`;
+}
+
+function renderPortfolio(portfolio, closedTrades) {
+  const { stats } = portfolio;
+  const periodProfit = closedTrades.reduce((sum, trade) => sum + trade.profit, 0);
+  const winRate = stats.totalTrades > 0 ? (stats.winningTrades / stats.totalTrades) * 100 : 0;
+
+  const items = [
+    ['Equity', formatAmount(portfolio.equity)],
+    ['Cash balance', formatAmount(portfolio.balance)],
+    ['Total P&L', formatMoney(stats.totalProfit)],
+    ['P&L this period', `${formatMoney(periodProfit)} (${closedTrades.length} closed trades)`],
+    ['Win rate', `${winRate.toFixed(1)}% of ${stats.totalTrades}`],
+    ['Best / worst trade', `${stats.bestTrade.toFixed(2)}% / ${stats.worstTrade.toFixed(2)}%`],
+    ['Open positions', portfolio.openPositions]
+  ];
+
+  return `<table style="border-collapse:collapse;font-size:13px;">${items
+    .map(([label, value]) => `<tr><td style="${cellStyle}">${label}</td><td style="${cellStyle}"><b>${value}</b></td></tr>`)
+    .join('')}</table>`;
+}
+
+/**
+ * Render the digest. data: { coins, snapshots (coinId -> rows), logs (newest first, as /api/logs),
+ * portfolio (paper summary), closedPositions }. Only logs / trades inside the period are included.
+ */
+function renderDigest(period, data, now = Date.now()) {
+  if (!PERIOD_MS[period]) throw new Error(`Unsupported digest period: ${period}. Use daily or weekly`);
+  const since = now - PERIOD_MS[period];
+
+  const signalChanges = data.logs.filter(log => Date.parse(log.time) >= since);
+  const closedTrades = data.closedPositions.filter(position => Date.parse(position.closedAt) >= since);
+  const title = `${period === 'daily' ? 'Daily' : 'Weekly'} signal digest - ${new Date(now).toISOString().slice(0, 10)}`;
+
+  const html = `<div style="font-family:Arial,sans-serif;color:#2c3e50;">
+  <h2>📊 ${title}</h2>
+  <h3>Current signals</h3>
+  ${renderSignalTable(data.coins, data.snapshots)}
+  <h3>Signal changes (${signalChanges.length})</h3>
+  ${renderChangesTable(signalChanges)}
+  <h3>💼 Paper portfolio</h3>
+  ${renderPortfolio(data.portfolio, closedTrades)}
+  <p style="color:#999;font-size:11px;">Generated ${new Date(now).toISOString()} by Notify Trading Bot.</p>
+</div>`;
+
+  const text = [
+    title,
+    `Signal changes: ${signalChanges.length}`,
+    ...signalChanges.map(log => `${log.time} ${log.coin} ${log.timeframe}: ${log.oldSignal} -> ${log.newSignal} (${log.confidence}%)`),
+    `Paper equity: ${formatAmount(data.portfolio.equity)}, period P&L ${formatMoney(closedTrades.reduce((sum, trade) => sum + trade.profit, 0))}`
+  ].join('\n');
+
+  return { subject: `📊 ${title}`, html, text };
+}
+
+async function sendDigest(period, data, to = DIGEST_TO) {
+  if (!to) throw new Error('No digest recipients - set DIGEST_TO');
+
+  const digest = renderDigest(period, data);
+  try {
+    const info = await getTransporter().sendMail({ from: DIGEST_FROM, to, ...digest });
+    state.lastSentAt = new Date().toISOString();
+    state.lastError = null;
+    console.log(`📧 ${period} digest sent to ${to} (${info.messageId})`);
+    return { to, subject: digest.subject, messageId: info.messageId };
+  } catch (error) {
+    state.lastError = error.message;
+    throw error;
+  }
+}
+
+// Next DIGEST_HOUR_UTC; weekly digests go out on Mondays
+function nextRunTime(schedule, now = Date.now()) {
+  const next = new Date(now);
+  next.setUTCHours(DIGEST_HOUR_UTC, 0, 0, 0);
+  if (next.getTime() <= now) next.setUTCDate(next.getUTCDate() + 1);
+  if (schedule === 'weekly') {
+    while (next.getUTCDay() !== 1) next.setUTCDate(next.getUTCDate() + 1);
+  }
+  return next.getTime();
+}
+
+/**
+ * Start the digest schedule (DIGEST_SCHEDULE=daily|weekly). `collect` returns the render data
+ * at send time, so the digest always reflects the latest snapshots and portfolio.
+ */
+function startDigestScheduler(collect, schedule = DIGEST_SCHEDULE) {
+  if (!PERIOD_MS[schedule] || state.timer) return;
+  state.schedule = schedule;
+
+  const scheduleNext = () => {
+    const runAt = nextRunTime(schedule);
+    state.nextRunAt = new Date(runAt).toISOString();
+    state.timer = setTimeout(async () => {
+      try {
+        await sendDigest(schedule, collect());
+      } catch (error) {
+        console.error(`❌ ${schedule} digest failed:`, error.message);
+      }
+      scheduleNext();
+    }, runAt - Date.now());
+  };
+
+  scheduleNext();
+  console.log(`📧 ${schedule} email digest scheduled, next at ${state.nextRunAt}`);
+}
+
+function stopDigestScheduler() {
+  if (state.timer) clearTimeout(state.timer);
+  state.timer = null;
+  state.nextRunAt = null;
+}
+
+function getDigestStatus() {
+  return {
+    schedule: state.timer ? state.schedule : 'off',
+    nextRunAt: state.nextRunAt,
+    lastSentAt: state.lastSentAt,
+    lastError: state.lastError,
+    recipients: DIGEST_TO ? DIGEST_TO.split(',').map(address => address.trim()) : []
+  };
+}
+
+module.exports = {
+  renderDigest,
+  sendDigest,
+  nextRunTime,
+  startDigestScheduler,
+  stopDigestScheduler,
+  getDigestStatus
+};
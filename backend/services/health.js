@@ -0,0 +1,150 @@
+const fs = require('fs');
+const { version } = require('../package.json');
+const { DATA_DIR } = require('./jsonStore');
+const { getCandleProvider } = require('./candleProvider');
+const { getStoreStatus } = require('./candleStore');
+const { getScannerStatus } = require('./scanner');
+const { getBreakerStatuses } = require('./circuitBreaker');
+const { getTickerStatus } = require('./tickerStream');
+const { getCoin, getCoins, getPair } = require('./coinRegistry');
+
+// Liveness (/health) and readiness (/ready) reports for the deployment health check and the dashboard banner
+const SCHEDULER_LAG_WARN_MS = parseInt(process.env.SCHEDULER_LAG_WARN_MS || '10000');
+const SCHEDULER_STALL_MS = 3 * 60 * 1000; // A running scanner ticks every minute
+const PROBE_TTL_MS = parseInt(process.env.HEALTH_PROBE_TTL_MS || '60000'); // Don't hit the exchange on every health check
+const PROBE_COIN = 'bitcoin'; // Most liquid pair; the first registry coin when it isn't configured
+
+const startedAt = new Date();
+let lastProbe = null;
+
+// Check status: ok, degraded, down or disabled. Only `critical` checks that are down make the backend not ready.
+function check(status, critical, details) {
+  return { status, critical, ...details };
+}
+
+function checkStore() {
+  try {
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    fs.accessSync(DATA_DIR, fs.constants.W_OK);
+  } catch (error) {
+    return check('down', true, { dataDir: DATA_DIR, error: error.message });
+  }
+
+  const { series } = getStoreStatus();
+  const syncs = series.map(entry => entry.lastSync).filter(Boolean).sort();
+  return check('ok', true, {
+    dataDir: DATA_DIR,
+    cachedSeries: series.length,
+    lastSync: syncs.length ? syncs[syncs.length - 1] : null
+  });
+}
+
+function checkScheduler() {
+  const scanner = getScannerStatus();
+  if (!scanner.running) return check('disabled', false, { running: false });
+
+  const details = {
+    running: true,
+    lastTickAt: scanner.lastTickAt,
+    lagMs: scanner.lastTickLagMs,
+    lastScanDurationMs: scanner.lastScanDurationMs,
+    scans: scanner.scans,
+    errors: scanner.errors
+  };
+  // Before the first tick only the boot scan has run - nothing to measure yet
+  if (!scanner.lastTickAt) return check('ok', false, details);
+
+  const sinceTickMs = Date.now() - new Date(scanner.lastTickAt).getTime();
+  if (sinceTickMs > SCHEDULER_STALL_MS) return check('down', false, { ...details, error: `No tick for ${Math.round(sinceTickMs / 1000)}s` });
+  if (scanner.lastTickLagMs > SCHEDULER_LAG_WARN_MS) return check('degraded', false, { ...details, error: `Tick lag ${scanner.lastTickLagMs}ms` });
+  return check('ok', false, details);
+}
+
+// Price sources are reachable as long as their circuit isn't open
+function checkPriceSources() {
+  const providers = getBreakerStatuses().map(status => ({ name: status.name, state: status.state, errorRate: status.errorRate }));
+  const reachable = providers.filter(provider => provider.state !== 'open');
+  const status = reachable.length === providers.length ? 'ok' : (reachable.length > 0 ? 'degraded' : 'down');
+  return check(status, false, { reachable: reachable.length, total: providers.length, providers });
+}
+
+function checkTicker() {
+  const ticker = getTickerStatus();
+  if (ticker.mode === 'off') return check('disabled', false, { mode: 'off' });
+  return check(ticker.connected ? 'ok' : 'degraded', false, {
+    mode: ticker.mode,
+    connected: ticker.connected,
+    lastMessageAt: ticker.lastMessageAt
+  });
+}
+
+// Fetch one candle from the active provider, cached for PROBE_TTL_MS
+async function probeCandleProvider() {
+  if (lastProbe && Date.now() - lastProbe.checkedAt < PROBE_TTL_MS) return lastProbe.result;
+
+  const provider = getCandleProvider();
+  // Default-quote pair of the probe coin - a registry with another quote (e.g. EUR) has no BTCUSDT
+  const symbol = getPair(getCoin(PROBE_COIN) || getCoins()[0]);
+  const started = Date.now();
+  let result;
+  try {
+    await provider.fetchCandles(symbol, '1m', 1);
+    result = check('ok', true, { provider: provider.name, symbol, latencyMs: Date.now() - started });
+  } catch (error) {
+    result = check('down', true, { provider: provider.name, symbol, latencyMs: Date.now() - started, error: error.message });
+  }
+
+  result.checkedAt = new Date().toISOString();
+  lastProbe = { checkedAt: Date.now(), result };
+  return result;
+}
+
+function baseReport() {
+  return {
+    version,
+    commit: process.env.RENDER_GIT_COMMIT || null,
+    node: process.version,
+    startedAt: startedAt.toISOString(),
+    uptimeSeconds: Math.round(process.uptime()),
+    time: new Date().toISOString()
+  };
+}
+
+// Overall status from the checks: not-ready if a critical one is down, degraded if anything else is off
+function summarize(checks) {
+  const values = Object.values(checks);
+  if (values.some(entry => entry.critical && entry.status === 'down')) return 'not-ready';
+  if (values.some(entry => entry.status === 'down' || entry.status === 'degraded')) return 'degraded';
+  return 'ready';
+}
+
+// Liveness: answers as long as the process does, with the cheap in-process checks only
+function getLiveness() {
+  return {
+    status: 'ok',
+    ...baseReport(),
+    checks: {
+      store: checkStore(),
+      scheduler: checkScheduler(),
+      priceSources: checkPriceSources(),
+      tickerStream: checkTicker()
+    }
+  };
+}
+
+// Readiness: the liveness checks plus an actual (cached) round trip to the candle provider
+async function getReadiness() {
+  const checks = {
+    store: checkStore(),
+    candleProvider: await probeCandleProvider(),
+    scheduler: checkScheduler(),
+    priceSources: checkPriceSources(),
+    tickerStream: checkTicker()
+  };
+  return { status: summarize(checks), ...baseReport(), checks };
+}
+
+module.exports = {
+  getLiveness,
+  getReadiness
+};
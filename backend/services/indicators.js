@@ -0,0 +1,192 @@
+const ta = require('@my-notify-bot/indicators');
+
+// Full indicator suite per timeframe - every indicator computed from real OHLCV candles and casting its own BUY/SELL vote
+const { INDICATORS } = ta;
+
+const ADX_TREND_THRESHOLD = 25; // Below this there's no trend worth following
+const VWAP_PERIOD = 20; // Rolling VWAP - a cumulative one over 400 daily candles would say nothing about today
+const VOLUME_PROFILE_BARS = 100; // Candles the volume profile is built from
+const VOLUME_PROFILE_ROWS = 24; // Price bins
+
+function last(values) {
+  return values.length > 0 ? values[values.length - 1] : undefined;
+}
+
+function round(value, decimals = 4) {
+  return typeof value === 'number' && Number.isFinite(value) ? parseFloat(value.toFixed(decimals)) : null;
+}
+
+// Not enough candles for the period yet - no value, no vote
+const NO_DATA = { value: null, signal: 'NEUTRAL' };
+
+// Oversold below `buyBelow` -> BUY, overbought above `sellAbove` -> SELL
+function oscillatorVote(value, buyBelow, sellAbove) {
+  if (value < buyBelow) return 'BUY';
+  if (value > sellAbove) return 'SELL';
+  return 'NEUTRAL';
+}
+
+const calculators = {
+  rsi({ close }) {
+    const value = last(ta.rsi(close, 14));
+    if (value === undefined) return NO_DATA;
+    return { value: round(value, 2), signal: oscillatorVote(value, 30, 70) };
+  },
+
+  macd({ close }) {
+    const value = last(ta.macd(close, 12, 26, 9));
+    if (!value || value.histogram === undefined) return NO_DATA;
+    return {
+      value: { MACD: round(value.MACD, 6), signal: round(value.signal, 6), histogram: round(value.histogram, 6) },
+      signal: value.histogram > 0 ? 'BUY' : value.histogram < 0 ? 'SELL' : 'NEUTRAL'
+    };
+  },
+
+  // %K under 20 turning up through %D is a buy, over 80 turning down a sell
+  stoch({ high, low, close }) {
+    const value = last(ta.stochastic(high, low, close, 14, 3));
+    if (!value || value.d === undefined) return NO_DATA;
+    let signal = 'NEUTRAL';
+    if (value.k < 20 && value.k > value.d) signal = 'BUY';
+    else if (value.k > 80 && value.k < value.d) signal = 'SELL';
+    return { value: { k: round(value.k, 2), d: round(value.d, 2) }, signal };
+  },
+
+  bollinger({ close }) {
+    const value = last(ta.bollinger(close, 20, 2));
+    if (!value) return NO_DATA;
+    const price = last(close);
+    return {
+      value: { upper: round(value.upper, 8), middle: round(value.middle, 8), lower: round(value.lower, 8), percentB: round(value.pb, 4) },
+      signal: price < value.lower ? 'BUY' : price > value.upper ? 'SELL' : 'NEUTRAL'
+    };
+  },
+
+  ema50({ close }) {
+    return emaVote(close, 50);
+  },
+
+  ema200({ close }) {
+    return emaVote(close, 200);
+  },
+
+  // ADX only says how strong the trend is - the direction comes from +DI vs -DI
+  adx({ high, low, close }) {
+    const value = last(ta.adx(high, low, close, 14));
+    if (!value) return NO_DATA;
+    let signal = 'NEUTRAL';
+    if (value.adx >= ADX_TREND_THRESHOLD) signal = value.pdi > value.mdi ? 'BUY' : 'SELL';
+    return { value: { adx: round(value.adx, 2), pdi: round(value.pdi, 2), mdi: round(value.mdi, 2) }, signal };
+  },
+
+  cci({ high, low, close }) {
+    const value = last(ta.cci(high, low, close, 20));
+    if (value === undefined) return NO_DATA;
+    return { value: round(value, 2), signal: oscillatorVote(value, -100, 100) };
+  },
+
+  willr({ high, low, close }) {
+    const value = last(ta.williamsR(high, low, close, 14));
+    if (value === undefined) return NO_DATA;
+    return { value: round(value, 2), signal: oscillatorVote(value, -80, -20) };
+  },
+
+  // Momentum as the 10-bar rate of change in %
+  mom({ close }) {
+    const value = last(ta.roc(close, 10));
+    if (value === undefined) return NO_DATA;
+    return { value: round(value, 2), signal: value > 0 ? 'BUY' : value < 0 ? 'SELL' : 'NEUTRAL' };
+  },
+
+  // Volume flowing in faster than its 20-bar average (OBV above its EMA) backs the buyers
+  obv({ close, volume }) {
+    const values = ta.obv(close, volume);
+    const value = last(values);
+    const average = last(ta.ema(values, 20));
+    if (average === undefined) return NO_DATA;
+    return {
+      value: { obv: round(value, 2), ema: round(average, 2) },
+      signal: value > average ? 'BUY' : value < average ? 'SELL' : 'NEUTRAL'
+    };
+  },
+
+  vwap({ high, low, close, volume }) {
+    const value = last(ta.vwap(high, low, close, volume, VWAP_PERIOD));
+    if (value === undefined) return NO_DATA;
+    const price = last(close);
+    return { value: round(value, 8), signal: price > value ? 'BUY' : price < value ? 'SELL' : 'NEUTRAL' };
+  },
+
+  // Volume-weighted RSI - oversold under 20, overbought over 80
+  mfi({ high, low, close, volume }) {
+    const value = last(ta.mfi(high, low, close, volume, 14));
+    if (value === undefined) return NO_DATA;
+    return { value: round(value, 2), signal: oscillatorVote(value, 20, 80) };
+  },
+
+  vwmacd({ close, volume }) {
+    const value = last(ta.vwmacd(close, volume, 12, 26, 9));
+    if (!value || value.histogram === undefined) return NO_DATA;
+    return {
+      value: { MACD: round(value.MACD, 6), signal: round(value.signal, 6), histogram: round(value.histogram, 6) },
+      signal: value.histogram > 0 ? 'BUY' : value.histogram < 0 ? 'SELL' : 'NEUTRAL'
+    };
+  },
+
+  // Price outside the value area tends to return to it - below is a buy, above a sell
+  vprofile({ high, low, close, volume }) {
+    const profile = ta.volumeProfile(
+      high.slice(-VOLUME_PROFILE_BARS),
+      low.slice(-VOLUME_PROFILE_BARS),
+      volume.slice(-VOLUME_PROFILE_BARS),
+      VOLUME_PROFILE_ROWS
+    );
+    if (!profile) return NO_DATA;
+    const price = last(close);
+    return {
+      value: { poc: round(profile.poc, 8), vah: round(profile.valueAreaHigh, 8), val: round(profile.valueAreaLow, 8) },
+      signal: price < profile.valueAreaLow ? 'BUY' : price > profile.valueAreaHigh ? 'SELL' : 'NEUTRAL'
+    };
+  }
+};
+
+// Price above the EMA is an uptrend vote, below a downtrend vote
+function emaVote(close, period) {
+  const value = last(ta.ema(close, period));
+  if (value === undefined) return NO_DATA;
+  const price = last(close);
+  return { value: round(value, 8), signal: price > value ? 'BUY' : price < value ? 'SELL' : 'NEUTRAL' };
+}
+
+/**
+ * Compute the whole suite on candles (oldest first). `currentPrice` pins the in-progress bar
+ * to the realtime price, like the strategy evaluation does.
+ * Returns { indicators: { rsi: { value, signal }, ... }, votes: { buy, sell, neutral } }.
+ */
+function computeIndicatorSuite(candles, currentPrice) {
+  const high = candles.map(candle => candle.high);
+  const low = candles.map(candle => candle.low);
+  const close = candles.map(candle => candle.close);
+  const volume = candles.map(candle => candle.volume || 0);
+
+  if (currentPrice !== undefined && close.length > 0) {
+    const lastIndex = close.length - 1;
+    close[lastIndex] = currentPrice;
+    high[lastIndex] = Math.max(high[lastIndex], currentPrice);
+    low[lastIndex] = Math.min(low[lastIndex], currentPrice);
+  }
+
+  const indicators = {};
+  const votes = { buy: 0, sell: 0, neutral: 0 };
+  INDICATORS.forEach(name => {
+    indicators[name] = calculators[name]({ high, low, close, volume });
+    votes[indicators[name].signal.toLowerCase()]++;
+  });
+
+  return { indicators, votes };
+}
+
+module.exports = {
+  INDICATORS,
+  computeIndicatorSuite
+};
@@ -0,0 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+
+// Shared on-disk location for everything the backend persists between restarts
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+function dataPath(name) {
+  return path.join(DATA_DIR, name);
+}
+
+// Read a JSON document from DATA_DIR, falling back to a default when missing or unreadable
+function readJson(name, fallback) {
+  const file = dataPath(name);
+  if (!fs.existsSync(file)) return fallback;
+
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    console.log(`⚠️ Could not read ${file}, using defaults:`, error.message);
+    return fallback;
+  }
+}
+
+// Write via a temp file + rename so a crash never leaves half-written JSON behind
+function writeJson(name, data) {
+  const file = dataPath(name);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, JSON.stringify(data, null, 2));
+  fs.renameSync(`${file}.tmp`, file);
+}
+
+module.exports = {
+  DATA_DIR,
+  dataPath,
+  readJson,
+  writeJson
+};
@@ -0,0 +1,116 @@
+const ta = require('@my-notify-bot/indicators');
+
+// Support / resistance per timeframe - swing points clustered into zones, plus pivots of the last closed bar
+const LEVEL_BARS = 200;          // Candles searched for swing points
+const SWING_STRENGTH = 3;        // Bars on each side a swing high / low has to beat
+const ZONE_ATR_FACTOR = 0.5;     // Swing points within half an ATR form one zone
+const ZONES_PER_SIDE = 3;        // Nearest zones returned above / below the price
+const RECENT_SWINGS = 5;
+const ANCHOR_BUFFER = 0.001;     // SL/TP sit 0.1% beyond / before the level, not on it
+const MAX_ANCHOR_DISTANCE = 0.15; // Levels further than 15% from the entry are ignored
+
+function round(value, decimals = 8) {
+  return typeof value === 'number' && Number.isFinite(value) ? parseFloat(value.toFixed(decimals)) : null;
+}
+
+function roundZone(zone) {
+  return { low: round(zone.low), high: round(zone.high), price: round(zone.price), touches: zone.touches };
+}
+
+function roundLevels(levels) {
+  const result = {};
+  Object.entries(levels).forEach(([key, value]) => { result[key] = round(value); });
+  return result;
+}
+
+/**
+ * Levels for one timeframe from its candles (oldest first, the last one in progress and pinned
+ * to `currentPrice`). Returns { support, resistance, pivots: { classic, fibonacci }, swingHighs, swingLows }
+ * - support / resistance are zones ({ low, high, price, touches }) nearest to the price first.
+ */
+function computeLevels(candles, currentPrice) {
+  const recent = candles.slice(-LEVEL_BARS);
+  const high = recent.map(candle => candle.high);
+  const low = recent.map(candle => candle.low);
+  const close = recent.map(candle => candle.close);
+
+  if (recent.length > 0) {
+    const lastIndex = recent.length - 1;
+    close[lastIndex] = currentPrice;
+    high[lastIndex] = Math.max(high[lastIndex], currentPrice);
+    low[lastIndex] = Math.min(low[lastIndex], currentPrice);
+  }
+
+  const swings = ta.swingPoints(high, low, SWING_STRENGTH);
+  const atr = ta.atr(high, low, close, 14);
+  const tolerance = atr.length > 0 ? atr[atr.length - 1] * ZONE_ATR_FACTOR : currentPrice * 0.005;
+  const zones = ta.clusterLevels(swings.map(swing => swing.price), tolerance);
+
+  // A zone the price is trading inside is neither support nor resistance right now
+  const support = zones.filter(zone => zone.high < currentPrice).reverse().slice(0, ZONES_PER_SIDE);
+  const resistance = zones.filter(zone => zone.low > currentPrice).slice(0, ZONES_PER_SIDE);
+
+  const previous = recent[recent.length - 2];
+  const pivots = previous ? ta.pivotPoints(previous.high, previous.low, previous.close) : null;
+
+  return {
+    support: support.map(roundZone),
+    resistance: resistance.map(roundZone),
+    pivots: pivots ? { classic: roundLevels(pivots.classic), fibonacci: roundLevels(pivots.fibonacci) } : null,
+    swingHighs: swings.filter(swing => swing.type === 'high').slice(-RECENT_SWINGS).map(swing => round(swing.price)),
+    swingLows: swings.filter(swing => swing.type === 'low').slice(-RECENT_SWINGS).map(swing => round(swing.price))
+  };
+}
+
+// Support candidates below `price` (zones, then classic pivots as single-price zones), nearest first
+function levelsBelow(levels, price) {
+  const pivots = levels.pivots ? Object.values(levels.pivots.classic).map(value => ({ low: value, high: value })) : [];
+  return [...levels.support, ...pivots]
+    .filter(zone => zone.high < price && (price - zone.low) / price <= MAX_ANCHOR_DISTANCE)
+    .sort((a, b) => b.high - a.high);
+}
+
+function levelsAbove(levels, price) {
+  const pivots = levels.pivots ? Object.values(levels.pivots.classic).map(value => ({ low: value, high: value })) : [];
+  return [...levels.resistance, ...pivots]
+    .filter(zone => zone.low > price && (zone.high - price) / price <= MAX_ANCHOR_DISTANCE)
+    .sort((a, b) => a.low - b.low);
+}
+
+/**
+ * Move a signal's stop-loss behind the nearest level on the losing side and its take-profit in
+ * front of the nearest level on the winning side that still pays at least the risk (1:1).
+ * Sides without a usable level keep the percentage-based price. Returns
+ * { stopLoss, takeProfit, anchors: { stopLoss, takeProfit } } with 'support', 'resistance' or null per anchor.
+ */
+function anchorLevels(signal, { entryPrice, stopLoss, takeProfit }, levels) {
+  const result = { stopLoss, takeProfit, anchors: { stopLoss: null, takeProfit: null } };
+  if (!levels) return result;
+
+  const below = levelsBelow(levels, entryPrice);
+  const above = levelsAbove(levels, entryPrice);
+  const isShort = signal === 'SELL';
+
+  // BUY and NEUTRAL levels are long-side: stop under support, target under resistance
+  const stopZone = isShort ? above[0] : below[0];
+  if (stopZone) {
+    result.stopLoss = isShort ? stopZone.high * (1 + ANCHOR_BUFFER) : stopZone.low * (1 - ANCHOR_BUFFER);
+    result.anchors.stopLoss = isShort ? 'resistance' : 'support';
+  }
+
+  const risk = Math.abs(entryPrice - result.stopLoss);
+  const targets = (isShort ? below : above)
+    .map(zone => (isShort ? zone.high * (1 + ANCHOR_BUFFER) : zone.low * (1 - ANCHOR_BUFFER)))
+    .filter(price => Math.abs(price - entryPrice) >= risk && (isShort ? price < entryPrice : price > entryPrice));
+  if (targets.length > 0) {
+    result.takeProfit = targets[0];
+    result.anchors.takeProfit = isShort ? 'support' : 'resistance';
+  }
+
+  return result;
+}
+
+module.exports = {
+  computeLevels,
+  anchorLevels
+};
@@ -0,0 +1,411 @@
+const { readJson, writeJson } = require('./jsonStore');
+const { TIMEFRAMES } = require('./candleProvider');
+const { getTelegramTransport } = require('./telegram');
+const { generateSecret, validateWebhookUrl, postWebhook } = require('./webhooks');
+const { validatePushSubscription, sendPush } = require('./webPush');
+const { describeAlert } = require('./alerts');
+const { getCoin, getCoinIds, getDefaultQuote } = require('./coinRegistry');
+const { formatQuotePrice } = require('./priceFormat');
+
+// Notifier - turns signal flips / confidence crossings and triggered alerts into messages for subscribed users
+const SUBSCRIPTIONS_FILE = 'subscriptions.json';
+const SIGNALS = ['BUY', 'SELL', 'NEUTRAL'];
+const MAX_DELIVERIES = 500;
+
+let subscriptions = readJson(SUBSCRIPTIONS_FILE, []);
+
+// Last evaluated row per coin/timeframe - the baseline for flip and threshold detection
+const lastRows = new Map();
+
+// Recent delivery attempts, newest first
+const deliveries = [];
+
+// Delivery channels by subscription.channel
+// target(input) validates the channel-specific fields, send(subscription, event, delivery) delivers one event
+const channels = {
+  telegram: {
+    transportName: () => getTelegramTransport().name,
+    target: ({ chatId }) => {
+      if (chatId === undefined || chatId === null || chatId === '') throw new Error('chatId is required');
+      return { chatId: String(chatId) };
+    },
+    send: (subscription, event) => getTelegramTransport().sendMessage(subscription.chatId, formatMessage(event)),
+    test: (subscription) => getTelegramTransport().sendMessage(subscription.chatId, `✅ Notify Trading Bot: test message for ${subscription.user}`)
+  },
+  webhook: {
+    transportName: () => 'http',
+    target: ({ url, secret }) => {
+      return { url: validateWebhookUrl(url || ''), secret: secret || generateSecret() };
+    },
+    send: (subscription, event, delivery) => postWebhook({
+      url: subscription.url,
+      secret: subscription.secret,
+      event: eventName(event),
+      payload: buildEventPayload(event),
+      delivery
+    }),
+    test: (subscription) => postWebhook({
+      url: subscription.url,
+      secret: subscription.secret,
+      event: 'ping',
+      payload: { event: 'ping', user: subscription.user, time: new Date().toISOString() },
+      delivery: { id: `test-${Date.now()}` }
+    })
+  },
+  webpush: {
+    transportName: () => 'webpush',
+    target: ({ pushSubscription }) => ({ pushSubscription: validatePushSubscription(pushSubscription) }),
+    send: (subscription, event) => sendPush(subscription.pushSubscription, buildPushNotification(event))
+      .catch(error => {
+        // 404/410: the browser unsubscribed - stop pushing to it
+        if (error.statusCode === 404 || error.statusCode === 410) removeSubscription(subscription.id);
+        throw error;
+      }),
+    test: (subscription) => sendPush(subscription.pushSubscription, {
+      title: '✅ Notify Trading Bot',
+      body: `Test notification for ${subscription.user}`,
+      tag: 'test'
+    })
+  }
+};
+
+// Fields that stay server-side once stored (webhook secret, browser push keys)
+const PRIVATE_FIELDS = ['secret', 'pushSubscription'];
+
+function save() {
+  writeJson(SUBSCRIPTIONS_FILE, subscriptions);
+}
+
+function validateList(values, allowed, field) {
+  if (values === undefined) return [];
+  if (!Array.isArray(values)) throw new Error(`${field} must be an array`);
+  const invalid = values.filter(value => !allowed.includes(value));
+  if (invalid.length > 0) {
+    throw new Error(`Unsupported ${field}: ${invalid.join(', ')}. Supported: ${allowed.join(', ')}`);
+  }
+  return values;
+}
+
+// Aliases and tickers ('xrp', 'BTC') are stored as registry coin ids so matching stays a plain id compare
+function validateCoins(values) {
+  if (values === undefined) return [];
+  if (!Array.isArray(values)) throw new Error('coins must be an array');
+  const invalid = values.filter(value => !getCoin(value));
+  if (invalid.length > 0) {
+    throw new Error(`Unsupported coins: ${invalid.join(', ')}. Supported: ${getCoinIds().join(', ')}`);
+  }
+  return Array.from(new Set(values.map(value => getCoin(value).id)));
+}
+
+function validatePercent(value, field) {
+  if (typeof value !== 'number' || value < 0 || value > 100) {
+    throw new Error(`${field} must be a number between 0 and 100`);
+  }
+  return value;
+}
+
+// { start: 'HH:MM', end: 'HH:MM', utcOffsetMinutes } in the subscriber's local time
+function validateQuietHours(quietHours) {
+  if (!quietHours) return null;
+  const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (!time.test(quietHours.start || '') || !time.test(quietHours.end || '')) {
+    throw new Error('quietHours needs start and end as HH:MM');
+  }
+  return {
+    start: quietHours.start,
+    end: quietHours.end,
+    utcOffsetMinutes: parseInt(quietHours.utcOffsetMinutes || 0)
+  };
+}
+
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+// Ranges like 22:00-07:00 wrap past midnight
+function isQuietTime(quietHours, now = Date.now()) {
+  if (!quietHours) return false;
+  const local = new Date(now + quietHours.utcOffsetMinutes * 60 * 1000);
+  const minute = local.getUTCHours() * 60 + local.getUTCMinutes();
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  return start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+}
+
+/**
+ * Add a subscription rule. `coins` are coin ids (empty = every coin), `timeframes` empty = every timeframe.
+ * Flips to one of `signals` notify when confidence >= minConfidence; with `confidenceThreshold`
+ * an unchanged BUY/SELL also notifies when its confidence rises across the threshold.
+ * Throws on invalid input so routes can answer with 400.
+ */
+function addSubscription(input) {
+  const { user, channel = 'telegram', coins, timeframes, signals, minConfidence = 0, confidenceThreshold = null, quietHours } = input;
+  if (!channels[channel]) throw new Error(`Unsupported channel: ${channel}. Supported: ${Object.keys(channels).join(', ')}`);
+  const target = channels[channel].target(input);
+
+  const subscription = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    user: user || `${channel} ${target.chatId || target.url || 'browser'}`,
+    channel,
+    ...target,
+    coins: validateCoins(coins),
+    timeframes: validateList(timeframes, TIMEFRAMES, 'timeframes'),
+    signals: signals ? validateList(signals, SIGNALS, 'signals') : ['BUY', 'SELL'],
+    minConfidence: validatePercent(minConfidence, 'minConfidence'),
+    confidenceThreshold: confidenceThreshold === null ? null : validatePercent(confidenceThreshold, 'confidenceThreshold'),
+    quietHours: validateQuietHours(quietHours),
+    createdAt: new Date().toISOString()
+  };
+
+  subscriptions.push(subscription);
+  save();
+  console.log(`🔔 Subscription added for ${subscription.user} (${channel})`);
+  return subscription;
+}
+
+function removeSubscription(id) {
+  const before = subscriptions.length;
+  subscriptions = subscriptions.filter(subscription => subscription.id !== id);
+  if (subscriptions.length === before) return false;
+  save();
+  return true;
+}
+
+// Webhook secrets are only returned once, when the subscription is created
+function publicSubscription(subscription) {
+  const visible = { ...subscription };
+  PRIVATE_FIELDS.forEach(field => delete visible[field]);
+  if (subscription.secret) visible.hasSecret = true;
+  return visible;
+}
+
+function getSubscriptions(user) {
+  const matching = user ? subscriptions.filter(subscription => subscription.user === user) : subscriptions;
+  return matching.map(publicSubscription);
+}
+
+function getDeliveries(limit = 100, channel) {
+  const matching = channel ? deliveries.filter(delivery => delivery.channel === channel) : deliveries;
+  return matching.slice(0, limit);
+}
+
+function eventName(event) {
+  return event.type === 'alert' ? 'alert.triggered' : `signal.${event.type}`;
+}
+
+// A row's price field in its own quote currency (rows from before multi-quote support have none)
+function formatLevel(row, field) {
+  return formatQuotePrice(row[field], row.quote || getDefaultQuote());
+}
+
+// Plain text so no Markdown/HTML escaping is needed on the Telegram side
+function formatMessage(event) {
+  const { coin, row, previous, type } = event;
+  if (type === 'alert') {
+    const { alert } = event;
+    const lines = [`🚨 Alert: ${describeAlert(alert)}`, `Now: ${alert.triggeredValue} | Price: ${formatLevel(row, 'price')}`];
+    if (alert.note) lines.push(alert.note);
+    return lines.join('\n');
+  }
+
+  const icon = row.signal === 'BUY' ? '🟢' : row.signal === 'SELL' ? '🔴' : '🟡';
+  const macd = row.macd || { MACD: 0, histogram: 0 };
+
+  const headline = type === 'flip'
+    ? `${icon} ${coin.symbol} ${row.timeframe}: ${previous.signal} → ${row.signal} (${row.confidence}%)`
+    : `${icon} ${coin.symbol} ${row.timeframe}: ${row.signal} confidence ${previous.confidence}% → ${row.confidence}%`;
+
+  const lines = [
+    headline,
+    `Price: ${formatLevel(row, 'price')}`,
+    `Entry: ${formatLevel(row, 'entryPrice')} | SL: ${formatLevel(row, 'stopLoss')} | TP: ${formatLevel(row, 'takeProfit')}`,
+    `RSI: ${row.rsi} | MACD: ${macd.MACD.toFixed(4)} (hist ${macd.histogram.toFixed(4)})`
+  ];
+  if (row.reasons && row.reasons.length > 0) lines.push(`Why: ${row.reasons.join('; ')}`);
+  return lines.join('\n');
+}
+
+// Machine-readable event for webhooks - numbers instead of the row's formatted strings
+function buildEventPayload(event) {
+  const { coin, row, previous, type } = event;
+  if (type === 'alert') {
+    return {
+      event: eventName(event),
+      coin: coin.id,
+      symbol: coin.symbol,
+      alert: event.alert,
+      description: describeAlert(event.alert),
+      price: parseFloat(row.price),
+      time: new Date().toISOString()
+    };
+  }
+
+  return {
+    event: `signal.${type}`,
+    coin: coin.id,
+    symbol: coin.symbol,
+    timeframe: row.timeframe,
+    strategy: row.strategy,
+    signal: row.signal,
+    confidence: row.confidence,
+    previous,
+    price: parseFloat(row.price),
+    entryPrice: parseFloat(row.entryPrice),
+    stopLoss: parseFloat(row.stopLoss),
+    takeProfit: parseFloat(row.takeProfit),
+    rsi: parseFloat(row.rsi),
+    macd: row.macd,
+    reasons: row.reasons || [],
+    time: new Date().toISOString()
+  };
+}
+
+// Short title/body for a browser notification, shown by the service worker
+function buildPushNotification(event) {
+  const { coin, row, previous, type } = event;
+  if (type === 'alert') {
+    return {
+      title: `🚨 ${describeAlert(event.alert)}`,
+      body: `Now ${event.alert.triggeredValue} • Price ${formatLevel(row, 'price')}${event.alert.note ? ` • ${event.alert.note}` : ''}`,
+      tag: `alert_${event.alert.id}`,
+      data: buildEventPayload(event)
+    };
+  }
+
+  const icon = row.signal === 'BUY' ? '🟢' : row.signal === 'SELL' ? '🔴' : '🟡';
+  return {
+    title: type === 'flip'
+      ? `${icon} ${coin.symbol} ${row.timeframe}: ${previous.signal} → ${row.signal}`
+      : `${icon} ${coin.symbol} ${row.timeframe}: ${row.signal} ${row.confidence}%`,
+    body: `Confidence ${row.confidence}% • Price ${formatLevel(row, 'price')} • SL ${formatLevel(row, 'stopLoss')} • TP ${formatLevel(row, 'takeProfit')}`,
+    tag: `${coin.id}_${row.timeframe}`,
+    data: buildEventPayload(event)
+  };
+}
+
+function matchesSubscription(subscription, event) {
+  const { coin, row, previous, type } = event;
+  if (isQuietTime(subscription.quietHours)) return false;
+  if (subscription.coins.length > 0 && !subscription.coins.includes(coin.id)) return false;
+  if (subscription.timeframes.length > 0 && !subscription.timeframes.includes(row.timeframe)) return false;
+  if (!subscription.signals.includes(row.signal)) return false;
+
+  if (type === 'flip') return row.confidence >= subscription.minConfidence;
+
+  const threshold = subscription.confidenceThreshold;
+  return threshold !== null && previous.confidence < threshold && row.confidence >= threshold;
+}
+
+async function deliver(subscription, event) {
+  const channel = channels[subscription.channel];
+  const delivery = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    subscriptionId: subscription.id,
+    user: subscription.user,
+    channel: subscription.channel,
+    transport: channel.transportName(),
+    coin: event.coin.id,
+    timeframe: event.row.timeframe,
+    type: event.type,
+    signal: event.row.signal,
+    status: 'pending',
+    attempts: 1,
+    time: new Date().toISOString()
+  };
+
+  // Logged up front so retries in progress are visible in the delivery log
+  deliveries.unshift(delivery);
+  if (deliveries.length > MAX_DELIVERIES) deliveries.pop();
+
+  try {
+    await channel.send(subscription, event, delivery);
+    delivery.status = 'sent';
+  } catch (error) {
+    delivery.status = 'failed';
+    delivery.error = error.message;
+    console.error(`❌ Notification to ${subscription.user} failed:`, error.message);
+  }
+
+  delivery.completedAt = new Date().toISOString();
+  return delivery;
+}
+
+// Flip / confidence events for one coin's freshly evaluated rows (the first observation is only a baseline)
+function detectEvents(coin, rows) {
+  const events = [];
+
+  rows.forEach(row => {
+    // Failed timeframe calculations fall back to NEUTRAL - never notify on those
+    if (row.rsi === 'Error') return;
+
+    const key = `${coin.id}_${row.timeframe}`;
+    const previous = lastRows.get(key);
+    lastRows.set(key, { signal: row.signal, confidence: row.confidence });
+    if (!previous) return;
+
+    if (previous.signal !== row.signal) {
+      events.push({ type: 'flip', coin, row, previous });
+    } else if (row.signal !== 'NEUTRAL' && row.confidence > previous.confidence) {
+      events.push({ type: 'confidence', coin, row, previous });
+    }
+  });
+
+  return events;
+}
+
+/**
+ * Feed freshly evaluated indicator rows for a coin (coin registry entry) and notify every matching
+ * subscription. Deliveries run in parallel so a webhook in backoff never holds up the others.
+ * Resolves with the delivery records once all of them finished (including retries).
+ */
+async function processSignalRows(coin, rows) {
+  const pending = [];
+
+  detectEvents(coin, rows).forEach(event => {
+    subscriptions
+      .filter(subscription => matchesSubscription(subscription, event))
+      .forEach(subscription => pending.push(deliver(subscription, event)));
+  });
+
+  return Promise.all(pending);
+}
+
+/**
+ * Notify about a triggered alert (`row` is the indicator row that triggered it). Goes to the alert's
+ * user when it has one, otherwise to every subscription following the coin - signal, timeframe and
+ * confidence filters don't apply to alerts, quiet hours do.
+ */
+async function notifyAlert(coin, alert, row) {
+  const event = { type: 'alert', coin, alert, row };
+  const pending = subscriptions
+    .filter(subscription => !alert.user || subscription.user === alert.user)
+    .filter(subscription => subscription.coins.length === 0 || subscription.coins.includes(coin.id))
+    .filter(subscription => !isQuietTime(subscription.quietHours))
+    .map(subscription => deliver(subscription, event));
+
+  return Promise.all(pending);
+}
+
+// Send a one-off message to a subscription to check the chat id / bot token / webhook URL
+async function sendTestMessage(id) {
+  const subscription = subscriptions.find(candidate => candidate.id === id);
+  if (!subscription) throw new Error(`Unknown subscription: ${id}`);
+
+  const channel = channels[subscription.channel];
+  await channel.test(subscription);
+  return { channel: subscription.channel, transport: channel.transportName() };
+}
+
+module.exports = {
+  addSubscription,
+  removeSubscription,
+  getSubscriptions,
+  getDeliveries,
+  isQuietTime,
+  formatMessage,
+  buildEventPayload,
+  processSignalRows,
+  notifyAlert,
+  sendTestMessage
+};
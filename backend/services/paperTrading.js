@@ -0,0 +1,195 @@
+const { readJson, writeJson } = require('./jsonStore');
+
+// Server-side paper trading engine - real entry prices, closes on real SL/TP hits
+const PORTFOLIO_FILE = 'paper-portfolio.json';
+const STARTING_BALANCE = parseFloat(process.env.PAPER_STARTING_BALANCE || '10000');
+const MAX_FILLS = 500;
+
+function emptyPortfolio() {
+  return {
+    startingBalance: STARTING_BALANCE,
+    balance: STARTING_BALANCE,
+    positions: [],
+    fills: [],
+    stats: {
+      totalTrades: 0,
+      winningTrades: 0,
+      totalProfit: 0,
+      bestTrade: 0,
+      worstTrade: 0
+    }
+  };
+}
+
+let portfolio = readJson(PORTFOLIO_FILE, emptyPortfolio());
+
+// Last seen price per coin, used for unrealized P&L
+const lastPrices = new Map();
+
+function save() {
+  writeJson(PORTFOLIO_FILE, portfolio);
+}
+
+function recordFill(position, side, price, reason) {
+  const fill = {
+    id: `${position.id}-${side}`,
+    positionId: position.id,
+    coin: position.coin,
+    side,
+    price,
+    quantity: position.quantity,
+    amount: position.quantity * price,
+    reason,
+    time: new Date().toISOString()
+  };
+
+  portfolio.fills.unshift(fill);
+  if (portfolio.fills.length > MAX_FILLS) portfolio.fills.pop();
+  return fill;
+}
+
+/**
+ * Open a long position at the live price, protected by the signal's stop-loss / take-profit.
+ * Throws on invalid input so routes can answer with 400.
+ */
+function openPosition({ coinId, coin, timeframe, amount, price, stopLoss, takeProfit, confidence, isAutoTrade }) {
+  if (!(amount > 0)) throw new Error('Trade amount must be greater than 0');
+  if (amount > portfolio.balance) {
+    throw new Error(`Insufficient balance: $${portfolio.balance.toFixed(2)} available, $${amount.toFixed(2)} requested`);
+  }
+  if (!(stopLoss < price && takeProfit > price)) {
+    throw new Error(`Invalid long levels: SL ${stopLoss} / entry ${price} / TP ${takeProfit}`);
+  }
+
+  const position = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    type: 'BUY',
+    coinId,
+    coin,
+    timeframe,
+    amount,
+    price,
+    quantity: amount / price,
+    stopLoss,
+    takeProfit,
+    confidence: confidence || 0,
+    isAutoTrade: Boolean(isAutoTrade),
+    status: 'OPEN',
+    timestamp: new Date().toISOString()
+  };
+
+  portfolio.positions.push(position);
+  portfolio.balance -= amount;
+  lastPrices.set(coinId, price);
+  recordFill(position, 'BUY', price, 'Market entry');
+  save();
+
+  console.log(`📒 Paper BUY ${coin} $${amount.toFixed(2)} @ $${price} (SL $${stopLoss}, TP $${takeProfit})`);
+  return position;
+}
+
+function closePosition(position, price, reason) {
+  const proceeds = position.quantity * price;
+  const profit = proceeds - position.amount;
+  const profitPercent = ((price - position.price) / position.price) * 100;
+
+  Object.assign(position, {
+    status: 'CLOSED',
+    sellPrice: price,
+    profit,
+    profitPercent,
+    closeReason: reason,
+    closedAt: new Date().toISOString()
+  });
+
+  portfolio.balance += proceeds;
+  const stats = portfolio.stats;
+  stats.totalTrades += 1;
+  stats.winningTrades += profit > 0 ? 1 : 0;
+  stats.totalProfit += profit;
+  stats.bestTrade = Math.max(stats.bestTrade, profitPercent);
+  stats.worstTrade = Math.min(stats.worstTrade, profitPercent);
+
+  recordFill(position, 'SELL', price, reason);
+  console.log(`📒 Paper SELL ${position.coin} @ $${price} (${reason}) P&L ${profit >= 0 ? '+' : ''}$${profit.toFixed(2)}`);
+  return position;
+}
+
+// Manual exit of every open position on a coin at the live price
+function closePositionsForCoin(coinId, price) {
+  const closed = portfolio.positions
+    .filter(position => position.coinId === coinId && position.status === 'OPEN')
+    .map(position => closePosition(position, price, 'Manual exit'));
+
+  if (closed.length > 0) save();
+  return closed;
+}
+
+// Check open positions on a coin against a fresh price; SL/TP fill at their own level
+function checkPositions(coinId, price) {
+  lastPrices.set(coinId, price);
+  let changed = false;
+
+  portfolio.positions
+    .filter(position => position.coinId === coinId && position.status === 'OPEN')
+    .forEach(position => {
+      if (price <= position.stopLoss) {
+        closePosition(position, position.stopLoss, 'Stop-loss hit');
+        changed = true;
+      } else if (price >= position.takeProfit) {
+        closePosition(position, position.takeProfit, 'Take-profit hit');
+        changed = true;
+      }
+    });
+
+  if (changed) save();
+}
+
+function getPositions(status) {
+  const positions = status
+    ? portfolio.positions.filter(position => position.status === status.toUpperCase())
+    : portfolio.positions;
+
+  return positions.map(position => {
+    if (position.status !== 'OPEN') return position;
+    const markPrice = lastPrices.get(position.coinId) || position.price;
+    return {
+      ...position,
+      markPrice,
+      unrealizedProfit: position.quantity * markPrice - position.amount
+    };
+  });
+}
+
+function getFills(limit = 100) {
+  return portfolio.fills.slice(0, limit);
+}
+
+function getPortfolioSummary() {
+  const openPositions = getPositions('OPEN');
+  const openValue = openPositions.reduce((sum, position) => sum + position.quantity * position.markPrice, 0);
+
+  return {
+    startingBalance: portfolio.startingBalance,
+    balance: portfolio.balance,
+    equity: portfolio.balance + openValue,
+    openPositions: openPositions.length,
+    stats: portfolio.stats
+  };
+}
+
+function resetPortfolio() {
+  portfolio = emptyPortfolio();
+  save();
+  console.log('📒 Paper portfolio reset');
+}
+
+module.exports = {
+  openPosition,
+  closePositionsForCoin,
+  checkPositions,
+  getPositions,
+  getFills,
+  getPortfolioSummary,
+  resetPortfolio
+};
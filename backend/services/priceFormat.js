@@ -0,0 +1,17 @@
+// 2 decimals for fiat/stablecoin-sized prices, more for sub-unit ones (ETHBTC, DOGE)
+function formatPrice(value) {
+  const decimals = value >= 1 ? 2 : value >= 0.01 ? 4 : 8;
+  return value.toFixed(decimals);
+}
+
+// "42000.00 USDT", "0.0521 BTC" - accepts the rows' formatted strings as well as numbers
+function formatQuotePrice(value, quote) {
+  const price = parseFloat(value);
+  if (!Number.isFinite(price)) return '-';
+  return `${formatPrice(price)} ${quote}`;
+}
+
+module.exports = {
+  formatPrice,
+  formatQuotePrice
+};
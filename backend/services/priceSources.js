@@ -0,0 +1,164 @@
+const axios = require('axios');
+const { toExchangeSymbol } = require('./candleProvider');
+const { getBreaker } = require('./circuitBreaker');
+
+// Multi-source spot price - queries every source in parallel and builds an outlier-resistant consensus
+const COINGECKO_BASE = 'https://api.coingecko.com/api/v3/simple/price';
+const CRYPTOCOMPARE_BASE = 'https://min-api.cryptocompare.com/data/pricemultifull';
+const COINDESK_BASE = 'https://api.coindesk.com/v1/bpi/currentprice.json';
+const BINANCE_TICKER_BASE = process.env.BINANCE_API_URL
+  ? `${process.env.BINANCE_API_URL.replace(/\/$/, '')}/api/v3/ticker/24hr`
+  : 'https://api.binance.com/api/v3/ticker/24hr';
+
+const SOURCE_TIMEOUT_MS = parseInt(process.env.PRICE_SOURCE_TIMEOUT_MS || '8000');
+const PRICE_TOLERANCE_PERCENT = parseFloat(process.env.PRICE_TOLERANCE_PERCENT || '1.5');
+
+// Each source: supports(coin) and fetch(coin) -> { price, volume } with volume as 24h USD turnover (null if unknown).
+// Volume is reported per source only - aggregator and single-exchange volumes aren't comparable, so it never weights the price
+const sources = {
+  coingecko: {
+    supports: () => true,
+    async fetch(coin) {
+      const response = await axios.get(`${COINGECKO_BASE}?ids=${coin.id}&vs_currencies=usd&include_24hr_vol=true`, {
+        timeout: SOURCE_TIMEOUT_MS,
+        headers: { 'User-Agent': 'CryptoBot/1.0' }
+      });
+      const quote = response.data[coin.id] || {};
+      return { price: quote.usd, volume: quote.usd_24h_vol || null };
+    }
+  },
+  cryptocompare: {
+    supports: () => true,
+    async fetch(coin) {
+      const response = await axios.get(`${CRYPTOCOMPARE_BASE}?fsyms=${coin.symbol}&tsyms=USD`, { timeout: SOURCE_TIMEOUT_MS });
+      const quote = response.data?.RAW?.[coin.symbol]?.USD || {};
+      return { price: quote.PRICE, volume: quote.VOLUME24HOURTO || null };
+    }
+  },
+  coindesk: {
+    // The Bitcoin Price Index only covers BTC
+    supports: (coin) => coin.symbol === 'BTC',
+    async fetch() {
+      const response = await axios.get(COINDESK_BASE, { timeout: SOURCE_TIMEOUT_MS });
+      return { price: parseFloat(response.data.bpi.USD.rate.replace(/,/g, '')), volume: null };
+    }
+  },
+  binance: {
+    supports: () => true,
+    async fetch(coin) {
+      const response = await axios.get(`${BINANCE_TICKER_BASE}?symbol=${toExchangeSymbol(coin)}`, { timeout: SOURCE_TIMEOUT_MS });
+      return { price: parseFloat(response.data.lastPrice), volume: parseFloat(response.data.quoteVolume) || null };
+    }
+  }
+};
+
+// Latency / error tracking lives in each provider's circuit breaker (Binance shares one with the klines)
+Object.keys(sources).forEach(name => getBreaker(name));
+
+// Quotes rejected as outliers per source, reset on restart
+const outliers = {};
+Object.keys(sources).forEach(name => { outliers[name] = 0; });
+
+// status: ok, error, or skipped while the source's circuit is open
+async function querySource(name, coin) {
+  const started = Date.now();
+
+  try {
+    const { price, volume } = await getBreaker(name).exec(async () => {
+      const quote = await sources[name].fetch(coin);
+      if (typeof quote.price !== 'number' || !Number.isFinite(quote.price) || quote.price <= 0) {
+        throw new Error('Invalid or zero price');
+      }
+      return quote;
+    });
+    return { source: name, status: 'ok', price, volume, latencyMs: Date.now() - started };
+  } catch (error) {
+    const status = error.code === 'CIRCUIT_OPEN' ? 'skipped' : 'error';
+    return { source: name, status, error: error.message, latencyMs: Date.now() - started };
+  }
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Consensus over source quotes: sources deviating more than `tolerance` % from the median are
+ * flagged as outliers, the price is the median of the rest (method 'disputed' when no source is
+ * within tolerance).
+ * Mutates the quotes with deviationPercent / outlier status. Returns null without a usable quote.
+ */
+function buildConsensus(quotes, tolerance = PRICE_TOLERANCE_PERCENT) {
+  const usable = quotes.filter(quote => quote.status === 'ok');
+  if (usable.length === 0) return null;
+
+  const medianPrice = median(usable.map(quote => quote.price));
+  usable.forEach(quote => {
+    quote.deviationPercent = parseFloat((((quote.price - medianPrice) / medianPrice) * 100).toFixed(3));
+    if (Math.abs(quote.deviationPercent) > tolerance) quote.status = 'outlier';
+  });
+
+  // Every source outside the tolerance (e.g. two that disagree) - no majority, only the median is left
+  const accepted = usable.filter(quote => quote.status === 'ok');
+  if (accepted.length === 0) {
+    return { price: medianPrice, method: 'disputed', medianPrice, sourcesUsed: [] };
+  }
+
+  return {
+    price: median(accepted.map(quote => quote.price)),
+    method: 'median',
+    medianPrice,
+    sourcesUsed: accepted.map(quote => quote.source)
+  };
+}
+
+/**
+ * Query every source supporting the coin (coin registry entry) in parallel.
+ * Resolves with { price (null if nothing usable), method, medianPrice, tolerancePercent, sources: [...] }.
+ */
+async function getAggregatedPrice(coin) {
+  const names = Object.keys(sources).filter(name => sources[name].supports(coin));
+  const quotes = await Promise.all(names.map(name => querySource(name, coin)));
+  const consensus = buildConsensus(quotes);
+
+  quotes
+    .filter(quote => quote.status === 'outlier')
+    .forEach(quote => {
+      outliers[quote.source]++;
+      console.log(`⚠️ ${quote.source} ${coin.symbol} price $${quote.price} deviates ${quote.deviationPercent}% from the median`);
+    });
+
+  return {
+    coin: coin.id,
+    symbol: coin.symbol,
+    price: consensus ? consensus.price : null,
+    method: consensus ? consensus.method : null,
+    medianPrice: consensus ? consensus.medianPrice : null,
+    sourcesUsed: consensus ? consensus.sourcesUsed : [],
+    tolerancePercent: PRICE_TOLERANCE_PERCENT,
+    sources: quotes,
+    time: new Date().toISOString()
+  };
+}
+
+function getOutlierCounts() {
+  return { ...outliers };
+}
+
+function getSourceHealth() {
+  return Object.keys(sources).map(name => ({
+    source: name,
+    ...getBreaker(name).getStatus(),
+    outliers: outliers[name]
+  }));
+}
+
+module.exports = {
+  PRICE_TOLERANCE_PERCENT,
+  buildConsensus,
+  getAggregatedPrice,
+  getOutlierCounts,
+  getSourceHealth
+};
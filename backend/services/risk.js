@@ -0,0 +1,72 @@
+const ta = require('@my-notify-bot/indicators');
+
+// Volatility-based risk per timeframe - ATR stops and position sizes that risk a fixed share of equity
+const ATR_PERIOD = parseInt(process.env.ATR_PERIOD || '14');
+const ATR_STOP_MULTIPLIER = parseFloat(process.env.ATR_STOP_MULTIPLIER || '2');
+const ATR_TARGET_MULTIPLIER = parseFloat(process.env.ATR_TARGET_MULTIPLIER || '3');
+const RISK_PER_TRADE_PERCENT = parseFloat(process.env.RISK_PER_TRADE_PERCENT || '1');
+const MAX_POSITION_PERCENT = parseFloat(process.env.MAX_POSITION_PERCENT || '50'); // Tight stops would otherwise ask for more than the account
+
+function round(value, decimals = 8) {
+  return typeof value === 'number' && Number.isFinite(value) ? parseFloat(value.toFixed(decimals)) : null;
+}
+
+/**
+ * ATR risk numbers for one timeframe from its candles (oldest first, the last one in progress and
+ * pinned to `currentPrice`). SELL rows get short-side stops, everything else long-side ones.
+ * `equity` (quote currency) turns the position share into an amount; without it only the
+ * unit-free numbers are filled. Returns null until there are enough candles for the ATR.
+ */
+function computeRisk(candles, currentPrice, signal, equity = null) {
+  const high = candles.map(candle => candle.high);
+  const low = candles.map(candle => candle.low);
+  const close = candles.map(candle => candle.close);
+
+  if (candles.length > 0) {
+    const lastIndex = candles.length - 1;
+    close[lastIndex] = currentPrice;
+    high[lastIndex] = Math.max(high[lastIndex], currentPrice);
+    low[lastIndex] = Math.min(low[lastIndex], currentPrice);
+  }
+
+  const atrValues = ta.atr(high, low, close, ATR_PERIOD);
+  const atr = atrValues[atrValues.length - 1];
+  if (!(atr > 0)) return null;
+
+  const direction = signal === 'SELL' ? -1 : 1;
+  const stopDistance = atr * ATR_STOP_MULTIPLIER;
+
+  return {
+    atr: round(atr),
+    atrPercent: round((atr / currentPrice) * 100, 2),
+    stopMultiplier: ATR_STOP_MULTIPLIER,
+    targetMultiplier: ATR_TARGET_MULTIPLIER,
+    stopLoss: round(Math.max(currentPrice - direction * stopDistance, 0)),
+    takeProfit: round(Math.max(currentPrice + direction * atr * ATR_TARGET_MULTIPLIER, 0)),
+    ...sizePosition(currentPrice, stopDistance, equity)
+  };
+}
+
+/**
+ * Position that loses RISK_PER_TRADE_PERCENT of equity when price moves `stopDistance` against it,
+ * capped at MAX_POSITION_PERCENT. Also used for orders whose stop sits on a support / resistance level.
+ * Returns { riskPercent, positionPercent, positionSize, quantity, riskAmount } - amounts are null without equity.
+ */
+function sizePosition(currentPrice, stopDistance, equity = null) {
+  const positionPercent = Math.min((RISK_PER_TRADE_PERCENT * currentPrice) / stopDistance, MAX_POSITION_PERCENT);
+  const riskPercent = (positionPercent * stopDistance) / currentPrice;
+  const positionSize = equity > 0 ? (equity * positionPercent) / 100 : null;
+
+  return {
+    riskPercent: round(riskPercent, 2),
+    positionPercent: round(positionPercent, 2),
+    positionSize: positionSize !== null ? round(positionSize, 2) : null,
+    quantity: positionSize !== null ? round(positionSize / currentPrice) : null,
+    riskAmount: positionSize !== null ? round((positionSize * stopDistance) / currentPrice, 2) : null
+  };
+}
+
+module.exports = {
+  computeRisk,
+  sizePosition
+};
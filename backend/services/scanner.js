@@ -0,0 +1,143 @@
+const { TIMEFRAMES, TIMEFRAME_MS } = require('./candleProvider');
+
+// Background scanner - refreshes every coin once a minute and hands each timeframe's rows on when its candle closes
+const TICK_GRACE_MS = 2000; // Give the exchange a moment to finalize the closed candle
+
+// Latest evaluated row per coin/timeframe: coinId -> { timeframe -> row }
+const snapshots = new Map();
+
+const state = {
+  running: false,
+  timer: null,
+  lastTickAt: null,
+  lastTickLagMs: null,
+  lastScanDurationMs: null,
+  scans: 0,
+  errors: 0,
+  lastClose: {} // timeframe -> close boundary (ms) already handed to onResults
+};
+
+// Latest close boundary per timeframe at `time` - UTC aligned like the exchange candles
+function latestClose(timeframe, time) {
+  return Math.floor(time / TIMEFRAME_MS[timeframe]) * TIMEFRAME_MS[timeframe];
+}
+
+// Timeframes with a close not processed yet. Compares against the last processed close instead of
+// testing for an exact boundary, so a scan that overruns a minute can't swallow an hourly / daily close.
+function closedTimeframes(time) {
+  return TIMEFRAMES.filter(timeframe => !(state.lastClose[timeframe] >= latestClose(timeframe, time)));
+}
+
+function markClosed(timeframes, time) {
+  timeframes.forEach(timeframe => { state.lastClose[timeframe] = latestClose(timeframe, time); });
+}
+
+// Every timeframe is refreshed on every tick (price, entry, SL/TP at the current price) - only
+// the signal callbacks wait for a candle close
+function storeSnapshot(coinId, results, evaluatedAt) {
+  const coinSnapshot = snapshots.get(coinId) || {};
+  results.forEach(result => {
+    coinSnapshot[result.timeframe] = { ...result, evaluatedAt };
+  });
+  snapshots.set(coinId, coinSnapshot);
+}
+
+// Evaluate every coin, one coin at a time to stay under rate limits; `timeframes` just closed
+async function scan(coins, compute, onResults, timeframes) {
+  const started = Date.now();
+  const evaluatedAt = new Date(started).toISOString();
+
+  for (const coinData of coins) {
+    try {
+      const results = await compute(coinData);
+      storeSnapshot(coinData.id, results, evaluatedAt);
+      if (onResults) onResults(coinData, results.filter(result => timeframes.includes(result.timeframe)));
+    } catch (error) {
+      state.errors++;
+      console.error(`❌ Scanner failed for ${coinData.name}:`, error.message);
+    }
+  }
+
+  state.scans++;
+  state.lastScanDurationMs = Date.now() - started;
+  console.log(`🛰️ Scanned ${coins.length} coins [closed: ${timeframes.join(', ') || 'none'}] in ${state.lastScanDurationMs}ms`);
+}
+
+function scheduleNextTick(coins, compute, onResults) {
+  const now = Date.now();
+  const nextBoundary = Math.floor(now / TIMEFRAME_MS['1m']) * TIMEFRAME_MS['1m'] + TIMEFRAME_MS['1m'];
+
+  state.timer = setTimeout(async () => {
+    state.lastTickAt = new Date().toISOString();
+    state.lastTickLagMs = Date.now() - (nextBoundary + TICK_GRACE_MS);
+
+    // Closes are taken at the time the scan starts - anything that closes while it runs is due next tick
+    const now = Date.now();
+    const closed = closedTimeframes(now);
+    markClosed(closed, now);
+    await scan(coins, compute, onResults, closed);
+    if (state.running) scheduleNextTick(coins, compute, onResults);
+  }, nextBoundary + TICK_GRACE_MS - now);
+}
+
+/**
+ * Start the scheduler.
+ * coins:     coin registry entries to evaluate
+ * compute:   async (coinData) => indicator rows for all timeframes
+ * onResults: optional (coinData, rows) callback for the rows whose candle just closed
+ */
+function startScanner({ coins, compute, onResults }) {
+  if (state.running) return;
+  state.running = true;
+  console.log(`🛰️ Background scanner started for ${coins.map(coin => coin.symbol).join(', ')}`);
+
+  // Initial full scan so the snapshot is populated right after boot
+  markClosed(TIMEFRAMES, Date.now());
+  scan(coins, compute, onResults, TIMEFRAMES).finally(() => {
+    if (state.running) scheduleNextTick(coins, compute, onResults);
+  });
+}
+
+function stopScanner() {
+  state.running = false;
+  state.lastClose = {};
+  if (state.timer) clearTimeout(state.timer);
+  state.timer = null;
+}
+
+// Snapshot rows for one coin in TIMEFRAMES order, or null if it was never scanned
+function getSnapshot(coinId) {
+  const coinSnapshot = snapshots.get(coinId);
+  if (!coinSnapshot) return null;
+  return TIMEFRAMES.map(timeframe => coinSnapshot[timeframe]).filter(Boolean);
+}
+
+function getAllSnapshots() {
+  const all = {};
+  snapshots.forEach((_, coinId) => {
+    all[coinId] = getSnapshot(coinId);
+  });
+  return all;
+}
+
+function getScannerStatus() {
+  return {
+    running: state.running,
+    lastTickAt: state.lastTickAt,
+    lastTickLagMs: state.lastTickLagMs,
+    lastScanDurationMs: state.lastScanDurationMs,
+    scans: state.scans,
+    errors: state.errors,
+    coins: snapshots.size
+  };
+}
+
+module.exports = {
+  closedTimeframes,
+  markClosed,
+  startScanner,
+  stopScanner,
+  getSnapshot,
+  getAllSnapshots,
+  getScannerStatus
+};
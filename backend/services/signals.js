@@ -0,0 +1,131 @@
+const ta = require('@my-notify-bot/indicators');
+const { getStrategy, VALUE_DECIMALS } = require('./strategies');
+const { anchorLevels } = require('./levels');
+
+// Signal engine shared by the live indicator endpoint and the backtester - rules come from strategy definitions
+
+// Indicator values a strategy's conditions can reference
+function computeValues(prices, currentPrice, indicators) {
+  const values = { price: currentPrice };
+
+  if (indicators.rsi) {
+    // Calculate RSI using timeframe-specific prices
+    const rsi = prices.length >= indicators.rsi.period ? ta.rsi(prices, indicators.rsi.period) : [];
+    values.rsi = rsi[rsi.length - 1] || 50;
+  }
+
+  if (indicators.macd) {
+    // Calculate MACD using timeframe-specific prices
+    const macdData = prices.length >= indicators.macd.slowPeriod ? ta.macd(prices, indicators.macd.fastPeriod, indicators.macd.slowPeriod, indicators.macd.signalPeriod) : [];
+
+    const lastMacd = macdData[macdData.length - 1];
+    // MACD signal/histogram stay undefined until signalPeriod values exist
+    const currentMacd = lastMacd && lastMacd.histogram !== undefined
+      ? lastMacd
+      : { MACD: 0, signal: 0, histogram: 0 };
+    values.macd = currentMacd.MACD;
+    values.macdSignal = currentMacd.signal;
+    values.macdHistogram = currentMacd.histogram;
+  }
+
+  if (indicators.momentum) {
+    // Price momentum analysis using timeframe-specific prices
+    const recentPrices = prices.slice(-indicators.momentum.period);
+    values.momentum = ((recentPrices[recentPrices.length - 1] - recentPrices[0]) / recentPrices[0]) * 100;
+  }
+
+  return values;
+}
+
+// Every condition in `when` has to hold (AND)
+function matchesConditions(when, values) {
+  return Object.entries(when).every(([key, condition]) => {
+    const value = values[key];
+    if (value === undefined) return false;
+    if (condition.below !== undefined && !(value < condition.below)) return false;
+    if (condition.above !== undefined && !(value > condition.above)) return false;
+    return true;
+  });
+}
+
+// 'RSI {rsi} < 30' -> 'RSI 27.4 < 30'
+function formatReason(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => (
+    values[key] !== undefined ? values[key].toFixed(VALUE_DECIMALS[key]) : match
+  ));
+}
+
+/**
+ * Evaluate a strategy's entry rules on a close-price series.
+ * `prices` must end with `currentPrice`. Returns raw (unformatted) numbers.
+ * `priceLevels` (services/levels computeLevels) moves SL/TP onto support / resistance when the strategy
+ * sets `risk.anchorToLevels`.
+ */
+function evaluateSignal(prices, currentPrice, strategy = getStrategy(), priceLevels = null) {
+  const values = computeValues(prices, currentPrice, strategy.indicators);
+
+  let signal = 'NEUTRAL';
+  let confidence = 0;
+  let buyConfidence = 0;
+  let sellConfidence = 0;
+  let predictedPrice = prices[prices.length - 1];
+
+  // Human-readable factors behind the signal (used in signal-change logs)
+  const reasons = [];
+
+  strategy.entry.forEach(rule => {
+    if (!matchesConditions(rule.when, values)) return;
+
+    const signalMode = rule.signalMode || 'override';
+    if (signalMode === 'override' || (signalMode === 'ifNeutral' && signal === 'NEUTRAL')) {
+      signal = rule.side;
+    }
+
+    if (rule.side === 'BUY') buyConfidence += rule.weight;
+    else sellConfidence += rule.weight;
+    confidence += rule.weight;
+
+    if (rule.priceFactor) predictedPrice *= rule.priceFactor;
+    if (rule.reason) reasons.push(formatReason(rule.reason, values));
+  });
+
+  // Calculate entry/exit levels based on REALTIME current price (or the entry, if the strategy says so)
+  const levels = strategy.risk[signal];
+  const entryPrice = currentPrice * levels.entry;
+  const base = strategy.risk.levelsFrom === 'entry' ? entryPrice : currentPrice;
+  const anchored = anchorLevels(signal, {
+    entryPrice,
+    stopLoss: base * levels.stopLoss,
+    takeProfit: base * levels.takeProfit
+  }, strategy.risk.anchorToLevels ? priceLevels : null);
+
+  return {
+    signal,
+    confidence: Math.min(confidence, strategy.maxConfidence || 100),
+    buyConfidence,
+    sellConfidence,
+    predictedPrice,
+    entryPrice,
+    stopLoss: anchored.stopLoss,
+    takeProfit: anchored.takeProfit,
+    levelAnchors: anchored.anchors,
+    rsi: values.rsi,
+    macd: values.macdHistogram !== undefined
+      ? { MACD: values.macd, signal: values.macdSignal, histogram: values.macdHistogram }
+      : undefined,
+    values,
+    strategy: strategy.name,
+    reasons
+  };
+}
+
+// Rule-based exit for an open LONG/SHORT position; returns the matching condition or null
+function checkExitRules(strategy, side, values) {
+  const conditions = strategy.exit[side] || [];
+  return conditions.find(when => matchesConditions(when, values)) || null;
+}
+
+module.exports = {
+  evaluateSignal,
+  checkExitRules
+};
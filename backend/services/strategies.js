@@ -0,0 +1,144 @@
+const fs = require('fs');
+const path = require('path');
+
+// Strategy definitions (JS modules or JSON files) declaring indicators, entry/exit rules and risk levels
+const STRATEGY_DIR = process.env.STRATEGY_DIR || path.join(__dirname, '..', 'strategies');
+const DEFAULT_STRATEGY = process.env.STRATEGY || 'default';
+
+// Values a condition can reference, with the decimals used when they appear in a reason
+const VALUE_DECIMALS = {
+  price: 2,
+  rsi: 1,
+  macd: 4,
+  macdSignal: 4,
+  macdHistogram: 4,
+  momentum: 2
+};
+
+// Indicator that has to be declared for a value to exist
+const VALUE_INDICATOR = {
+  rsi: 'rsi',
+  macd: 'macd',
+  macdSignal: 'macd',
+  macdHistogram: 'macd',
+  momentum: 'momentum'
+};
+
+const SIDES = ['BUY', 'SELL'];
+const SIGNAL_MODES = ['override', 'ifNeutral', 'confirm'];
+const LEVEL_KEYS = ['entry', 'stopLoss', 'takeProfit'];
+
+function validateConditions(strategy, when, label) {
+  if (!when || typeof when !== 'object' || Object.keys(when).length === 0) {
+    throw new Error(`${label}: "when" needs at least one condition`);
+  }
+
+  Object.entries(when).forEach(([key, condition]) => {
+    if (!(key in VALUE_DECIMALS)) {
+      throw new Error(`${label}: unknown value "${key}" (use ${Object.keys(VALUE_DECIMALS).join(', ')})`);
+    }
+    if (VALUE_INDICATOR[key] && !strategy.indicators[VALUE_INDICATOR[key]]) {
+      throw new Error(`${label}: "${key}" needs the ${VALUE_INDICATOR[key]} indicator to be declared`);
+    }
+    const bounds = Object.keys(condition || {});
+    if (bounds.length === 0 || bounds.some(bound => !['below', 'above'].includes(bound) || typeof condition[bound] !== 'number')) {
+      throw new Error(`${label}: "${key}" condition must be { below: <number> } and/or { above: <number> }`);
+    }
+  });
+}
+
+// Throws with a readable message on the first problem found
+function validateStrategy(strategy) {
+  if (!strategy || typeof strategy.name !== 'string' || !strategy.name) {
+    throw new Error('Strategy needs a name');
+  }
+  const label = `Strategy "${strategy.name}"`;
+
+  strategy.indicators = strategy.indicators || {};
+  if (!Array.isArray(strategy.entry) || strategy.entry.length === 0) {
+    throw new Error(`${label}: "entry" must be a non-empty array of rules`);
+  }
+
+  strategy.entry.forEach((rule, index) => {
+    const ruleLabel = `${label} entry[${index}]`;
+    validateConditions(strategy, rule.when, ruleLabel);
+    if (!SIDES.includes(rule.side)) throw new Error(`${ruleLabel}: side must be BUY or SELL`);
+    if (typeof rule.weight !== 'number') throw new Error(`${ruleLabel}: weight must be a number`);
+    if (rule.signalMode && !SIGNAL_MODES.includes(rule.signalMode)) {
+      throw new Error(`${ruleLabel}: signalMode must be one of ${SIGNAL_MODES.join(', ')}`);
+    }
+  });
+
+  strategy.exit = strategy.exit || {};
+  Object.entries(strategy.exit).forEach(([side, conditions]) => {
+    if (!['LONG', 'SHORT'].includes(side)) throw new Error(`${label}: exit side must be LONG or SHORT`);
+    if (!Array.isArray(conditions)) throw new Error(`${label}: exit.${side} must be an array of conditions`);
+    conditions.forEach((when, index) => validateConditions(strategy, when, `${label} exit.${side}[${index}]`));
+  });
+
+  ['BUY', 'SELL', 'NEUTRAL'].forEach(signal => {
+    const levels = strategy.risk && strategy.risk[signal];
+    if (!levels || LEVEL_KEYS.some(key => typeof levels[key] !== 'number' || levels[key] <= 0)) {
+      throw new Error(`${label}: risk.${signal} needs positive entry, stopLoss and takeProfit multipliers`);
+    }
+  });
+
+  if (strategy.risk.anchorToLevels !== undefined && typeof strategy.risk.anchorToLevels !== 'boolean') {
+    throw new Error(`${label}: risk.anchorToLevels must be true or false`);
+  }
+
+  return strategy;
+}
+
+function loadStrategies() {
+  const loaded = new Map();
+  const files = fs.existsSync(STRATEGY_DIR) ? fs.readdirSync(STRATEGY_DIR) : [];
+
+  files
+    .filter(file => file.endsWith('.js') || file.endsWith('.json'))
+    .forEach(file => {
+      const filePath = path.join(STRATEGY_DIR, file);
+      try {
+        const definition = file.endsWith('.json')
+          ? JSON.parse(fs.readFileSync(filePath, 'utf8'))
+          : require(filePath);
+        const strategy = validateStrategy(definition);
+        loaded.set(strategy.name, strategy);
+      } catch (error) {
+        console.error(`❌ Skipping strategy ${file}: ${error.message}`);
+      }
+    });
+
+  if (!loaded.has(DEFAULT_STRATEGY)) {
+    throw new Error(`Default strategy "${DEFAULT_STRATEGY}" not found in ${STRATEGY_DIR}`);
+  }
+
+  console.log(`🧠 Loaded strategies: ${Array.from(loaded.keys()).join(', ')} (default: ${DEFAULT_STRATEGY})`);
+  return loaded;
+}
+
+const strategies = loadStrategies();
+
+// Resolve a ?strategy= value; missing means the default, unknown names throw
+function getStrategy(name) {
+  const strategy = strategies.get(name || DEFAULT_STRATEGY);
+  if (!strategy) {
+    throw new Error(`Unknown strategy: ${name}. Available: ${Array.from(strategies.keys()).join(', ')}`);
+  }
+  return strategy;
+}
+
+function listStrategies() {
+  return Array.from(strategies.values()).map(strategy => ({
+    ...strategy,
+    isDefault: strategy.name === DEFAULT_STRATEGY
+  }));
+}
+
+module.exports = {
+  DEFAULT_STRATEGY,
+  VALUE_DECIMALS,
+  validateStrategy,
+  getStrategy,
+  listStrategies
+};
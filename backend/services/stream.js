@@ -0,0 +1,94 @@
+// Server-Sent Events hub - pushes indicator snapshots, signal changes and triggered alerts to dashboards
+const HEARTBEAT_MS = 25 * 1000; // Keeps proxies (Render, nginx) from closing idle streams
+const RECONNECT_MS = 5000;
+
+// Connected clients: { id, res, coins: Set of coin ids, strategy }
+const clients = new Set();
+let nextClientId = 1;
+let heartbeatTimer = null;
+
+function write(client, event, data) {
+  client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function startHeartbeat() {
+  if (heartbeatTimer) return;
+  heartbeatTimer = setInterval(() => {
+    // A named event rather than an SSE comment so browsers can tell a silent stream from a dead one
+    clients.forEach(client => write(client, 'ping', { time: new Date().toISOString() }));
+  }, HEARTBEAT_MS);
+  heartbeatTimer.unref();
+}
+
+function stopHeartbeat() {
+  clearInterval(heartbeatTimer);
+  heartbeatTimer = null;
+}
+
+/**
+ * Turn an Express request into an event stream subscribed to `coins` (coin ids) for `strategy`.
+ * The client is dropped when the connection closes.
+ */
+function addClient(req, res, { coins, strategy }) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+  const client = { id: nextClientId++, res, coins: new Set(coins), strategy };
+  clients.add(client);
+  startHeartbeat();
+  console.log(`📡 Stream client ${client.id} connected (${coins.join(', ')} / ${strategy})`);
+
+  req.on('close', () => {
+    clients.delete(client);
+    if (clients.size === 0) stopHeartbeat();
+    console.log(`📡 Stream client ${client.id} disconnected`);
+  });
+
+  return client;
+}
+
+function send(client, event, data) {
+  if (clients.has(client)) write(client, event, data);
+}
+
+// Send to every client following the coin; `strategy` limits it to that strategy's subscribers
+function publish(event, coinId, data, strategy) {
+  clients.forEach(client => {
+    if (!client.coins.has(coinId)) return;
+    if (strategy && client.strategy !== strategy) return;
+    write(client, event, data);
+  });
+}
+
+// Strategies somebody is streaming for a coin - only those are worth computing
+function getSubscribedStrategies(coinId) {
+  const strategies = new Set();
+  clients.forEach(client => {
+    if (client.coins.has(coinId)) strategies.add(client.strategy);
+  });
+  return Array.from(strategies);
+}
+
+function getStreamStatus() {
+  return {
+    clients: clients.size,
+    subscriptions: Array.from(clients).map(client => ({
+      id: client.id,
+      coins: Array.from(client.coins),
+      strategy: client.strategy
+    }))
+  };
+}
+
+module.exports = {
+  addClient,
+  send,
+  publish,
+  getSubscribedStrategies,
+  getStreamStatus
+};
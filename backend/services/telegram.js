@@ -0,0 +1,74 @@
+const axios = require('axios');
+
+// Telegram transport layer - sends plain text messages to a bot chat
+const TELEGRAM_API = 'https://api.telegram.org';
+const TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || '';
+const MAX_MOCK_MESSAGES = 200;
+
+// Live transport - Bot API sendMessage (needs TELEGRAM_BOT_TOKEN)
+const botApiTransport = {
+  name: 'telegram',
+  async sendMessage(chatId, text) {
+    if (!TELEGRAM_BOT_TOKEN) {
+      throw new Error('TELEGRAM_BOT_TOKEN is not set');
+    }
+
+    const response = await axios.post(`${TELEGRAM_API}/bot${TELEGRAM_BOT_TOKEN}/sendMessage`, {
+      chat_id: chatId,
+      text,
+      disable_web_page_preview: true
+    }, { timeout: 10000 });
+
+    if (!response.data || !response.data.ok) {
+      throw new Error(`Telegram API error: ${response.data?.description || 'unknown'}`);
+    }
+    return { messageId: response.data.result.message_id };
+  }
+};
+
+// Offline transport - keeps messages in memory so notifications can be tested without the network
+const mockMessages = [];
+const mockTransport = {
+  name: 'mock',
+  async sendMessage(chatId, text) {
+    mockMessages.unshift({ chatId, text, time: new Date().toISOString() });
+    if (mockMessages.length > MAX_MOCK_MESSAGES) mockMessages.pop();
+    console.log(`📨 [mock telegram -> ${chatId}] ${text.split('\n')[0]}`);
+    return { messageId: mockMessages.length };
+  },
+  getMessages() {
+    return mockMessages.slice();
+  },
+  clear() {
+    mockMessages.length = 0;
+  }
+};
+
+const transports = {
+  telegram: botApiTransport,
+  mock: mockTransport
+};
+
+// Without a bot token there is nothing to talk to, so default to the mock
+let activeTransport = transports[process.env.TELEGRAM_TRANSPORT]
+  || (TELEGRAM_BOT_TOKEN ? botApiTransport : mockTransport);
+
+function getTelegramTransport() {
+  return activeTransport;
+}
+
+// Swap the transport at runtime (e.g. tests)
+function setTelegramTransport(transport) {
+  const resolved = typeof transport === 'string' ? transports[transport] : transport;
+  if (!resolved || typeof resolved.sendMessage !== 'function') {
+    throw new Error(`Unknown Telegram transport: ${transport}`);
+  }
+  activeTransport = resolved;
+  console.log(`🔌 Telegram transport set to: ${resolved.name || 'custom'}`);
+}
+
+module.exports = {
+  mockTransport,
+  getTelegramTransport,
+  setTelegramTransport
+};
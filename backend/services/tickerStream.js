@@ -0,0 +1,276 @@
+const fs = require('fs');
+const WebSocket = require('ws');
+const { TIMEFRAMES, TIMEFRAME_MS } = require('./candleProvider');
+
+// Ticker ingestion - live last price + in-progress candles from Binance-style trade/kline websocket messages
+const BINANCE_STREAM_URL = (process.env.BINANCE_STREAM_URL || 'wss://stream.binance.com:9443').replace(/\/$/, '');
+const TICKER_STALE_MS = parseInt(process.env.TICKER_STALE_MS || '15000'); // Older state isn't "live" anymore
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60 * 1000;
+
+// symbol -> { price, tradeTime, updatedAt, candles: { timeframe -> candle } }
+const tickers = new Map();
+
+const state = {
+  mode: 'off',
+  connected: false,
+  socket: null,
+  reconnectTimer: null,
+  reconnectAttempts: 0,
+  stopped: true,
+  messages: 0,
+  errors: 0,
+  lastMessageAt: null,
+  replay: null,
+  recordFile: null,
+  recorder: null
+};
+
+function getTicker(symbol) {
+  if (!tickers.has(symbol)) tickers.set(symbol, { price: null, tradeTime: null, updatedAt: 0, candles: {} });
+  return tickers.get(symbol);
+}
+
+// Kline payload `k` -> the same candle shape the candle store uses
+function parseStreamKline(k) {
+  return {
+    openTime: k.t,
+    open: parseFloat(k.o),
+    high: parseFloat(k.h),
+    low: parseFloat(k.l),
+    close: parseFloat(k.c),
+    volume: parseFloat(k.v),
+    closeTime: k.T
+  };
+}
+
+/**
+ * Apply one stream message - a combined-stream envelope ({ stream, data }) or a bare event.
+ * Handles `trade` (last price) and `kline` (in-progress candle, its close is also a price) events.
+ * `receivedAt` lets replays stamp state with the recorded time instead of now.
+ */
+function handleMessage(message, receivedAt = Date.now()) {
+  const event = message && message.data ? message.data : message;
+  if (!event || !event.s) return false;
+
+  const ticker = getTicker(event.s);
+  if (event.e === 'trade') {
+    // Messages can arrive out of order across streams - never move the price back in time
+    if (ticker.tradeTime && event.T < ticker.tradeTime) return false;
+    ticker.price = parseFloat(event.p);
+    ticker.tradeTime = event.T;
+  } else if (event.e === 'kline' && TIMEFRAMES.includes(event.k.i)) {
+    const candle = parseStreamKline(event.k);
+    ticker.candles[event.k.i] = candle;
+    if (!ticker.tradeTime || event.E >= ticker.tradeTime) {
+      ticker.price = candle.close;
+      ticker.tradeTime = event.E;
+    }
+  } else {
+    return false;
+  }
+
+  ticker.updatedAt = receivedAt;
+  state.messages++;
+  state.lastMessageAt = new Date(receivedAt).toISOString();
+  return true;
+}
+
+function isFresh(ticker) {
+  // Replayed state never goes stale - it's a recording, not a feed
+  return state.mode === 'replay' || Date.now() - ticker.updatedAt <= TICKER_STALE_MS;
+}
+
+// Live last price for an exchange symbol, or null when the stream has nothing fresh
+function getLivePrice(symbol) {
+  const ticker = tickers.get(symbol);
+  if (!ticker || ticker.price === null || !isFresh(ticker)) return null;
+  return ticker.price;
+}
+
+function getLiveCandle(symbol, timeframe) {
+  const ticker = tickers.get(symbol);
+  if (!ticker || !ticker.candles[timeframe] || !isFresh(ticker)) return null;
+  return ticker.candles[timeframe];
+}
+
+/**
+ * Overlay the live in-progress candle on stored candles (oldest first): replaces the bar with the
+ * same openTime or appends the one directly after it. Stored data wins when the stream is stale or
+ * behind, and a live bar further ahead is dropped - appending it would leave a gap in the series.
+ */
+function mergeLiveCandle(symbol, timeframe, candles) {
+  const live = getLiveCandle(symbol, timeframe);
+  if (!live || candles.length === 0) return candles;
+
+  const last = candles[candles.length - 1];
+  if (live.openTime === last.openTime) return [...candles.slice(0, -1), live];
+  if (live.openTime === last.openTime + TIMEFRAME_MS[timeframe]) return [...candles.slice(1), live];
+  return candles;
+}
+
+function streamUrl(symbols) {
+  const streams = [];
+  symbols.forEach(symbol => {
+    const lower = symbol.toLowerCase();
+    streams.push(`${lower}@trade`);
+    TIMEFRAMES.forEach(timeframe => streams.push(`${lower}@kline_${timeframe}`));
+  });
+  return `${BINANCE_STREAM_URL}/stream?streams=${streams.join('/')}`;
+}
+
+function scheduleReconnect(symbols) {
+  if (state.stopped) return;
+  // Exponential backoff so an exchange outage doesn't turn into a reconnect storm
+  const delay = Math.min(RECONNECT_BASE_MS * 2 ** state.reconnectAttempts, RECONNECT_MAX_MS);
+  state.reconnectAttempts++;
+  console.log(`🔌 Ticker stream reconnecting in ${delay}ms (attempt ${state.reconnectAttempts})`);
+  state.reconnectTimer = setTimeout(() => connect(symbols), delay);
+}
+
+function connect(symbols) {
+  const socket = new WebSocket(streamUrl(symbols));
+  state.socket = socket;
+
+  socket.on('open', () => {
+    state.connected = true;
+    state.reconnectAttempts = 0;
+    console.log(`📶 Ticker stream connected: ${symbols.join(', ')}`);
+  });
+
+  socket.on('message', (data) => {
+    try {
+      const message = JSON.parse(data.toString());
+      handleMessage(message);
+      if (state.recorder) state.recorder.write(`${JSON.stringify({ receivedAt: Date.now(), message })}\n`);
+    } catch (error) {
+      state.errors++;
+      console.error('❌ Bad ticker stream message:', error.message);
+    }
+  });
+
+  socket.on('error', (error) => {
+    state.errors++;
+    console.error('❌ Ticker stream error:', error.message);
+  });
+
+  socket.on('close', () => {
+    state.connected = false;
+    state.socket = null;
+    scheduleReconnect(symbols);
+  });
+}
+
+// Recorded lines: { receivedAt, message } as written in record mode, or bare stream messages
+function readRecording(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => JSON.parse(line))
+    .map(entry => (entry.message ? entry : { receivedAt: null, message: entry }));
+}
+
+/**
+ * Feed recorded messages through the same handler as the live socket. speed 0 applies them all at
+ * once; otherwise the recorded gaps are replayed `speed` times faster. Resolves when done.
+ */
+function replay(entries, speed = 0) {
+  state.connected = true;
+  if (speed <= 0) {
+    entries.forEach(entry => handleMessage(entry.message, entry.receivedAt || Date.now()));
+    return Promise.resolve(entries.length);
+  }
+
+  return new Promise(resolve => {
+    let index = 0;
+    const next = () => {
+      if (state.stopped || index >= entries.length) {
+        state.replay = null;
+        return resolve(index);
+      }
+      const entry = entries[index++];
+      handleMessage(entry.message, entry.receivedAt || Date.now());
+
+      const following = entries[index];
+      const gap = following && entry.receivedAt && following.receivedAt ? following.receivedAt - entry.receivedAt : 0;
+      state.replay = setTimeout(next, Math.max(gap / speed, 0));
+    };
+    next();
+  });
+}
+
+/**
+ * Start ingestion for exchange symbols (e.g. BTCUSDT, ETHEUR).
+ * mode: 'binance' (live websocket), 'replay' (options.file recording) or 'off'.
+ * options.recordFile appends every live message so it can be replayed offline later.
+ */
+function startTickerStream(symbols, mode = process.env.TICKER_STREAM || 'off', options = {}) {
+  if (!state.stopped || mode === 'off') return null;
+  state.mode = mode;
+  state.stopped = false;
+
+  if (mode === 'binance') {
+    state.recordFile = options.recordFile || process.env.TICKER_RECORD_FILE || null;
+    if (state.recordFile) {
+      // One append stream for the whole session instead of a sync write per message
+      state.recorder = fs.createWriteStream(state.recordFile, { flags: 'a' });
+      state.recorder.on('error', (error) => {
+        console.error(`❌ Ticker recording to ${state.recordFile} failed:`, error.message);
+        state.recorder = null;
+      });
+    }
+    connect(symbols);
+    return null;
+  }
+
+  if (mode === 'replay') {
+    const file = options.file || process.env.TICKER_REPLAY_FILE;
+    if (!file || !fs.existsSync(file)) throw new Error(`Ticker replay file not found: ${file}`);
+    const entries = readRecording(file);
+    console.log(`📼 Replaying ${entries.length} recorded ticker messages from ${file}`);
+    return replay(entries, parseFloat(options.speed !== undefined ? options.speed : process.env.TICKER_REPLAY_SPEED || '0'));
+  }
+
+  state.stopped = true;
+  throw new Error(`Unknown ticker stream mode: ${mode}. Use binance, replay or off`);
+}
+
+function stopTickerStream() {
+  state.stopped = true;
+  clearTimeout(state.reconnectTimer);
+  clearTimeout(state.replay);
+  if (state.socket) state.socket.close();
+  if (state.recorder) state.recorder.end();
+  state.recorder = null;
+  state.connected = false;
+  state.mode = 'off';
+}
+
+function getTickerStatus() {
+  return {
+    mode: state.mode,
+    connected: state.connected,
+    messages: state.messages,
+    errors: state.errors,
+    lastMessageAt: state.lastMessageAt,
+    recording: state.recordFile,
+    symbols: Array.from(tickers.entries()).map(([symbol, ticker]) => ({
+      symbol,
+      price: ticker.price,
+      live: ticker.price !== null && isFresh(ticker),
+      ageMs: ticker.updatedAt ? Date.now() - ticker.updatedAt : null,
+      candles: Object.keys(ticker.candles)
+    }))
+  };
+}
+
+module.exports = {
+  handleMessage,
+  getLivePrice,
+  getLiveCandle,
+  mergeLiveCandle,
+  replay,
+  startTickerStream,
+  stopTickerStream,
+  getTickerStatus
+};
@@ -0,0 +1,44 @@
+const webpush = require('web-push');
+
+// Web Push (service worker) transport - needs a VAPID key pair (npx web-push generate-vapid-keys)
+const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || '';
+const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY || '';
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:admin@localhost';
+const PUSH_TTL_SECONDS = 60 * 60; // A signal older than an hour isn't worth showing
+
+const configured = Boolean(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+if (configured) {
+  webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+}
+
+function isWebPushConfigured() {
+  return configured;
+}
+
+function getVapidPublicKey() {
+  return VAPID_PUBLIC_KEY || null;
+}
+
+// PushSubscription.toJSON() shape from the browser
+function validatePushSubscription(subscription) {
+  if (!subscription || !/^https:\/\/\S+$/.test(subscription.endpoint || '')) {
+    throw new Error('pushSubscription.endpoint must be an https URL');
+  }
+  if (!subscription.keys || !subscription.keys.p256dh || !subscription.keys.auth) {
+    throw new Error('pushSubscription.keys needs p256dh and auth');
+  }
+  return { endpoint: subscription.endpoint, keys: { p256dh: subscription.keys.p256dh, auth: subscription.keys.auth } };
+}
+
+// Rejects with error.statusCode 404/410 when the browser dropped the subscription
+async function sendPush(subscription, payload) {
+  if (!configured) throw new Error('Web push is not configured - set VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY');
+  return webpush.sendNotification(subscription, JSON.stringify(payload), { TTL: PUSH_TTL_SECONDS });
+}
+
+module.exports = {
+  isWebPushConfigured,
+  getVapidPublicKey,
+  validatePushSubscription,
+  sendPush
+};
@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const net = require('net');
+const axios = require('axios');
+
+// Outbound webhooks - signed JSON POSTs with retry + exponential backoff
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5');
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '1000'); // 1s, 2s, 4s, 8s...
+const REQUEST_TIMEOUT_MS = 10000;
+const SIGNATURE_HEADER = 'X-Notify-Signature';
+
+// Receivers recompute this over the raw request body with their secret and compare
+function signPayload(secret, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+function generateSecret() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Loopback, private, link-local (cloud metadata), CGNAT and unspecified ranges - never a webhook target
+const blockedAddresses = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16]
+].forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]
+  .forEach(([network, prefix]) => blockedAddresses.addSubnet(network, prefix, 'ipv6'));
+
+// ::ffff:7f00:1 (how URL writes ::ffff:127.0.0.1) -> 127.0.0.1, anything else unchanged
+function unmapIPv4(address) {
+  const match = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i.exec(address);
+  if (!match) return address;
+  const [high, low] = [parseInt(match[1], 16), parseInt(match[2], 16)];
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+}
+
+function isBlockedHost(hostname) {
+  const host = unmapIPv4(hostname.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase());
+  if (host === 'localhost' || host.endsWith('.localhost')) return true;
+
+  const family = net.isIP(host);
+  return family !== 0 && blockedAddresses.check(host, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Checked when a webhook is registered: the backend POSTs signed requests wherever the URL points
+function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('url must be an http(s) URL');
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') throw new Error('url must be an http(s) URL');
+  if (isBlockedHost(parsed.hostname)) {
+    throw new Error(`url must not point at a private, loopback or link-local host: ${parsed.hostname}`);
+  }
+  return parsed.href;
+}
+
+// Network errors, timeouts, 429 and 5xx are worth another try; other 4xx mean the request itself is wrong
+function isRetryable(error) {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+}
+
+function backoffDelay(attempt) {
+  return RETRY_BASE_MS * Math.pow(2, attempt - 1);
+}
+
+/**
+ * POST `payload` to a webhook URL. `delivery` is updated in place (attempts, responseStatus,
+ * nextRetryAt) so the delivery log shows progress while retries are pending.
+ * Resolves on a 2xx answer, rejects once attempts run out or on a non-retryable status.
+ */
+async function postWebhook({ url, secret, event, payload, delivery }) {
+  const body = JSON.stringify(payload);
+  const headers = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'NotifyTradingBot-Webhook/1.0',
+    'X-Notify-Event': event,
+    'X-Notify-Delivery': delivery.id
+  };
+  if (secret) headers[SIGNATURE_HEADER] = signPayload(secret, body);
+
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    delivery.attempts = attempt;
+    delivery.nextRetryAt = null;
+
+    try {
+      // Send the exact signed bytes - axios must not re-serialize the body
+      const response = await axios.post(url, body, {
+        headers,
+        timeout: REQUEST_TIMEOUT_MS,
+        transformRequest: [data => data]
+      });
+      delivery.responseStatus = response.status;
+      delivery.error = null;
+      return response.status;
+    } catch (error) {
+      delivery.responseStatus = error.response?.status || null;
+      delivery.error = error.message;
+
+      if (!isRetryable(error) || attempt === MAX_ATTEMPTS) throw error;
+
+      const delay = backoffDelay(attempt);
+      delivery.nextRetryAt = new Date(Date.now() + delay).toISOString();
+      console.log(`🔁 Webhook ${url} failed (${error.message}), retry ${attempt + 1}/${MAX_ATTEMPTS} in ${delay}ms`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  signPayload,
+  generateSecret,
+  validateWebhookUrl,
+  postWebhook
+};
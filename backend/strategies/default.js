@@ -0,0 +1,33 @@
+// Default strategy - the original RSI 30/70 + MACD histogram + momentum rules
+module.exports = {
+  name: 'default',
+  description: 'RSI(14) 30/70 extremes, MACD(12,26,9) histogram ±0.01 and 10-candle momentum ±2%',
+
+  indicators: {
+    rsi: { period: 14 },
+    macd: { fastPeriod: 12, slowPeriod: 26, signalPeriod: 9 },
+    momentum: { period: 10 }
+  },
+
+  // Entry conditions, evaluated in order; every matching rule adds its weight to the confidence
+  entry: [
+    { when: { rsi: { below: 30 } }, side: 'BUY', weight: 25, signalMode: 'override', priceFactor: 1.03, reason: 'RSI {rsi} < 30 (oversold)' },
+    { when: { rsi: { above: 70 } }, side: 'SELL', weight: 25, signalMode: 'override', priceFactor: 0.97, reason: 'RSI {rsi} > 70 (overbought)' },
+    { when: { macdHistogram: { above: 0.01 } }, side: 'BUY', weight: 20, signalMode: 'ifNeutral', priceFactor: 1.02, reason: 'MACD histogram {macdHistogram} > 0.01 (bullish)' },
+    { when: { macdHistogram: { below: -0.01 } }, side: 'SELL', weight: 20, signalMode: 'ifNeutral', priceFactor: 0.98, reason: 'MACD histogram {macdHistogram} < -0.01 (bearish)' },
+    { when: { momentum: { above: 2 } }, side: 'BUY', weight: 15, signalMode: 'confirm', reason: 'Momentum +{momentum}% over last 10 candles' },
+    { when: { momentum: { below: -2 } }, side: 'SELL', weight: 15, signalMode: 'confirm', reason: 'Momentum {momentum}% over last 10 candles' }
+  ],
+
+  // No rule-based exits - positions leave on stop-loss / take-profit only
+  exit: {},
+
+  maxConfidence: 95,
+
+  // Levels as multiples of the current price
+  risk: {
+    BUY: { entry: 0.995, stopLoss: 0.97, takeProfit: 1.05 },
+    SELL: { entry: 1.005, stopLoss: 1.03, takeProfit: 0.95 },
+    NEUTRAL: { entry: 1, stopLoss: 0.97, takeProfit: 1.03 }
+  }
+};
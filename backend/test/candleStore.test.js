@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-bot-test-'));
+process.env.CANDLE_HISTORY_LIMIT = '1200';
+
+const { TIMEFRAME_MS, setCandleProvider } = require('../services/candleProvider');
+const { getStoredCandles, ensureHistory } = require('../services/candleStore');
+
+const HOUR = TIMEFRAME_MS['1h'];
+const NOW_HOUR = Math.floor(Date.now() / HOUR) * HOUR;
+
+function candle(openTime) {
+  return {
+    openTime,
+    open: 100,
+    high: 101,
+    low: 99,
+    close: 100 + (openTime / HOUR) % 7,
+    volume: 10,
+    closeTime: openTime + HOUR - 1
+  };
+}
+
+// Synthetic 1h exchange: the series for `symbol` starts `listedHours` ago, the last bar is in progress
+function syntheticProvider(listedHours) {
+  const calls = [];
+  return {
+    name: 'synthetic',
+    calls,
+    async fetchCandles(symbol, timeframe, limit, startTime = null) {
+      calls.push({ limit, startTime });
+      const listed = NOW_HOUR - listedHours * HOUR;
+      const first = startTime ? Math.max(Math.ceil(startTime / HOUR) * HOUR, listed) : Math.max(NOW_HOUR - (limit - 1) * HOUR, listed);
+      const candles = [];
+      for (let openTime = first; openTime <= NOW_HOUR && candles.length < Math.min(limit, 1000); openTime += HOUR) {
+        candles.push(candle(openTime));
+      }
+      return candles;
+    }
+  };
+}
+
+function seriesFile(symbol) {
+  return path.join(process.env.DATA_DIR, 'candles', `${symbol}_1h.jsonl`);
+}
+
+function storedLines(symbol) {
+  return fs.readFileSync(seriesFile(symbol), 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+function assertContiguous(candles) {
+  candles.slice(1).forEach((candle, i) => assert.strictEqual(candle.openTime - candles[i].openTime, HOUR));
+}
+
+test('pages older candles until the requested start is covered', async () => {
+  const provider = syntheticProvider(5000);
+  setCandleProvider(provider);
+
+  const from = NOW_HOUR - 800 * HOUR;
+  await ensureHistory('AAAUSDT', '1h', from);
+  const candles = await getStoredCandles('AAAUSDT', '1h');
+
+  assert.ok(candles[0].openTime <= from);
+  assert.strictEqual(candles[candles.length - 1].openTime, NOW_HOUR - HOUR);
+  assertContiguous(candles);
+  // The rewritten file holds the same series, oldest first
+  assert.deepStrictEqual(storedLines('AAAUSDT').map(candle => candle.openTime), candles.map(candle => candle.openTime));
+  assert.strictEqual(provider.calls.filter(call => call.startTime !== null).length, 1);
+});
+
+test('stops at CANDLE_HISTORY_LIMIT bars', async () => {
+  setCandleProvider(syntheticProvider(5000));
+
+  await ensureHistory('BBBUSDT', '1h', NOW_HOUR - 4000 * HOUR);
+  const candles = await getStoredCandles('BBBUSDT', '1h');
+
+  assert.strictEqual(candles.length, 1200);
+  assertContiguous(candles);
+});
+
+test('stops when the exchange has no older candles', async () => {
+  const provider = syntheticProvider(700);
+  setCandleProvider(provider);
+
+  await ensureHistory('CCCUSDT', '1h', NOW_HOUR - 1100 * HOUR);
+  const candles = await getStoredCandles('CCCUSDT', '1h');
+
+  assert.strictEqual(candles[0].openTime, NOW_HOUR - 700 * HOUR);
+  assertContiguous(candles);
+
+  // Already covered as far as it goes - a repeat request only asks once more and finds nothing
+  const before = provider.calls.length;
+  await ensureHistory('CCCUSDT', '1h', NOW_HOUR - 1100 * HOUR);
+  assert.strictEqual(provider.calls.length - before, 1);
+  assert.strictEqual((await getStoredCandles('CCCUSDT', '1h')).length, candles.length);
+});
+
+test('new closed bars push the oldest out once the series passes CANDLE_HISTORY_LIMIT', async () => {
+  setCandleProvider(syntheticProvider(5000));
+
+  // A server that was down for 1400 hours: 1300 stored bars, the sync appends up to 1000 more
+  const lastStored = NOW_HOUR - 1400 * HOUR;
+  const stored = Array.from({ length: 1300 }, (_, i) => candle(lastStored - (1299 - i) * HOUR));
+  fs.mkdirSync(path.dirname(seriesFile('DDDUSDT')), { recursive: true });
+  fs.writeFileSync(seriesFile('DDDUSDT'), stored.map(bar => JSON.stringify(bar)).join('\n') + '\n');
+
+  const candles = await getStoredCandles('DDDUSDT', '1h');
+  const newest = lastStored + 1000 * HOUR;
+  assert.strictEqual(candles.length, 1200);
+  assert.strictEqual(candles[candles.length - 1].openTime, newest);
+  assert.strictEqual(candles[0].openTime, newest - 1199 * HOUR);
+  assertContiguous(candles);
+
+  // 2300 lines were over the limit plus slack - the file was compacted to the same 1200 bars
+  assert.deepStrictEqual(storedLines('DDDUSDT').map(bar => bar.openTime), candles.map(bar => bar.openTime));
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { createBreaker, isProviderFailure } = require('../services/circuitBreaker');
+
+// Errors shaped like axios' - `response` for HTTP answers, `request` / `code` for network trouble
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  error.request = {};
+  return error;
+}
+
+function networkError(code) {
+  const error = new Error(`connect ${code}`);
+  error.code = code;
+  error.request = {};
+  return error;
+}
+
+const fail = (error) => () => Promise.reject(error);
+
+async function attempt(breaker, fn) {
+  try {
+    return await breaker.exec(fn);
+  } catch (error) {
+    return error;
+  }
+}
+
+test('network errors, timeouts, 429 and 5xx are provider failures', () => {
+  assert.ok(isProviderFailure(networkError('ECONNREFUSED')));
+  assert.ok(isProviderFailure(networkError('ECONNABORTED')));
+  assert.ok(isProviderFailure(httpError(429)));
+  assert.ok(isProviderFailure(httpError(503)));
+  assert.ok(!isProviderFailure(httpError(400)));
+  assert.ok(!isProviderFailure(httpError(404)));
+  assert.ok(!isProviderFailure(new Error('Empty kline response from Binance for FOOUSDT 1h')));
+});
+
+test('4xx answers and empty pages never open the circuit', async () => {
+  const breaker = createBreaker('test-4xx', { failureThreshold: 2 });
+
+  for (let i = 0; i < 5; i++) {
+    await attempt(breaker, fail(httpError(400)));
+    await attempt(breaker, fail(new Error('Empty kline response')));
+  }
+
+  const status = breaker.getStatus();
+  assert.strictEqual(status.state, 'closed');
+  assert.strictEqual(status.consecutiveFailures, 0);
+  assert.strictEqual(status.failures, 0);
+  assert.strictEqual(await breaker.exec(async () => 'ok'), 'ok');
+});
+
+test('consecutive 5xx / network failures open it, a 4xx in between resets the count', async () => {
+  const breaker = createBreaker('test-5xx', { failureThreshold: 3, cooldownMs: 60000 });
+
+  await attempt(breaker, fail(httpError(502)));
+  await attempt(breaker, fail(networkError('ETIMEDOUT')));
+  await attempt(breaker, fail(httpError(404)));
+  await attempt(breaker, fail(httpError(500)));
+  await attempt(breaker, fail(httpError(500)));
+  assert.strictEqual(breaker.getStatus().state, 'closed');
+
+  await attempt(breaker, fail(networkError('ECONNRESET')));
+  assert.strictEqual(breaker.getStatus().state, 'open');
+
+  let called = false;
+  const error = await attempt(breaker, async () => { called = true; });
+  assert.strictEqual(error.code, 'CIRCUIT_OPEN');
+  assert.strictEqual(called, false);
+});
+
+test('a 429 opens the circuit at once for its Retry-After', async () => {
+  const breaker = createBreaker('test-429', { failureThreshold: 5, cooldownMs: 1000 });
+  const before = Date.now();
+
+  await attempt(breaker, fail(httpError(429, { 'retry-after': '120' })));
+
+  const status = breaker.getStatus();
+  assert.strictEqual(status.state, 'open');
+  assert.ok(Date.parse(status.retryAt) >= before + 120000);
+});
+
+test('a half-open probe answered with a 4xx closes the circuit', async () => {
+  const breaker = createBreaker('test-probe', { failureThreshold: 1, cooldownMs: 0 });
+
+  await attempt(breaker, fail(httpError(500)));
+  assert.strictEqual(breaker.getStatus().state, 'open');
+
+  await attempt(breaker, fail(httpError(400)));
+  assert.strictEqual(breaker.getStatus().state, 'closed');
+});
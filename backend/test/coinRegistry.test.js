@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { getCoin, getCoins, getPair, validatePairs } = require('../services/coinRegistry');
+
+function market(baseAsset, quoteAsset, status = 'TRADING') {
+  return { symbol: `${baseAsset}${quoteAsset}`, baseAsset, quoteAsset, status };
+}
+
+test('pairs are derived for every configured quote until validated', () => {
+  assert.strictEqual(getPair(getCoin('cardano'), 'BTC'), 'ADABTC');
+  assert.strictEqual(getPair(getCoin('bitcoin'), 'BTC'), null);
+});
+
+test('validation drops unlisted quotes and coins without a default-quote pair', () => {
+  const configured = getCoins().length;
+  const exchangeInfo = {
+    symbols: [
+      market('BTC', 'USDT'), market('BTC', 'EUR'),
+      market('ETH', 'USDT'), market('ETH', 'EUR'), market('ETH', 'BTC'),
+      market('ADA', 'USDT'), market('ADA', 'BTC', 'BREAK'),
+      ...['SOL', 'XRP', 'DOGE', 'LTC', 'DOT', 'LINK'].map(base => market(base, 'USDT'))
+    ]
+  };
+
+  const coins = validatePairs(exchangeInfo);
+
+  assert.strictEqual(coins.length, configured - 1);
+  assert.deepStrictEqual(getCoin('ethereum').pairs, { USDT: 'ETHUSDT', EUR: 'ETHEUR', BTC: 'ETHBTC' });
+  assert.deepStrictEqual(getCoin('bitcoin').pairs, { USDT: 'BTCUSDT', EUR: 'BTCEUR' });
+  // Halted markets count as unlisted
+  assert.strictEqual(getPair(getCoin('cardano'), 'BTC'), null);
+  assert.strictEqual(getPair(getCoin('solana'), 'EUR'), null);
+  assert.strictEqual(getCoin('avalanche-2'), null);
+  assert.strictEqual(getCoin('avax'), null);
+});
+
+test('validation that would leave no coin keeps the current registry', () => {
+  const before = getCoins();
+  assert.throws(() => validatePairs({ symbols: [market('FOO', 'USDT')] }), /None of the configured coins/);
+  assert.strictEqual(getCoins(), before);
+});
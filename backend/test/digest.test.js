@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+
+const { renderDigest, sendDigest, getDigestStatus } = require('../services/digest');
+
+const NOW = Date.UTC(2025, 0, 2, 7, 0, 0);
+
+// Minimal SMTP sink - records the envelope and raw DATA of every message it accepts
+async function startSmtpSink() {
+  const messages = [];
+  const server = net.createServer(socket => {
+    const message = { from: null, to: [], data: '' };
+    let buffer = '';
+    let inData = false;
+
+    socket.write('220 sink ESMTP\r\n');
+    socket.on('data', chunk => {
+      buffer += chunk.toString();
+      while (buffer.length > 0) {
+        if (inData) {
+          const end = buffer.indexOf('\r\n.\r\n');
+          if (end < 0) return;
+          message.data = buffer.slice(0, end);
+          buffer = buffer.slice(end + 5);
+          inData = false;
+          messages.push({ ...message });
+          socket.write('250 OK queued\r\n');
+          continue;
+        }
+
+        const lineEnd = buffer.indexOf('\r\n');
+        if (lineEnd < 0) return;
+        const line = buffer.slice(0, lineEnd);
+        buffer = buffer.slice(lineEnd + 2);
+
+        const command = line.slice(0, 4).toUpperCase();
+        if (command === 'EHLO' || command === 'HELO') socket.write('250-sink\r\n250 8BITMIME\r\n');
+        else if (command === 'MAIL') { message.from = line.slice(10); socket.write('250 OK\r\n'); }
+        else if (command === 'RCPT') { message.to.push(line.slice(8)); socket.write('250 OK\r\n'); }
+        else if (command === 'DATA') { inData = true; socket.write('354 go ahead\r\n'); }
+        else if (command === 'QUIT') { socket.write('221 bye\r\n'); socket.end(); }
+        else socket.write('250 OK\r\n');
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { port: server.address().port, messages, close: () => new Promise(resolve => server.close(resolve)) };
+}
+
+function decodeQuotedPrintable(raw) {
+  const bytes = raw.replace(/=\r\n/g, '').replace(/=([0-9A-F]{2})/g, (match, hex) => `%${hex}`);
+  return decodeURIComponent(bytes.replace(/%(?![0-9A-F]{2})/g, '%25'));
+}
+
+// Log and trade times relative to `now` - sendDigest renders against the current time
+function digestData(now = Date.now()) {
+  return {
+    coins: [{ id: 'bitcoin', symbol: 'BTC' }],
+    snapshots: {
+      bitcoin: [{ timeframe: '1m', signal: 'BUY', confidence: 82, price: '42000.00' }]
+    },
+    logs: [
+      { time: new Date(now - 60 * 60 * 1000).toISOString(), coin: 'BTC', timeframe: '1h', oldSignal: 'NEUTRAL', newSignal: 'BUY', confidence: 82, reason: 'MACD <cross>' },
+      { time: new Date(now - 3 * 24 * 60 * 60 * 1000).toISOString(), coin: 'BTC', timeframe: '4h', oldSignal: 'BUY', newSignal: 'SELL', confidence: 70 }
+    ],
+    portfolio: {
+      equity: 10250,
+      balance: 9750,
+      openPositions: 1,
+      stats: { totalTrades: 2, winningTrades: 1, totalProfit: 250, bestTrade: 5.2, worstTrade: -1.1 }
+    },
+    closedPositions: [{ profit: 300, closedAt: new Date(now - 2 * 60 * 60 * 1000).toISOString() }]
+  };
+}
+
+test('renders only the period\'s changes and trades', () => {
+  const digest = renderDigest('daily', digestData(NOW), NOW);
+
+  assert.strictEqual(digest.subject, '📊 Daily signal digest - 2025-01-02');
+  assert.match(digest.html, /Signal changes \(1\)/);
+  assert.match(digest.html, /MACD &lt;cross&gt;/);
+  assert.match(digest.text, /period P&L \+300\.00 USDT/);
+  assert.match(digest.html, /42000\.00 USDT/);
+  assert.throws(() => renderDigest('monthly', digestData(NOW), NOW), /Unsupported digest period/);
+});
+
+test('delivers the digest to a local SMTP sink', async (t) => {
+  const sink = await startSmtpSink();
+  t.after(sink.close);
+  process.env.SMTP_HOST = '127.0.0.1';
+  process.env.SMTP_PORT = String(sink.port);
+
+  const result = await sendDigest('daily', digestData(), 'ops@example.com');
+
+  assert.strictEqual(sink.messages.length, 1);
+  const [message] = sink.messages;
+  assert.match(message.from, /bot@localhost/);
+  assert.deepStrictEqual(message.to, ['<ops@example.com>']);
+  assert.ok(message.data.includes(`Message-ID: ${result.messageId}`));
+  assert.match(message.data, /Content-Type: multipart\/alternative/);
+
+  const body = decodeQuotedPrintable(message.data);
+  assert.ok(body.includes('NEUTRAL → <b style="color:#2ecc71;">BUY</b>'));
+  assert.ok(body.includes('Paper equity: 10250.00 USDT, period P&L +300.00 USDT'));
+
+  assert.ok(getDigestStatus().lastSentAt);
+  assert.strictEqual(getDigestStatus().lastError, null);
+});
+
+test('requires a recipient', async () => {
+  await assert.rejects(sendDigest('daily', digestData(), ''), /DIGEST_TO/);
+});
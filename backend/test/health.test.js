@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-bot-test-'));
+process.env.HEALTH_PROBE_TTL_MS = '0';
+
+const { setCandleProvider } = require('../services/candleProvider');
+const { reloadCoinRegistry } = require('../services/coinRegistry');
+const { getReadiness } = require('../services/health');
+
+function recordingProvider() {
+  const symbols = [];
+  return {
+    name: 'recording',
+    symbols,
+    async fetchCandles(symbol) {
+      symbols.push(symbol);
+      return [];
+    }
+  };
+}
+
+function writeRegistry(config) {
+  const file = path.join(process.env.DATA_DIR, `coins-${Date.now()}.json`);
+  fs.writeFileSync(file, JSON.stringify(config));
+  return file;
+}
+
+test('the provider probe uses the registry\'s default quote', async () => {
+  reloadCoinRegistry(writeRegistry({
+    quote: 'EUR',
+    coins: [{ id: 'ethereum', symbol: 'ETH' }, { id: 'bitcoin', symbol: 'BTC' }]
+  }));
+  const provider = recordingProvider();
+  setCandleProvider(provider);
+
+  const readiness = await getReadiness();
+  assert.deepStrictEqual(provider.symbols, ['BTCEUR']);
+  assert.strictEqual(readiness.checks.candleProvider.symbol, 'BTCEUR');
+  assert.strictEqual(readiness.checks.candleProvider.status, 'ok');
+});
+
+test('without bitcoin the first registry coin is probed', async () => {
+  reloadCoinRegistry(writeRegistry({
+    quote: 'USDT',
+    coins: [{ id: 'solana', symbol: 'SOL' }, { id: 'ethereum', symbol: 'ETH' }]
+  }));
+  const provider = recordingProvider();
+  setCandleProvider(provider);
+
+  await getReadiness();
+  assert.deepStrictEqual(provider.symbols, ['SOLUSDT']);
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Offline pipeline: committed BTCUSDT fixtures (fixtures/candles) and a throwaway data dir
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-bot-test-'));
+process.env.CANDLE_PROVIDER = 'fixture';
+
+const { computeIndicatorsForCoin } = require('../server');
+const { getCoin } = require('../services/coinRegistry');
+const { TIMEFRAMES, CANDLE_LIMIT, getCandleProvider, setCandleProvider } = require('../services/candleProvider');
+
+const FIXTURE_DIR = path.join(__dirname, '..', 'fixtures', 'candles');
+
+function fixtureCandles(timeframe) {
+  return JSON.parse(fs.readFileSync(path.join(FIXTURE_DIR, `BTCUSDT_${timeframe}.json`), 'utf8'));
+}
+
+test('every fixture covers the bars live mode fetches', async () => {
+  for (const timeframe of TIMEFRAMES) {
+    assert.ok(fixtureCandles(timeframe).length >= CANDLE_LIMIT, timeframe);
+    assert.strictEqual((await getCandleProvider().fetchCandles('BTCUSDT', timeframe)).length, CANDLE_LIMIT);
+  }
+});
+
+test('computes every timeframe from the fixture candles', async () => {
+  const rows = await computeIndicatorsForCoin(getCoin('bitcoin'));
+  assert.deepStrictEqual(rows.map(row => row.timeframe), TIMEFRAMES);
+
+  // No live ticker offline - the price is the newest 1m close
+  const minute = fixtureCandles('1m');
+  const lastClose = parseFloat(minute[minute.length - 1][4]);
+  rows.forEach(row => {
+    assert.strictEqual(parseFloat(row.price), lastClose);
+    assert.ok(['BUY', 'SELL', 'NEUTRAL'].includes(row.signal));
+    assert.notStrictEqual(row.rsi, 'Error');
+    assert.strictEqual(typeof row.indicators.rsi.value, 'number');
+    assert.strictEqual(typeof row.indicators.ema200.value, 'number');
+    assert.ok(row.risk && row.risk.atr > 0);
+    assert.ok(row.levels);
+  });
+
+  const daily = fixtureCandles('1d');
+  assert.strictEqual(rows[0].volume24h, parseFloat(daily[daily.length - 1][5]));
+});
+
+test('missing timeframes come back as neutral rows', async (t) => {
+  const fixture = getCandleProvider();
+  setCandleProvider({
+    name: 'partial',
+    fetchCandles: (symbol, timeframe, ...args) => (timeframe === '1h' ? fixture.fetchCandles('BTCUSDT', timeframe, ...args) : [])
+  });
+  t.after(() => setCandleProvider(fixture));
+
+  const rows = await computeIndicatorsForCoin(getCoin('ethereum'));
+  assert.strictEqual(rows.length, TIMEFRAMES.length);
+  assert.strictEqual(rows.find(row => row.timeframe === '1h').rsi === 'Error', false);
+  rows.filter(row => row.timeframe !== '1h').forEach(row => {
+    assert.strictEqual(row.signal, 'NEUTRAL');
+    assert.strictEqual(row.rsi, 'Error');
+  });
+  assert.strictEqual(rows[0].volume24h, 0);
+});
+
+test('a coin without any candles fails with NO_CANDLES', async (t) => {
+  const fixture = getCandleProvider();
+  setCandleProvider({ name: 'empty', fetchCandles: async () => [] });
+  t.after(() => setCandleProvider(fixture));
+
+  await assert.rejects(computeIndicatorsForCoin(getCoin('solana')), error => error.code === 'NO_CANDLES');
+});
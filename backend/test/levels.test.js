@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { anchorLevels } = require('../services/levels');
+
+function zone(low, high) {
+  return { low, high, price: (low + high) / 2, touches: 2 };
+}
+
+function assertClose(actual, expected) {
+  assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+}
+
+const BUY_PRICES = { entryPrice: 100, stopLoss: 98, takeProfit: 105 };
+const SELL_PRICES = { entryPrice: 100, stopLoss: 102, takeProfit: 95 };
+
+test('a BUY stop goes under the nearest support, the target before the first resistance that pays the risk', () => {
+  const levels = {
+    support: [zone(96, 97), zone(90, 91)],
+    resistance: [zone(101, 101.5), zone(108, 109)],
+    pivots: null
+  };
+  const result = anchorLevels('BUY', BUY_PRICES, levels);
+
+  assertClose(result.stopLoss, 96 * 0.999);
+  // 101 would only earn ~0.9 against a ~4.1 risk
+  assertClose(result.takeProfit, 108 * 0.999);
+  assert.deepStrictEqual(result.anchors, { stopLoss: 'support', takeProfit: 'resistance' });
+});
+
+test('a SELL is mirrored: stop over resistance, target above support', () => {
+  const levels = {
+    support: [zone(94, 95)],
+    resistance: [zone(102.5, 103)],
+    pivots: null
+  };
+  const result = anchorLevels('SELL', SELL_PRICES, levels);
+
+  assertClose(result.stopLoss, 103 * 1.001);
+  assertClose(result.takeProfit, 95 * 1.001);
+  assert.deepStrictEqual(result.anchors, { stopLoss: 'resistance', takeProfit: 'support' });
+});
+
+test('levels further than 15% from the entry keep the multiplier prices', () => {
+  const levels = { support: [zone(80, 82)], resistance: [zone(118, 120)], pivots: null };
+
+  assert.deepStrictEqual(anchorLevels('BUY', BUY_PRICES, levels), {
+    stopLoss: 98,
+    takeProfit: 105,
+    anchors: { stopLoss: null, takeProfit: null }
+  });
+  assert.deepStrictEqual(anchorLevels('BUY', BUY_PRICES, null).anchors, { stopLoss: null, takeProfit: null });
+});
+
+test('classic pivots count as single-price levels', () => {
+  const levels = { support: [], resistance: [], pivots: { classic: { s1: 97, pp: 99, r1: 104 } } };
+  const result = anchorLevels('BUY', BUY_PRICES, levels);
+
+  assertClose(result.stopLoss, 99 * 0.999);
+  assertClose(result.takeProfit, 104 * 0.999);
+});
@@ -0,0 +1,116 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-bot-test-'));
+process.env.TELEGRAM_TRANSPORT = 'mock';
+
+const notifier = require('../services/notifier');
+const { mockTransport, getTelegramTransport } = require('../services/telegram');
+const { getCoin } = require('../services/coinRegistry');
+
+const bitcoin = getCoin('bitcoin');
+
+function row(timeframe, signal, confidence, overrides = {}) {
+  return {
+    timeframe,
+    signal,
+    confidence,
+    price: '42000.00',
+    entryPrice: '42000.00',
+    stopLoss: '41000.00',
+    takeProfit: '44000.00',
+    rsi: '55.00',
+    macd: { MACD: 12.5, signal: 10, histogram: 2.5 },
+    reasons: ['RSI rising'],
+    ...overrides
+  };
+}
+
+test.beforeEach(() => mockTransport.clear());
+
+test('uses the mock transport without a bot token', () => {
+  assert.strictEqual(getTelegramTransport().name, 'mock');
+});
+
+test('a signal flip sends one Telegram message to the matching chat', async (t) => {
+  const subscription = notifier.addSubscription({ user: 'flip', chatId: 1001, coins: ['btc'], timeframes: ['1h'] });
+  t.after(() => notifier.removeSubscription(subscription.id));
+
+  // First observation is only the baseline
+  assert.deepStrictEqual(await notifier.processSignalRows(bitcoin, [row('1h', 'NEUTRAL', 40)]), []);
+
+  const deliveries = await notifier.processSignalRows(bitcoin, [row('1h', 'BUY', 80), row('4h', 'SELL', 90)]);
+  assert.strictEqual(deliveries.length, 1);
+  assert.strictEqual(deliveries[0].status, 'sent');
+  assert.strictEqual(deliveries[0].transport, 'mock');
+
+  const messages = mockTransport.getMessages();
+  assert.strictEqual(messages.length, 1);
+  assert.strictEqual(messages[0].chatId, '1001');
+  assert.match(messages[0].text, /BTC 1h: NEUTRAL → BUY \(80%\)/);
+  assert.match(messages[0].text, /Why: RSI rising/);
+});
+
+test('confidence crossing the threshold notifies, failed rows never do', async (t) => {
+  const subscription = notifier.addSubscription({ user: 'threshold', chatId: 1002, timeframes: ['15m'], confidenceThreshold: 75 });
+  t.after(() => notifier.removeSubscription(subscription.id));
+
+  await notifier.processSignalRows(bitcoin, [row('15m', 'SELL', 60)]);
+  await notifier.processSignalRows(bitcoin, [row('15m', 'SELL', 78)]);
+  await notifier.processSignalRows(bitcoin, [row('15m', 'NEUTRAL', 50, { rsi: 'Error' })]);
+
+  const messages = mockTransport.getMessages();
+  assert.strictEqual(messages.length, 1);
+  assert.match(messages[0].text, /SELL confidence 60% → 78%/);
+});
+
+test('quiet hours hold back notifications', async (t) => {
+  const now = new Date();
+  const hour = String(now.getUTCHours()).padStart(2, '0');
+  const next = String((now.getUTCHours() + 1) % 24).padStart(2, '0');
+  const subscription = notifier.addSubscription({
+    user: 'quiet',
+    chatId: 1003,
+    timeframes: ['12h'],
+    quietHours: { start: `${hour}:00`, end: `${next}:00` }
+  });
+  t.after(() => notifier.removeSubscription(subscription.id));
+
+  await notifier.processSignalRows(bitcoin, [row('12h', 'NEUTRAL', 40)]);
+  await notifier.processSignalRows(bitcoin, [row('12h', 'BUY', 90)]);
+  assert.strictEqual(mockTransport.getMessages().length, 0);
+});
+
+test('prices are formatted by magnitude in the row\'s quote currency', () => {
+  const dogecoin = getCoin('dogecoin');
+  const text = notifier.formatMessage({
+    type: 'flip',
+    coin: dogecoin,
+    previous: { signal: 'NEUTRAL', confidence: 40 },
+    row: row('1h', 'BUY', 80, { quote: 'BTC', price: '0.00000231', entryPrice: '0.00000231', stopLoss: '0.00000220', takeProfit: '0.0125' })
+  });
+
+  assert.match(text, /Price: 0\.00000231 BTC/);
+  assert.match(text, /SL: 0\.00000220 BTC \| TP: 0\.0125 BTC/);
+  assert.doesNotMatch(text, /\$/);
+  assert.match(notifier.formatMessage({ type: 'flip', coin: bitcoin, previous: { signal: 'SELL' }, row: row('1d', 'BUY', 70) }), /Price: 42000\.00 USDT/);
+});
+
+test('webhook subscriptions to internal addresses are rejected', () => {
+  assert.throws(
+    () => notifier.addSubscription({ channel: 'webhook', url: 'http://169.254.169.254/latest/meta-data' }),
+    /private, loopback or link-local/
+  );
+  assert.throws(() => notifier.addSubscription({ channel: 'webhook', url: 'gopher://hooks.example.com' }), /http\(s\) URL/);
+});
+
+test('test messages go through the active transport', async (t) => {
+  const subscription = notifier.addSubscription({ user: 'ping', chatId: 1004 });
+  t.after(() => notifier.removeSubscription(subscription.id));
+
+  assert.deepStrictEqual(await notifier.sendTestMessage(subscription.id), { channel: 'telegram', transport: 'mock' });
+  assert.match(mockTransport.getMessages()[0].text, /test message for ping/);
+});
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Offline: fixture candles, throwaway paper portfolio
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-bot-test-'));
+process.env.CANDLE_PROVIDER = 'fixture';
+
+const { app, computeIndicatorsForCoin } = require('../server');
+const { getCoin } = require('../services/coinRegistry');
+const { getStrategy } = require('../services/strategies');
+const { sizePosition } = require('../services/risk');
+const paperTrading = require('../services/paperTrading');
+
+let server;
+let baseUrl;
+
+test.before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+// Indicator logs interleaved with the test runner's own output can corrupt its reporting on Node 20
+test.beforeEach((t) => {
+  t.mock.method(console, 'log', () => {});
+  paperTrading.resetPortfolio();
+});
+
+async function placeOrder(body) {
+  const response = await fetch(`${baseUrl}/api/portfolio/orders`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return response.json();
+}
+
+// First timeframe whose row can open a long, matching `predicate`
+async function findRow(strategy, predicate) {
+  const rows = await computeIndicatorsForCoin(getCoin('bitcoin'), getStrategy(strategy));
+  const row = rows.find(candidate => candidate.signal !== 'SELL' && candidate.risk && predicate(candidate));
+  assert.ok(row, `no usable ${strategy} row in the fixtures`);
+  return row;
+}
+
+test('risk-sized orders keep the SL/TP a strategy anchored to support / resistance', async () => {
+  const row = await findRow('rsi-macd-confluence', candidate => candidate.levelAnchors.stopLoss === 'support');
+  const price = parseFloat(row.price);
+  const stopLoss = parseFloat(row.stopLoss);
+
+  const response = await placeOrder({ coin: 'bitcoin', side: 'BUY', timeframe: row.timeframe, strategy: 'rsi-macd-confluence' });
+  assert.strictEqual(response.success, true, response.error);
+
+  const { position } = response;
+  assert.strictEqual(position.stopLoss, stopLoss);
+  assert.strictEqual(position.takeProfit, parseFloat(row.takeProfit));
+  assert.notStrictEqual(position.stopLoss, row.risk.stopLoss);
+  // Sized on the distance to the anchored stop, not the ATR one
+  assert.strictEqual(position.amount, sizePosition(price, price - stopLoss, 10000).positionSize);
+});
+
+test('without anchored levels risk-sized orders use the ATR stops', async () => {
+  const row = await findRow('default', candidate => !candidate.levelAnchors.stopLoss && !candidate.levelAnchors.takeProfit);
+
+  const response = await placeOrder({ coin: 'bitcoin', side: 'BUY', timeframe: row.timeframe });
+  assert.strictEqual(response.success, true, response.error);
+
+  const { position } = response;
+  assert.strictEqual(position.stopLoss, row.risk.stopLoss);
+  assert.strictEqual(position.takeProfit, row.risk.takeProfit);
+  assert.strictEqual(position.amount, row.risk.positionSize);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'notify-bot-test-'));
+
+const { buildConsensus } = require('../services/priceSources');
+
+function quote(source, price, volume = null) {
+  return { source, status: 'ok', price, volume };
+}
+
+test('the consensus is the median of the accepted sources, whatever their volume', () => {
+  const quotes = [quote('coingecko', 100.2, 30e9), quote('cryptocompare', 100.4, 2e6), quote('binance', 100, 1e9)];
+  const consensus = buildConsensus(quotes, 1.5);
+
+  assert.strictEqual(consensus.price, 100.2);
+  assert.strictEqual(consensus.method, 'median');
+  assert.deepStrictEqual(consensus.sourcesUsed, ['coingecko', 'cryptocompare', 'binance']);
+});
+
+test('outliers are flagged and left out of the consensus', () => {
+  const quotes = [quote('coingecko', 100, 1e12), quote('cryptocompare', 100.6), quote('binance', 110, 1e9), { source: 'extra', status: 'error' }];
+  const consensus = buildConsensus(quotes, 1.5);
+
+  assert.strictEqual(quotes[2].status, 'outlier');
+  assert.strictEqual(consensus.price, 100.3);
+  assert.deepStrictEqual(consensus.sourcesUsed, ['coingecko', 'cryptocompare']);
+});
+
+test('two disagreeing sources are disputed, no usable quote gives null', () => {
+  const consensus = buildConsensus([quote('coingecko', 100), quote('binance', 120)], 1.5);
+  assert.strictEqual(consensus.method, 'disputed');
+  assert.strictEqual(consensus.price, 110);
+  assert.deepStrictEqual(consensus.sourcesUsed, []);
+
+  assert.strictEqual(buildConsensus([{ source: 'binance', status: 'skipped' }]), null);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeRisk } = require('../services/risk');
+
+// Flat candles with a constant true range, so the ATR equals `range`
+function flatCandles(count, range, price = 100) {
+  return Array.from({ length: count }, () => ({ high: price + range / 2, low: price - range / 2, close: price }));
+}
+
+test('stops sit two ATRs away and size the position to risk 1% of equity', () => {
+  const risk = computeRisk(flatCandles(30, 2), 100, 'BUY', 10000);
+
+  assert.strictEqual(risk.atr, 2);
+  assert.strictEqual(risk.atrPercent, 2);
+  assert.strictEqual(risk.stopLoss, 96);
+  assert.strictEqual(risk.takeProfit, 106);
+  // 1% of the price over a 4-unit stop
+  assert.strictEqual(risk.positionPercent, 25);
+  assert.strictEqual(risk.riskPercent, 1);
+  assert.strictEqual(risk.positionSize, 2500);
+  assert.strictEqual(risk.quantity, 25);
+  assert.strictEqual(risk.riskAmount, 100);
+});
+
+test('SELL rows get short-side stops', () => {
+  const risk = computeRisk(flatCandles(30, 2), 100, 'SELL', 10000);
+  assert.strictEqual(risk.stopLoss, 104);
+  assert.strictEqual(risk.takeProfit, 94);
+});
+
+test('tight stops are capped at the maximum position share', () => {
+  const risk = computeRisk(flatCandles(30, 0.2), 100, 'BUY', 10000);
+  assert.strictEqual(risk.positionPercent, 50);
+  assert.strictEqual(risk.riskPercent, 0.2);
+});
+
+test('without equity only the unit-free numbers are filled', () => {
+  const risk = computeRisk(flatCandles(30, 2), 100, 'BUY');
+  assert.strictEqual(risk.positionPercent, 25);
+  assert.strictEqual(risk.positionSize, null);
+  assert.strictEqual(risk.quantity, null);
+  assert.strictEqual(risk.riskAmount, null);
+});
+
+test('returns null until there are enough candles for the ATR', () => {
+  assert.strictEqual(computeRisk(flatCandles(5, 2), 100, 'BUY', 10000), null);
+});
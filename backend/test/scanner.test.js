@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { closedTimeframes, markClosed, stopScanner } = require('../services/scanner');
+
+const MINUTE = 60 * 1000;
+const START = Date.UTC(2025, 0, 1, 0, 0, 30); // 30s into a new day - every timeframe just closed
+
+test.afterEach(() => stopScanner());
+
+test('every timeframe is due before anything was processed', () => {
+  assert.deepStrictEqual(closedTimeframes(START), ['1m', '15m', '1h', '4h', '12h', '1d']);
+});
+
+test('only closes after the processed ones are due', () => {
+  markClosed(closedTimeframes(START), START);
+  assert.deepStrictEqual(closedTimeframes(START + 20 * 1000), []);
+  assert.deepStrictEqual(closedTimeframes(START + MINUTE), ['1m']);
+  assert.deepStrictEqual(closedTimeframes(START + 15 * MINUTE), ['1m', '15m']);
+});
+
+test('a close skipped by an overrunning scan is still due afterwards', () => {
+  markClosed(closedTimeframes(START), START);
+  // The 00:59 tick ran until 01:00:40 - the 01:00 boundary was never a tick of its own
+  assert.deepStrictEqual(closedTimeframes(START + 60 * MINUTE + 10 * 1000), ['1m', '15m', '1h']);
+  markClosed(['1m', '15m', '1h'], START + 60 * MINUTE + 10 * 1000);
+  assert.deepStrictEqual(closedTimeframes(START + 61 * MINUTE), ['1m']);
+});
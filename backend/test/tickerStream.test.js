@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { TIMEFRAME_MS } = require('../services/candleProvider');
+const { startTickerStream, stopTickerStream, getLivePrice, getLiveCandle, mergeLiveCandle } = require('../services/tickerStream');
+
+const HOUR = TIMEFRAME_MS['1h'];
+const START = Date.UTC(2025, 0, 1, 0, 0, 0);
+
+function storedCandle(openTime, close) {
+  return { openTime, open: close, high: close + 5, low: close - 5, close, volume: 1, closeTime: openTime + HOUR - 1 };
+}
+
+// Combined-stream envelopes exactly as the websocket sends them
+function klineMessage(symbol, openTime, close, eventTime) {
+  return {
+    stream: `${symbol.toLowerCase()}@kline_1h`,
+    data: {
+      e: 'kline',
+      E: eventTime,
+      s: symbol,
+      k: { t: openTime, T: openTime + HOUR - 1, i: '1h', o: '100', h: String(close + 10), l: '95', c: String(close), v: '12.5', x: false }
+    }
+  };
+}
+
+function tradeMessage(symbol, price, tradeTime) {
+  return { stream: `${symbol.toLowerCase()}@trade`, data: { e: 'trade', E: tradeTime, s: symbol, p: String(price), T: tradeTime } };
+}
+
+// Recording in the record-mode format: { receivedAt, message } per line
+function writeRecording(entries) {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'notify-bot-ticker-')), 'ticker.jsonl');
+  fs.writeFileSync(file, entries.map(([receivedAt, message]) => JSON.stringify({ receivedAt, message })).join('\n') + '\n');
+  return file;
+}
+
+test.afterEach(() => stopTickerStream());
+
+test('a replayed recording merges the in-progress bar into stored candles', async () => {
+  const stored = [0, 1, 2].map(i => storedCandle(START + i * HOUR, 100 + i));
+  const file = writeRecording([
+    [START + 2 * HOUR + 1000, klineMessage('BTCUSDT', START + 2 * HOUR, 104, START + 2 * HOUR + 1000)],
+    [START + 2 * HOUR + 2000, tradeMessage('BTCUSDT', 104.5, START + 2 * HOUR + 2000)],
+    // A trade that arrives late must not move the price back
+    [START + 2 * HOUR + 2500, tradeMessage('BTCUSDT', 90, START + 2 * HOUR + 500)],
+    [START + 3 * HOUR + 1000, klineMessage('BTCUSDT', START + 3 * HOUR, 106, START + 3 * HOUR + 1000)],
+    [START + 3 * HOUR + 1500, klineMessage('ETHBTC', START + 3 * HOUR, 0.052, START + 3 * HOUR + 1500)]
+  ]);
+
+  assert.strictEqual(await startTickerStream(['BTCUSDT', 'ETHBTC'], 'replay', { file }), 5);
+
+  // The newest bar opens right after the last stored one - appended, window length kept
+  const merged = mergeLiveCandle('BTCUSDT', '1h', stored);
+  assert.deepStrictEqual(merged.map(candle => candle.openTime), [1, 2, 3].map(i => START + i * HOUR));
+  assert.deepStrictEqual(merged[2], { openTime: START + 3 * HOUR, open: 100, high: 116, low: 95, close: 106, volume: 12.5, closeTime: START + 4 * HOUR - 1 });
+  assert.strictEqual(getLivePrice('BTCUSDT'), 106);
+
+  // Non-default quote pairs are ingested the same way
+  assert.strictEqual(getLivePrice('ETHBTC'), 0.052);
+  assert.strictEqual(getLiveCandle('ETHBTC', '1h').close, 0.052);
+});
+
+test('the live bar replaces a stored bar with the same open time', async () => {
+  const stored = [0, 1, 2].map(i => storedCandle(START + i * HOUR, 100 + i));
+  const file = writeRecording([
+    [START + 2 * HOUR + 1000, klineMessage('SOLUSDT', START + 2 * HOUR, 99, START + 2 * HOUR + 1000)]
+  ]);
+
+  await startTickerStream(['SOLUSDT'], 'replay', { file });
+  const merged = mergeLiveCandle('SOLUSDT', '1h', stored);
+
+  assert.strictEqual(merged.length, 3);
+  assert.strictEqual(merged[1], stored[1]);
+  assert.strictEqual(merged[2].close, 99);
+});
+
+test('a live bar more than one interval ahead is dropped instead of leaving a gap', async () => {
+  const stored = [0, 1, 2].map(i => storedCandle(START + i * HOUR, 100 + i));
+  const file = writeRecording([
+    [START + 5 * HOUR + 1000, klineMessage('ADAUSDT', START + 5 * HOUR, 110, START + 5 * HOUR + 1000)]
+  ]);
+
+  await startTickerStream(['ADAUSDT'], 'replay', { file });
+  assert.strictEqual(mergeLiveCandle('ADAUSDT', '1h', stored), stored);
+});
+
+test('stored data wins over a stream that is behind', async () => {
+  const stored = [0, 1, 2].map(i => storedCandle(START + i * HOUR, 100 + i));
+  const file = writeRecording([
+    [START + HOUR + 1000, klineMessage('XRPUSDT', START + HOUR, 50, START + HOUR + 1000)]
+  ]);
+
+  await startTickerStream(['XRPUSDT'], 'replay', { file });
+  assert.strictEqual(mergeLiveCandle('XRPUSDT', '1h', stored), stored);
+});
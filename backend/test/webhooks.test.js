@@ -0,0 +1,114 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const http = require('http');
+
+process.env.WEBHOOK_RETRY_BASE_MS = '10';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+
+const { SIGNATURE_HEADER, signPayload, validateWebhookUrl, postWebhook } = require('../services/webhooks');
+
+// Retry logs interleaved with the test runner's own output can corrupt its reporting on Node 20
+test.beforeEach((t) => t.mock.method(console, 'log', () => {}));
+
+// Local receiver answering with the queued statuses (200 once they run out), recording every request
+async function startReceiver(statuses) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ headers: req.headers, body });
+      res.writeHead(statuses.length > 0 ? statuses.shift() : 200);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+// What a receiver does: HMAC the raw body with the shared secret, compare in constant time
+function verifySignature(secret, body, header) {
+  const expected = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+  return header.length === expected.length && crypto.timingSafeEqual(Buffer.from(header), Buffer.from(expected));
+}
+
+test('signs the exact request body with the subscription secret', async (t) => {
+  const receiver = await startReceiver([]);
+  t.after(receiver.close);
+
+  const payload = { event: 'signal.flip', coin: 'bitcoin', price: 42000.5 };
+  const status = await postWebhook({ url: receiver.url, secret: 's3cret', event: 'signal.flip', payload, delivery: { id: 'd1' } });
+
+  assert.strictEqual(status, 200);
+  const [request] = receiver.requests;
+  const signature = request.headers[SIGNATURE_HEADER.toLowerCase()];
+  assert.strictEqual(request.body, JSON.stringify(payload));
+  assert.strictEqual(signature, signPayload('s3cret', request.body));
+  assert.ok(verifySignature('s3cret', request.body, signature));
+  assert.ok(!verifySignature('other', request.body, signature));
+  assert.strictEqual(request.headers['x-notify-event'], 'signal.flip');
+  assert.strictEqual(request.headers['x-notify-delivery'], 'd1');
+});
+
+test('retries after a 500 and succeeds with the same signed body', async (t) => {
+  const receiver = await startReceiver([500]);
+  t.after(receiver.close);
+
+  const delivery = { id: 'd2' };
+  const status = await postWebhook({ url: receiver.url, secret: 's3cret', event: 'ping', payload: { event: 'ping' }, delivery });
+
+  assert.strictEqual(status, 200);
+  assert.strictEqual(receiver.requests.length, 2);
+  assert.strictEqual(receiver.requests[0].body, receiver.requests[1].body);
+  assert.strictEqual(receiver.requests[1].headers['x-notify-delivery'], 'd2');
+  assert.strictEqual(delivery.attempts, 2);
+  assert.strictEqual(delivery.responseStatus, 200);
+  assert.strictEqual(delivery.error, null);
+});
+
+test('gives up after the last attempt and never retries a 4xx', async (t) => {
+  const failing = await startReceiver([503, 503, 503]);
+  const rejecting = await startReceiver([400]);
+  t.after(failing.close);
+  t.after(rejecting.close);
+
+  const exhausted = { id: 'd3' };
+  await assert.rejects(postWebhook({ url: failing.url, secret: 'x', event: 'ping', payload: {}, delivery: exhausted }));
+  assert.strictEqual(failing.requests.length, 3);
+  assert.strictEqual(exhausted.responseStatus, 503);
+
+  const rejected = { id: 'd4' };
+  await assert.rejects(postWebhook({ url: rejecting.url, secret: 'x', event: 'ping', payload: {}, delivery: rejected }));
+  assert.strictEqual(rejecting.requests.length, 1);
+  assert.strictEqual(rejected.attempts, 1);
+});
+
+test('webhook URLs must be http(s) on a public host', () => {
+  assert.strictEqual(validateWebhookUrl('https://hooks.example.com/notify'), 'https://hooks.example.com/notify');
+  assert.strictEqual(validateWebhookUrl('http://8.8.8.8:8080/hook'), 'http://8.8.8.8:8080/hook');
+
+  ['ftp://hooks.example.com/notify', 'file:///etc/passwd', 'not a url'].forEach(url => {
+    assert.throws(() => validateWebhookUrl(url), /http\(s\) URL/, url);
+  });
+  [
+    'http://169.254.169.254/latest/meta-data',
+    'http://127.0.0.1:3001/hook',
+    'http://localhost./hook',
+    'http://2130706433/',
+    'http://10.0.0.5/hook',
+    'http://172.16.8.1/hook',
+    'http://192.168.1.10/hook',
+    'http://0.0.0.0/',
+    'http://[::1]/hook',
+    'http://[::ffff:169.254.169.254]/',
+    'http://[fe80::1]/hook',
+    'http://[fd12::1]/hook'
+  ].forEach(url => {
+    assert.throws(() => validateWebhookUrl(url), /private, loopback or link-local/, url);
+  });
+});
@@ -0,0 +1,31 @@
+/* Service worker for dashboard notifications: shows backend push messages and focuses the app on click */
+
+self.addEventListener('push', (event) => {
+  let payload = {};
+  try {
+    payload = event.data ? event.data.json() : {};
+  } catch (error) {
+    payload = { title: 'Notify Trading Bot', body: event.data ? event.data.text() : '' };
+  }
+
+  event.waitUntil(
+    self.registration.showNotification(payload.title || 'Notify Trading Bot', {
+      body: payload.body || '',
+      tag: payload.tag,
+      renotify: Boolean(payload.tag),
+      data: payload.data || {}
+    })
+  );
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+      const scope = self.registration.scope;
+      const existing = clients.find((client) => client.url.startsWith(scope));
+      return existing ? existing.focus() : self.clients.openWindow(scope);
+    })
+  );
+});
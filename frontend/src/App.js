@@ -1,103 +1,68 @@
 import React, { useEffect, useState } from 'react';
-import { fetchMarketData } from './services/api';
+import { fetchMarketData, subscribeMarketStream } from './services/api';
+import { useCoins } from './utils/useCoins';
+import { formatQuotePrice } from './utils/formatPrice';
 import './BotTable.css'; // CSS u kojem ćemo doraditi tamni izgled i centriranje
 
+// Backend strategija za Trade Panel: RSI <40 i histogram>0 = BUY, RSI >60 i histogram<0 = SELL
+const TRADE_PANEL_STRATEGY = 'rsi-macd-confluence';
+
 function App() {
   const [marketData, setMarketData] = useState([]);
   const [selectedCoin, setSelectedCoin] = useState('solana'); // npr. default SOLANA
   const [isLoading, setIsLoading] = useState(false);
 
-  const coins = [
-    'bitcoin',
-    'ethereum',
-    'solana',
-    'cardano',
-    'dogecoin',
-    'xrp',
-    'litecoin',
-    'polkadot',
-    'chainlink',
-    'avalanche'
-  ];
+  const coins = useCoins();
 
   useEffect(() => {
+    // Ista obrada i za polling i za live stream
+    const applyData = (rawData) => {
+      if (rawData && rawData.length > 0) {
+        // ...a ovdje samo dopunjavamo očekivani pomak prema TP/SL
+        const processed = rawData.map((item) => {
+          const price = parseFloat(item.price);
+          const finalSignal = item.signal || 'NEUTRAL';
+
+          let entryPrice = '-';
+          let stopLoss = '-';
+          let takeProfit = '-';
+          let expectedMoveUp = '-';
+          let expectedMoveDown = '-';
+
+          if (finalSignal !== 'NEUTRAL') {
+            entryPrice = formatQuotePrice(item.entryPrice, item.quote);
+            stopLoss = formatQuotePrice(item.stopLoss, item.quote);
+            takeProfit = formatQuotePrice(item.takeProfit, item.quote);
+
+            // BUY: rast do TP, pad do SL | SELL: rizik gore do SL, pad do TP
+            const upLevel = finalSignal === 'BUY' ? item.takeProfit : item.stopLoss;
+            const downLevel = finalSignal === 'BUY' ? item.stopLoss : item.takeProfit;
+            expectedMoveUp = (((parseFloat(upLevel) - price) / price) * 100).toFixed(2);
+            expectedMoveDown = (((parseFloat(downLevel) - price) / price) * 100).toFixed(2);
+          }
+
+          return {
+            ...item,
+            price: formatQuotePrice(price, item.quote),
+            finalSignal,
+            entryPrice,
+            stopLoss,
+            takeProfit,
+            // Ubacimo i kolone “expectedMoveUp” i “expectedMoveDown”
+            expectedMoveUp,   // recimo “OČEKIVANI RAST (%)”
+            expectedMoveDown  // recimo “OČEKIVANI PAD (%)”
+          };
+        });
+
+        setMarketData(processed);
+      }
+    };
+
     const fetchData = async () => {
       setIsLoading(true);
       try {
-        const rawData = await fetchMarketData(selectedCoin);
-        
-        if (rawData && rawData.length > 0) {
-          // ...i dopunjavamo logiku za entry, SL i TP
-          const processed = rawData.map((item) => {
-            const price = parseFloat(item.price);
-            const rsi = parseFloat(item.rsi);
-            const macdHist = parseFloat(item.macd.histogram);
-
-            let finalSignal = 'NEUTRAL';
-            let entryPrice = '-';
-            let stopLoss = '-';
-            let takeProfit = '-';
-            let expectedMoveUp = '-';
-            let expectedMoveDown = '-';
-
-            // Primjer “buy” uvjeta: RSI <40 i histogram>0
-            if (rsi < 40 && macdHist > 0) {
-              finalSignal = 'BUY';
-              entryPrice = (price * 0.998).toFixed(2); // 0.2% ispod trenutne
-
-              stopLoss = (parseFloat(entryPrice) * 0.98).toFixed(2); // 2% ispod
-              takeProfit = (parseFloat(entryPrice) * 1.05).toFixed(2); // 5% iznad
-
-              // Expected Move (rast)
-              // npr. “expectedMoveUp” = razlika (TP - price) / price * 100
-              expectedMoveUp = (
-                ((parseFloat(takeProfit) - price) / price) *
-                100
-              ).toFixed(2);
-
-              // “expectedMoveDown” = (SL - price)/price *100
-              // (obično će biti negativno)
-              expectedMoveDown = (
-                ((parseFloat(stopLoss) - price) / price) *
-                100
-              ).toFixed(2);
-            }
-            // Primjer “sell” uvjeta: RSI >60 i histogram<0
-            else if (rsi > 60 && macdHist < 0) {
-              finalSignal = 'SELL';
-              entryPrice = (price * 1.002).toFixed(2); // 0.2% iznad
-
-              stopLoss = (parseFloat(entryPrice) * 1.02).toFixed(2); // 2% gore
-              takeProfit = (parseFloat(entryPrice) * 0.95).toFixed(2); // 5% dolje
-
-              // “expectedMoveUp” (ovdje ga možemo nazvati risk gore)
-              expectedMoveUp = (
-                ((parseFloat(stopLoss) - price) / price) *
-                100
-              ).toFixed(2);
-
-              // “expectedMoveDown” = (TP - price)/price *100
-              expectedMoveDown = (
-                ((parseFloat(takeProfit) - price) / price) *
-                100
-              ).toFixed(2);
-            }
-
-            return {
-              ...item,
-              price: price.toFixed(2),
-              finalSignal,
-              entryPrice,
-              stopLoss,
-              takeProfit,
-              // Ubacimo i kolone “expectedMoveUp” i “expectedMoveDown”
-              expectedMoveUp,   // recimo “OČEKIVANI RAST (%)”
-              expectedMoveDown  // recimo “OČEKIVANI PAD (%)”
-            };
-          });
-
-          setMarketData(processed);
-        }
+        // Signal, entry, SL i TP računa backend po strategiji (iste rule kao backtest)
+        applyData(await fetchMarketData(selectedCoin, TRADE_PANEL_STRATEGY));
       } catch (error) {
         console.error('Error fetching data', error);
       } finally {
@@ -106,8 +71,22 @@ function App() {
     };
 
     fetchData();
-    const interval = setInterval(fetchData, 5000);
-    return () => clearInterval(interval);
+
+    // Backend šalje nove redove preko streama - polling samo dok stream ne radi
+    let isStreaming = false;
+    const unsubscribe = subscribeMarketStream(selectedCoin, {
+      strategy: TRADE_PANEL_STRATEGY,
+      onSnapshot: applyData,
+      onStatus: (live) => { isStreaming = live; }
+    });
+
+    const interval = setInterval(() => {
+      if (!isStreaming) fetchData();
+    }, 5000);
+    return () => {
+      clearInterval(interval);
+      unsubscribe();
+    };
   }, [selectedCoin]);
 
   return (
@@ -131,10 +110,11 @@ function App() {
       
       <div className="coin-selector">
         <label>Coin: </label>
-        <select onChange={(e) => setSelectedCoin(e.target.value)} value={selectedCoin} disabled={isLoading}>
+        <select onChange={(e) => setSelectedCoin(e.target.value)} value={selectedCoin} disabled={isLoading || coins.length === 0}>
+          {coins.length === 0 && <option value={selectedCoin}>⏳ Učitavanje coinova...</option>}
           {coins.map((coin) => (
-            <option key={coin} value={coin}>
-              {coin.toUpperCase()}
+            <option key={coin.id} value={coin.id}>
+              {coin.symbol}
             </option>
           ))}
         </select>
@@ -0,0 +1,248 @@
+import React, { useEffect, useState } from 'react';
+import { fetchAlerts, saveAlert, deleteAlert } from '../services/api';
+
+const ALERT_TIMEFRAMES = ['1m', '15m', '1h', '4h', '12h', '1d'];
+const ALERT_REFRESH_MS = 30000;
+
+const METRIC_LABELS = {
+  price: 'Cijena',
+  rsi: 'RSI',
+  macd: 'MACD',
+  macdSignal: 'MACD Signal',
+  macdHistogram: 'MACD Histogram'
+};
+
+const CONDITION_LABELS = {
+  above: 'iznad',
+  below: 'ispod',
+  crossesAbove: 'presiječe prema gore',
+  crossesBelow: 'presiječe prema dolje',
+  crosses: 'presiječe'
+};
+
+const inputStyle = {
+  background: '#333',
+  color: '#fff',
+  border: '1px solid #555',
+  padding: '8px',
+  borderRadius: '4px',
+  width: '100%'
+};
+
+const actionButtonStyle = (color) => ({
+  background: color,
+  border: 'none',
+  color: '#fff',
+  padding: '4px 8px',
+  borderRadius: '4px',
+  cursor: 'pointer',
+  marginRight: '5px'
+});
+
+const describeAlert = (alert) => {
+  const subject = alert.metric === 'price' ? `${alert.symbol} cijena` : `${alert.symbol} ${alert.timeframe} ${METRIC_LABELS[alert.metric]}`;
+  return `${subject} ${CONDITION_LABELS[alert.condition]} ${alert.value}`;
+};
+
+// Price / indicator alerts evaluated by the backend on every computation
+function AlertsPanel({ coins, defaultCoin }) {
+  const [alerts, setAlerts] = useState([]);
+  const [form, setForm] = useState({
+    coin: defaultCoin || 'bitcoin',
+    metric: 'price',
+    timeframe: '1h',
+    condition: 'crosses',
+    value: '',
+    note: ''
+  });
+  const [error, setError] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const loadAlerts = () => {
+    fetchAlerts()
+      .then(response => {
+        if (response.success) setAlerts(response.alerts);
+      })
+      .catch(err => console.error('Alerts error:', err));
+  };
+
+  useEffect(() => {
+    loadAlerts();
+    const interval = setInterval(loadAlerts, ALERT_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const createAlert = async () => {
+    setIsSaving(true);
+    setError(null);
+    try {
+      // Price alerts don't depend on a timeframe
+      const response = await saveAlert({ ...form, timeframe: form.metric === 'price' ? undefined : form.timeframe });
+      if (response.success) {
+        setForm(prev => ({ ...prev, value: '', note: '' }));
+        loadAlerts();
+      } else {
+        setError(response.error);
+      }
+    } catch (err) {
+      console.error('Create alert error:', err);
+      setError(err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const rearmAlert = async (id) => {
+    const response = await saveAlert({}, id);
+    if (!response.success) setError(response.error);
+    loadAlerts();
+  };
+
+  const removeAlert = async (id) => {
+    try {
+      await deleteAlert(id);
+    } catch (err) {
+      console.error('Delete alert error:', err);
+    }
+    loadAlerts();
+  };
+
+  const activeCount = alerts.filter(alert => alert.status === 'active').length;
+
+  return (
+    <div style={{ marginTop:'20px', padding: '20px', background: '#2c3e50', borderRadius: '12px'}}>
+      <h2 style={{ color: '#f39c12', textAlign: 'center', marginBottom: '20px' }}>
+        🚨 ALERTS - Cjenovni i indikator alarmi
+      </h2>
+
+      {/* New alert */}
+      <div style={{
+        background: '#2a2a2a',
+        padding: '15px',
+        borderRadius: '8px',
+        marginBottom: '20px',
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(140px, 1fr))',
+        gap: '15px',
+        alignItems: 'end'
+      }}>
+        <div>
+          <label style={{ color: '#fff', marginBottom: '5px', display: 'block' }}>Coin:</label>
+          <select value={form.coin} onChange={(e) => updateForm('coin', e.target.value)} style={inputStyle}>
+            {coins.length === 0 && <option value={form.coin}>⏳ Učitavanje...</option>}
+            {coins.map(c => (
+              <option key={c.id} value={c.id}>{c.symbol}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label style={{ color: '#fff', marginBottom: '5px', display: 'block' }}>Vrijednost:</label>
+          <select value={form.metric} onChange={(e) => updateForm('metric', e.target.value)} style={inputStyle}>
+            {Object.entries(METRIC_LABELS).map(([metric, label]) => (
+              <option key={metric} value={metric}>{label}</option>
+            ))}
+          </select>
+        </div>
+        {form.metric !== 'price' && (
+          <div>
+            <label style={{ color: '#fff', marginBottom: '5px', display: 'block' }}>Timeframe:</label>
+            <select value={form.timeframe} onChange={(e) => updateForm('timeframe', e.target.value)} style={inputStyle}>
+              {ALERT_TIMEFRAMES.map(tf => (
+                <option key={tf} value={tf}>{tf}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div>
+          <label style={{ color: '#fff', marginBottom: '5px', display: 'block' }}>Uslov:</label>
+          <select value={form.condition} onChange={(e) => updateForm('condition', e.target.value)} style={inputStyle}>
+            {Object.entries(CONDITION_LABELS).map(([condition, label]) => (
+              <option key={condition} value={condition}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label style={{ color: '#fff', marginBottom: '5px', display: 'block' }}>Nivo:</label>
+          <input
+            type="number"
+            step="any"
+            value={form.value}
+            onChange={(e) => updateForm('value', e.target.value)}
+            placeholder={form.metric === 'rsi' ? '25' : form.metric === 'price' ? '150' : '0'}
+            style={inputStyle}
+          />
+        </div>
+        <div>
+          <label style={{ color: '#fff', marginBottom: '5px', display: 'block' }}>Bilješka:</label>
+          <input type="text" value={form.note} onChange={(e) => updateForm('note', e.target.value)} style={inputStyle} />
+        </div>
+        <button
+          onClick={createAlert}
+          disabled={isSaving || form.value === ''}
+          style={{
+            background: isSaving || form.value === '' ? '#95a5a6' : '#2ecc71',
+            color: '#fff',
+            border: 'none',
+            padding: '10px',
+            borderRadius: '6px',
+            fontWeight: 'bold',
+            cursor: isSaving || form.value === '' ? 'not-allowed' : 'pointer'
+          }}
+        >
+          ➕ Dodaj Alert
+        </button>
+      </div>
+
+      {error && (
+        <div style={{ background: '#e74c3c', color: '#fff', padding: '10px', borderRadius: '6px', marginBottom: '20px', textAlign: 'center' }}>
+          ❌ {error}
+        </div>
+      )}
+
+      <h3 style={{ color: '#fff', marginBottom: '15px' }}>
+        📋 Alerti ({activeCount} aktivnih / {alerts.length} ukupno)
+      </h3>
+      <table>
+        <thead style={{ background:'#3a3a3a'}}>
+          <tr>
+            <th>Alert</th>
+            <th>Bilješka</th>
+            <th>Status</th>
+            <th>Okinut</th>
+            <th>Vrijednost</th>
+            <th>Akcije</th>
+          </tr>
+        </thead>
+        <tbody>
+          {alerts.length>0? (
+            alerts.map(alert=>(
+              <tr key={alert.id} style={{ background: alert.status === 'triggered' ? 'rgba(231, 76, 60, 0.2)' : 'transparent' }}>
+                <td>{describeAlert(alert)}</td>
+                <td>{alert.note || '-'}</td>
+                <td style={{ color: alert.status === 'active' ? '#2ecc71' : '#e74c3c', fontWeight: 'bold' }}>
+                  {alert.status === 'active' ? '🟢 AKTIVAN' : '🔴 OKINUT'}
+                </td>
+                <td>{alert.triggeredAt ? new Date(alert.triggeredAt).toLocaleString('sr-RS') : '-'}</td>
+                <td>{alert.triggeredValue !== null ? alert.triggeredValue : '-'}</td>
+                <td>
+                  {alert.status === 'triggered' && (
+                    <button style={actionButtonStyle('#3498db')} onClick={() => rearmAlert(alert.id)}>🔄 Ponovo</button>
+                  )}
+                  <button style={actionButtonStyle('#e74c3c')} onClick={() => removeAlert(alert.id)}>🗑️</button>
+                </td>
+              </tr>
+            ))
+          ):(
+            <tr>
+              <td colSpan={6}>Nema alerta</td>
+            </tr>
+          )}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default AlertsPanel;
@@ -0,0 +1,263 @@
+import React, { useEffect, useState } from 'react';
+import { fetchBacktest, fetchStrategies } from '../services/api';
+
+const BACKTEST_TIMEFRAMES = ['1m', '15m', '1h', '4h', '12h', '1d'];
+
+const inputStyle = {
+  background: '#333',
+  color: '#fff',
+  border: '1px solid #555',
+  padding: '8px',
+  borderRadius: '4px',
+  width: '100%'
+};
+
+// Minimal SVG line chart - enough for equity / drawdown curves without a chart library
+const LineChart = ({ points, valueKey, color, height = 180, invert = false, suffix = '' }) => {
+  if (!points || points.length < 2) {
+    return <div style={{ color: '#95a5a6', padding: '20px' }}>Nema dovoljno podataka za grafikon</div>;
+  }
+
+  const width = 800;
+  const values = points.map(p => p[valueKey]);
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const range = max - min || 1;
+
+  const path = values.map((value, i) => {
+    const x = (i / (values.length - 1)) * width;
+    const normalized = (value - min) / range;
+    const y = invert ? normalized * height : height - normalized * height;
+    return `${i === 0 ? 'M' : 'L'}${x.toFixed(1)},${y.toFixed(1)}`;
+  }).join(' ');
+
+  return (
+    <div>
+      <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" style={{ width: '100%', height: `${height}px`, background: '#1a252f', borderRadius: '6px' }}>
+        <path d={path} fill="none" stroke={color} strokeWidth="2" vectorEffect="non-scaling-stroke" />
+      </svg>
+      <div style={{ display: 'flex', justifyContent: 'space-between', color: '#95a5a6', fontSize: '11px', marginTop: '4px' }}>
+        <span>{new Date(points[0].time).toLocaleString('sr-RS')}</span>
+        <span>min {min.toFixed(2)}{suffix} • max {max.toFixed(2)}{suffix}</span>
+        <span>{new Date(points[points.length - 1].time).toLocaleString('sr-RS')}</span>
+      </div>
+    </div>
+  );
+};
+
+function BacktestPanel({ coins, defaultCoin }) {
+  const [coin, setCoin] = useState(defaultCoin || 'bitcoin');
+  const [timeframe, setTimeframe] = useState('1h');
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [balance, setBalance] = useState(10000);
+  const [strategies, setStrategies] = useState([]);
+  const [strategy, setStrategy] = useState('');
+  const [isRunning, setIsRunning] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  useEffect(() => {
+    fetchStrategies()
+      .then(response => {
+        if (!response.success) return;
+        setStrategies(response.strategies);
+        setStrategy(response.default);
+      })
+      .catch(err => console.error('Strategies error:', err));
+  }, []);
+
+  const runBacktest = async () => {
+    setIsRunning(true);
+    setError(null);
+    try {
+      const response = await fetchBacktest({ coin, timeframe, from: fromDate, to: toDate, balance, strategy });
+      if (response.success) {
+        setResult(response);
+      } else {
+        setError(response.error);
+      }
+    } catch (err) {
+      console.error('Backtest error:', err);
+      setError(err.message);
+    } finally {
+      setIsRunning(false);
+    }
+  };
+
+  const stats = result ? result.data : null;
+
+  return (
+    <div style={{ marginTop:'20px', padding: '20px', background: '#2c3e50', borderRadius: '12px'}}>
+      <h2 style={{ color: '#f39c12', textAlign: 'center', marginBottom: '20px' }}>
+        🧪 BACKTEST - Istorijsko testiranje signala
+      </h2>
+
+      {/* Parameters */}
+      <div style={{
+        background: '#2a2a2a',
+        padding: '15px',
+        borderRadius: '8px',
+        marginBottom: '20px',
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(150px, 1fr))',
+        gap: '15px',
+        alignItems: 'end'
+      }}>
+        <div>
+          <label style={{ color: '#fff', marginBottom: '5px', display: 'block' }}>Coin:</label>
+          <select value={coin} onChange={(e) => setCoin(e.target.value)} style={inputStyle}>
+            {coins.length === 0 && <option value={coin}>⏳ Učitavanje...</option>}
+            {coins.map(c => (
+              <option key={c.id} value={c.id}>{c.symbol}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label style={{ color: '#fff', marginBottom: '5px', display: 'block' }}>Timeframe:</label>
+          <select value={timeframe} onChange={(e) => setTimeframe(e.target.value)} style={inputStyle}>
+            {BACKTEST_TIMEFRAMES.map(tf => (
+              <option key={tf} value={tf}>{tf}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label style={{ color: '#fff', marginBottom: '5px', display: 'block' }}>Strategija:</label>
+          <select value={strategy} onChange={(e) => setStrategy(e.target.value)} style={inputStyle}>
+            {strategies.map(s => (
+              <option key={s.name} value={s.name} title={s.description}>{s.name}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label style={{ color: '#fff', marginBottom: '5px', display: 'block' }}>Od (From):</label>
+          <input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} style={inputStyle} />
+        </div>
+        <div>
+          <label style={{ color: '#fff', marginBottom: '5px', display: 'block' }}>Do (To):</label>
+          <input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} style={inputStyle} />
+        </div>
+        <div>
+          <label style={{ color: '#fff', marginBottom: '5px', display: 'block' }}>Početni kapital ($):</label>
+          <input
+            type="number"
+            min="100"
+            value={balance}
+            onChange={(e) => setBalance(parseFloat(e.target.value) || 0)}
+            style={inputStyle}
+          />
+        </div>
+        <button
+          onClick={runBacktest}
+          disabled={isRunning || balance <= 0}
+          style={{
+            background: isRunning ? '#95a5a6' : '#2ecc71',
+            color: '#fff',
+            border: 'none',
+            padding: '10px',
+            borderRadius: '6px',
+            fontWeight: 'bold',
+            cursor: isRunning ? 'not-allowed' : 'pointer'
+          }}
+        >
+          {isRunning ? '⏳ Računam...' : '▶️ Pokreni Backtest'}
+        </button>
+      </div>
+
+      {error && (
+        <div style={{ background: '#e74c3c', color: '#fff', padding: '10px', borderRadius: '6px', marginBottom: '20px', textAlign: 'center' }}>
+          ❌ {error}
+        </div>
+      )}
+
+      {stats && (
+        <>
+          <div style={{ color: '#95a5a6', textAlign: 'center', marginBottom: '15px', fontSize: '13px' }}>
+            {result.coin.toUpperCase()} {result.timeframe} • {result.strategy} • {new Date(result.from).toLocaleDateString('sr-RS')} - {new Date(result.to).toLocaleDateString('sr-RS')} • {stats.barsTested} svijeća
+          </div>
+
+          {result.rangeClamped && (
+            <div style={{ background: '#f39c12', color: '#000', padding: '10px', borderRadius: '6px', marginBottom: '15px', textAlign: 'center', fontSize: '13px' }}>
+              ⚠️ Istorija dostupna tek od {new Date(result.from).toLocaleDateString('sr-RS')} (traženo od {new Date(result.requestedFrom).toLocaleDateString('sr-RS')}) - backtest je skraćen na dostupne svijeće
+            </div>
+          )}
+
+          {/* Summary */}
+          <div style={{
+            display: 'grid',
+            gridTemplateColumns: window.innerWidth < 768 ? 'repeat(2, 1fr)' : 'repeat(6, 1fr)',
+            gap: '15px',
+            marginBottom: '20px'
+          }}>
+            {[
+              { label: 'Neto Dobit', value: `${stats.netProfit >= 0 ? '+' : ''}$${stats.netProfit.toFixed(2)}`, color: stats.netProfit >= 0 ? '#2ecc71' : '#e74c3c' },
+              { label: 'Povrat', value: `${stats.returnPercent.toFixed(2)}%`, color: stats.returnPercent >= 0 ? '#2ecc71' : '#e74c3c' },
+              { label: 'Win Rate', value: `${stats.winRate.toFixed(1)}%`, color: '#f39c12' },
+              { label: 'Profit Factor', value: stats.profitFactor === null ? '∞' : stats.profitFactor.toFixed(2), color: '#3498db' },
+              { label: 'Max Drawdown', value: `${stats.maxDrawdown.toFixed(2)}%`, color: '#e74c3c' },
+              { label: 'Trade-ova', value: `${stats.winningTrades}/${stats.totalTrades}`, color: '#9b59b6' }
+            ].map(card => (
+              <div key={card.label} style={{ background: '#34495e', padding: '15px', borderRadius: '10px', textAlign: 'center' }}>
+                <div style={{ color: '#95a5a6', fontSize: '12px' }}>{card.label}</div>
+                <div style={{ color: card.color, fontSize: '18px', fontWeight: 'bold' }}>{card.value}</div>
+              </div>
+            ))}
+          </div>
+
+          {/* Equity curve */}
+          <div style={{ background: '#34495e', padding: '15px', borderRadius: '10px', marginBottom: '20px' }}>
+            <h4 style={{ color: '#2ecc71', marginBottom: '10px' }}>📈 Equity Curve</h4>
+            <LineChart points={stats.equityCurve} valueKey="equity" color="#2ecc71" suffix="$" />
+          </div>
+
+          {/* Drawdown */}
+          <div style={{ background: '#34495e', padding: '15px', borderRadius: '10px', marginBottom: '20px' }}>
+            <h4 style={{ color: '#e74c3c', marginBottom: '10px' }}>📉 Drawdown</h4>
+            <LineChart points={stats.equityCurve} valueKey="drawdown" color="#e74c3c" height={120} invert suffix="%" />
+          </div>
+
+          {/* Trade list - same layout as the HISTORY tab */}
+          <h3 style={{ color: '#fff', marginBottom: '15px' }}>📜 Trade-ovi</h3>
+          <table>
+            <thead style={{ background:'#3a3a3a'}}>
+              <tr>
+                <th>Entry Time</th>
+                <th>Exit Time</th>
+                <th>Side</th>
+                <th>Entry</th>
+                <th>Exit</th>
+                <th>Reason</th>
+                <th>Profit</th>
+              </tr>
+            </thead>
+            <tbody>
+              {stats.trades.length>0? (
+                stats.trades.map((trade,i)=>(
+                  <tr key={i}>
+                    <td>{new Date(trade.entryTime).toLocaleString('sr-RS')}</td>
+                    <td>{new Date(trade.exitTime).toLocaleString('sr-RS')}</td>
+                    <td style={{ color: trade.side === 'LONG' ? '#2ecc71' : '#e74c3c', fontWeight: 'bold' }}>{trade.side}</td>
+                    <td>{trade.entryPrice.toFixed(4)}</td>
+                    <td>{trade.exitPrice.toFixed(4)}</td>
+                    <td>{trade.exitReason}</td>
+                    <td style={{
+                      color: trade.profit>=0 ? '#2ecc71':'#e74c3c'
+                    }}>
+                      {trade.profit.toFixed(2)} ({trade.profitPercent.toFixed(2)}%)
+                    </td>
+                  </tr>
+                ))
+              ):(
+                <tr>
+                  <td colSpan={7}>No trades</td>
+                </tr>
+              )}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default BacktestPanel;
@@ -1,52 +1,22 @@
-const TIMEFRAMES = ['15m', '1H', '4H', '6H', '12H', '1D', '1W', '1M'];
-const INDICATORS = [
-  'rsi',
-  'macd',
-  'stoch',
-  'bollinger',
-  'ema50',
-  'ema200',
-  'adx',
-  'cci',
-  'willr',
-  'mom' // momentum
-];
+// Indikatori koje backend računa iz pravih svijeća (/api/getAllIndicators -> row.indicators).
+// Lista dolazi iz zajedničkog paketa (shared/indicators) da frontend i backend uvijek imaju isti redoslijed.
+export { INDICATORS } from '@my-notify-bot/indicators';
 
-// Ova funkcija vraća array od 8 timeframe-ova,
-// a unutar svakog timeframe-a ima 10 indikatora s vrijednostima i finalnim buy/sell.
-export function calculateIndicators(currentPrice) {
-  if (!currentPrice) return [];
+// Ova funkcija od backend redova (jedan po timeframe-u) vraća
+// indikatore (10 cjenovnih + 5 volumenskih) s vrijednostima i njihovim buy/sell glasom, plus zbroj glasova.
+export function calculateIndicators(rows) {
+  if (!rows || rows.length === 0) return [];
 
-  return TIMEFRAMES.map(tf => {
-    const indData = {};
+  return rows
+    .filter(row => row.indicators)
+    .map(row => {
+      const votes = row.indicatorVotes || { buy: 0, sell: 0, neutral: 0 };
 
-    // Za svaki indikator, generiši random broj 0-100
-    // i odredi buy/sell prema >50 => buy, <50 => sell (ovo je fiktivno!)
-    INDICATORS.forEach((ind) => {
-      const val = Math.floor(Math.random() * 100) + 1; 
-      const signal = val > 50 ? 'BUY' : 'SELL';
-      indData[ind] = { value: val, signal };
+      return {
+        timeframe: row.timeframe,
+        indicators: row.indicators, // ovdje su rsi, macd, stoch, ... ({ value, signal })
+        buySig: votes.buy,
+        sellSig: votes.sell
+      };
     });
-
-    // Još fiktivni buy/sell
-    const buySig = Math.floor(Math.random() * 100) + 1;
-    const sellSig = Math.floor(Math.random() * 100) + 1;
-
-    // StopLoss / target
-    const buyTarget = (currentPrice * 1.07).toFixed(2);
-    const buyStopLoss = (currentPrice * 0.95).toFixed(2);
-    const sellTarget = (currentPrice * 0.93).toFixed(2);
-    const sellStopLoss = (currentPrice * 1.05).toFixed(2);
-
-    return {
-      timeframe: tf,
-      indicators: indData, // ovdje su rsi, macd, stoch, ...
-      buySig,
-      sellSig,
-      buyTarget,
-      buyStopLoss,
-      sellTarget,
-      sellStopLoss
-    };
-  });
 }
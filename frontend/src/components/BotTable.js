@@ -1,63 +1,50 @@
-import React, { useEffect, useState } from 'react';
-import { fetchMarketData, fetchLogs, fetchTradeHistory } from '../services/api';
+import React, { useEffect, useRef, useState } from 'react';
+import {
+  fetchMarketData,
+  fetchLogs,
+  fetchTradeHistory,
+  fetchPortfolio,
+  placePaperOrder,
+  resetPaperPortfolio,
+  subscribeMarketStream,
+  fetchBackendReadiness
+} from '../services/api';
 import TradingChart from './TradingChart';
 import Settings from './Settings';
+import BacktestPanel from './BacktestPanel';
+import AlertsPanel from './AlertsPanel';
+import { INDICATORS, calculateIndicators } from './BotIndicatorLogic';
 import { makeApiCall, getRateLimiterStatus, updateRateLimiter } from '../utils/rateLimiter';
-
-// Technical Indicators Library (frontend calculations)
-const calculateRSI = (prices, period = 14) => {
-  if (prices.length < period + 1) return 50;
-  
-  let gains = 0, losses = 0;
-  for (let i = 1; i <= period; i++) {
-    const change = prices[i] - prices[i - 1];
-    if (change > 0) gains += change;
-    else losses -= change;
-  }
-  
-  const avgGain = gains / period;
-  const avgLoss = losses / period;
-  const rs = avgGain / avgLoss;
-  return 100 - (100 / (1 + rs));
-};
-
-const calculateMACD = (prices, fast = 12, slow = 26, signal = 9) => {
-  if (prices.length < slow) return { macd: 0, signal: 0, histogram: 0 };
-  
-  const emaFast = prices.slice(-fast).reduce((a, b) => a + b) / fast;
-  const emaSlow = prices.slice(-slow).reduce((a, b) => a + b) / slow;
-  const macdLine = emaFast - emaSlow;
-  const signalLine = macdLine; // Simplified
-  const histogram = macdLine - signalLine;
-  
-  return { macd: macdLine, signal: signalLine, histogram };
+import { notifyDirectionChange } from '../utils/notifications';
+import { useCoinRegistry, getCoinQuotes } from '../utils/useCoins';
+import { formatQuotePrice } from '../utils/formatPrice';
+
+// Timeframes the backend computes signals (and SL/TP levels) for
+const BACKEND_TIMEFRAMES = ['1m', '15m', '1h', '4h', '12h', '1d'];
+
+const VOTE_COLORS = { BUY: '#2ecc71', SELL: '#e74c3c', NEUTRAL: '#95a5a6' };
+
+// { value } of a suite indicator as a short cell text: 54.2, or "k 80.1 / d 75.3" for multi-value ones
+const formatIndicatorValue = (value) => {
+  if (value === null || value === undefined) return '-';
+  if (typeof value === 'number') return value;
+  return Object.entries(value)
+    .filter(([, part]) => part !== null)
+    .map(([key, part]) => `${key} ${part}`)
+    .join(' / ');
 };
 
-const calculateStochastic = (highs, lows, closes, period = 14) => {
-  if (closes.length < period) return { k: 50, d: 50 };
-  
-  const recentHigh = Math.max(...highs.slice(-period));
-  const recentLow = Math.min(...lows.slice(-period));
-  const currentClose = closes[closes.length - 1];
-  
-  const k = ((currentClose - recentLow) / (recentHigh - recentLow)) * 100;
-  return { k, d: k }; // Simplified D = K
+// Oznaka uz SL/TP koji je backend postavio na support/resistance zonu (strategija s risk.anchorToLevels)
+const LevelAnchor = ({ row, field }) => {
+  const anchor = row.levelAnchors && row.levelAnchors[field];
+  if (!anchor) return null;
+  return <span title={`Postavljeno na ${anchor} nivo`}> 🧱</span>;
 };
 
-const calculateBollingerBands = (prices, period = 20, multiplier = 2) => {
-  if (prices.length < period) return { upper: 0, middle: 0, lower: 0 };
-  
-  const recentPrices = prices.slice(-period);
-  const middle = recentPrices.reduce((a, b) => a + b) / period;
-  const variance = recentPrices.reduce((sum, price) => sum + Math.pow(price - middle, 2), 0) / period;
-  const stdDev = Math.sqrt(variance);
-  
-  return {
-    upper: middle + (stdDev * multiplier),
-    middle,
-    lower: middle - (stdDev * multiplier)
-  };
-};
+// Zone kao kratki tekst: "98.82 (4x) • 95.10 (2x)"
+const formatZones = (zones) => (
+  zones && zones.length > 0 ? zones.map(zone => `${zone.price} (${zone.touches}x)`).join(' • ') : '-'
+);
 
 // Local Storage Database
 const LocalDB = {
@@ -116,36 +103,37 @@ function BotTable() {
   const [selectedTimeframe, setSelectedTimeframe] = useState(
     localStorage.getItem('selectedTimeframe') || '15m'
   );
+  const [selectedQuote, setSelectedQuote] = useState(
+    localStorage.getItem('selectedQuote') || 'USDT'
+  );
   const [isLoading, setIsLoading] = useState(false);
   const [connectionError, setConnectionError] = useState(null);
   const [lastPrediction, setLastPrediction] = useState(null);
   const [lastPredictionTime, setLastPredictionTime] = useState(null);
+  // Last seen direction per `${coin}_${timeframe}` - a ref, so stream callbacks never compare against a stale render
+  const lastDirections = useRef({});
   const [directionLog, setDirectionLog] = useState([]);
   const [isWakingUp, setIsWakingUp] = useState(false);
   const [lastUpdateTime, setLastUpdateTime] = useState(null);
+  const [streamLive, setStreamLive] = useState(false);
+  const [backendReadiness, setBackendReadiness] = useState(null);
   const [localAnalysis, setLocalAnalysis] = useState([]);
   const [showSettings, setShowSettings] = useState(false);
   const [rateLimitStatus, setRateLimitStatus] = useState(null);
   
-  // AUTO-TRADING BOT Portfolio states with localStorage persistence
-  const [portfolioTrades, setPortfolioTrades] = useState(() => {
-    const saved = localStorage.getItem('bot_portfolio_trades');
-    return saved ? JSON.parse(saved) : [];
-  });
-  const [portfolioBalance, setPortfolioBalance] = useState(() => {
-    const saved = localStorage.getItem('bot_portfolio_balance');
-    return saved ? parseFloat(saved) : 10000; // Starting with $10,000
-  });
-  const [portfolioStats, setPortfolioStats] = useState(() => {
-    const saved = localStorage.getItem('bot_portfolio_stats');
-    return saved ? JSON.parse(saved) : {
-      totalTrades: 0,
-      winningTrades: 0,
-      totalProfit: 0,
-      bestTrade: 0,
-      worstTrade: 0
-    };
+  // AUTO-TRADING BOT Portfolio states - the paper trading engine lives on the backend
+  const [portfolioTrades, setPortfolioTrades] = useState([]);
+  const [portfolioBalance, setPortfolioBalance] = useState(10000);
+  const [portfolioStartingBalance, setPortfolioStartingBalance] = useState(10000);
+  const [portfolioEquity, setPortfolioEquity] = useState(10000);
+  const [portfolioStats, setPortfolioStats] = useState({
+    totalTrades: 0,
+    winningTrades: 0,
+    totalProfit: 0,
+    bestTrade: 0,
+    worstTrade: 0
   });
+  const [portfolioError, setPortfolioError] = useState(null);
   const [autoBotActive, setAutoBotActive] = useState(() => {
     const saved = localStorage.getItem('auto_bot_active');
     return saved ? JSON.parse(saved) : false;
@@ -153,16 +141,18 @@ function BotTable() {
   const [botStatus, setBotStatus] = useState('🔒 BOT ZAKLJUČAN');
   const [lastAutoTrade, setLastAutoTrade] = useState(null);
 
-  const coins = [
-    'bitcoin','ethereum','solana','cardano','dogecoin',
-    'xrp','litecoin','polkadot','chainlink','avalanche'
-  ];
+  const coinRegistry = useCoinRegistry();
+  const coins = coinRegistry.coins;
+  // Quotes the selected coin trades in - falls back to the default one when the pick doesn't exist (e.g. BTC/BTC)
+  const coinQuotes = getCoinQuotes(coinRegistry, selectedCoin);
+  const quote = coinQuotes.includes(selectedQuote) ? selectedQuote : coinRegistry.defaultQuote;
+  const isDefaultQuote = quote === coinRegistry.defaultQuote;
 
   // Clear cache on startup but preserve user data
   useEffect(() => {
     console.log('🧹 Clearing cache for updates...');
-    // Clear API cache but keep portfolio data
-    const keysToKeep = ['bot_portfolio_trades', 'bot_portfolio_balance', 'bot_portfolio_stats', 'auto_bot_active'];
+    // Clear API cache but keep the auto-bot switch and the coin / quote pick (portfolio data lives on the backend)
+    const keysToKeep = ['auto_bot_active', 'selectedCoin', 'selectedQuote', 'notification_settings', 'notification_push_subscription_id'];
     const allKeys = Object.keys(localStorage);
     allKeys.forEach(key => {
       if (!keysToKeep.includes(key)) {
@@ -178,25 +168,45 @@ function BotTable() {
     }
   }, []);
 
-  // Save portfolio data to localStorage whenever it changes
   useEffect(() => {
-    localStorage.setItem('bot_portfolio_trades', JSON.stringify(portfolioTrades));
-  }, [portfolioTrades]);
-
-  useEffect(() => {
-    localStorage.setItem('bot_portfolio_balance', portfolioBalance.toString());
-  }, [portfolioBalance]);
+    localStorage.setItem('auto_bot_active', JSON.stringify(autoBotActive));
+  }, [autoBotActive]);
 
-  useEffect(() => {
-    localStorage.setItem('bot_portfolio_stats', JSON.stringify(portfolioStats));
-  }, [portfolioStats]);
+  // Pull balance, positions and stats from the backend paper trading engine
+  const loadPortfolio = async () => {
+    try {
+      const portfolio = await fetchPortfolio();
+      setPortfolioTrades(portfolio.positions);
+      setPortfolioBalance(portfolio.balance);
+      setPortfolioStartingBalance(portfolio.startingBalance);
+      setPortfolioEquity(portfolio.equity);
+      setPortfolioStats(portfolio.stats);
+
+      // Positions are closed server-side on SL/TP - reflect the latest auto-trade outcome
+      const autoTrades = portfolio.positions.filter(t => t.isAutoTrade);
+      const latestAuto = autoTrades[autoTrades.length - 1];
+      if (autoBotActive && latestAuto && latestAuto.status === 'CLOSED') {
+        if (latestAuto.profit > 0) {
+          setBotStatus(`✅ PROFIT +${latestAuto.profitPercent.toFixed(1)}% ${latestAuto.coin}`);
+        } else {
+          setBotStatus(`❌ LOSS ${latestAuto.profitPercent.toFixed(1)}% ${latestAuto.coin}`);
+        }
+      }
+    } catch (error) {
+      console.error('Portfolio fetch error:', error);
+      setPortfolioError(`Portfolio API Error: ${error.message}`);
+    }
+  };
 
   useEffect(() => {
-    localStorage.setItem('auto_bot_active', JSON.stringify(autoBotActive));
-  }, [autoBotActive]);
+    if (activeTab !== 'portfolio' && !autoBotActive) return;
+    loadPortfolio();
+    const interval = setInterval(loadPortfolio, 15000);
+    return () => clearInterval(interval);
+  }, [activeTab, autoBotActive]);
 
   // AUTO-TRADING BOT ENGINE with 95%+ Success Rate
-  const executeAutoBotTrade = (coin, prediction) => {
+  const executeAutoBotTrade = async (coin, prediction) => {
     if (!autoBotActive || !prediction) return;
     
     const confidence = prediction.confidence;
@@ -209,15 +219,15 @@ function BotTable() {
     const hasEnoughBalance = portfolioBalance >= 200; // Minimum $200 for trade
     
     if (isHighConfidence && isStrongSignal && hasEnoughBalance) {
-      const tradeAmount = Math.min(portfolioBalance * 0.15, 1000); // Max 15% or $1000
-      
       if (recommendation === 'BUY') {
-        console.log(`🤖 AUTO-BOT KUPUJE ${coin.toUpperCase()} - Confidence: ${confidence}%`);
-        executePortfolioTrade('BUY', coin, tradeAmount, currentPrice, confidence);
+        // Bez iznosa backend sam računa veličinu pozicije iz ATR-a (fiksni % equity-ja u riziku) i ATR SL/TP
+        console.log(`🤖 AUTO-BOT KUPUJE ${coin.toUpperCase()} @ ~$${currentPrice} - Confidence: ${confidence}%`);
+        const position = await executePortfolioTrade('BUY', coin, null, confidence, true);
+        if (!position) return;
         setLastAutoTrade({
           action: 'BUY',
           coin: coin.toUpperCase(),
-          amount: tradeAmount,
+          amount: position.amount,
           confidence,
           timestamp: new Date().toLocaleTimeString()
         });
@@ -226,124 +236,30 @@ function BotTable() {
     }
   };
 
-  // Portfolio simulation functions
-  const executePortfolioTrade = (action, coin, amount, currentPrice, confidence) => {
-    const tradeId = Date.now();
-    const timestamp = new Date();
-    
-    if (action === 'BUY' && amount <= portfolioBalance) {
-      const newTrade = {
-        id: tradeId,
-        type: 'BUY',
-        coin: coin.toUpperCase(),
-        amount: amount,
-        price: currentPrice,
-        quantity: amount / currentPrice,
-        confidence: confidence,
-        timestamp: timestamp.toISOString(),
-        status: 'OPEN',
-        isAutoTrade: autoBotActive // Mark if it's auto-bot trade
-      };
-      
-      setPortfolioTrades(prev => [...prev, newTrade]);
-      setPortfolioBalance(prev => prev - amount);
-      
-      // Smart auto-sell timing based on confidence and market conditions
-      const sellDelay = confidence > 90 ? 45000 : confidence > 85 ? 35000 : 25000; // 25-45 seconds
-      setTimeout(() => {
-        simulateTradeClose(tradeId, coin, confidence);
-      }, sellDelay);
-      
-    } else if (action === 'SELL') {
-      const openTrade = portfolioTrades.find(t => t.coin === coin.toUpperCase() && t.status === 'OPEN');
-      if (openTrade) {
-        simulateTradeClose(openTrade.id, coin, confidence);
-      }
+  // Paper orders execute on the backend at the real price with real SL/TP levels
+  const executePortfolioTrade = async (action, coin, amount, confidence, isAutoTrade = false) => {
+    setPortfolioError(null);
+    const timeframe = BACKEND_TIMEFRAMES.includes(selectedTimeframe) ? selectedTimeframe : '1h';
+    const result = await placePaperOrder({ coin, side: action, amount, timeframe, confidence, isAutoTrade });
+
+    if (!result.success) {
+      console.log(`⚠️ Paper ${action} ${coin.toUpperCase()} rejected: ${result.error}`);
+      setPortfolioError(result.error);
+      if (isAutoTrade) setBotStatus(`⚠️ ${result.error}`);
+      return null;
     }
-  };
 
-  const simulateTradeClose = (tradeId, coin, confidence) => {
-    setPortfolioTrades(prev => {
-      return prev.map(trade => {
-        if (trade.id === tradeId && trade.status === 'OPEN') {
-          // ENHANCED profit calculation for higher success rate
-          // Auto-bot trades have better success rate due to selective criteria
-          const isAutoBotTrade = trade.isAutoTrade;
-          const baseSuccessRate = isAutoBotTrade ? 0.85 : 0.65; // 85% vs 65% success rate
-          
-          // Confidence-based profit calculation with bias toward success
-          const confidenceBonus = (confidence - 50) / 100; // 0.35 for 85% confidence
-          const successProbability = Math.min(0.95, baseSuccessRate + confidenceBonus);
-          
-          const isWinningTrade = Math.random() < successProbability;
-          
-          let priceMovement;
-          if (isWinningTrade) {
-            // Winning trade: 1-8% profit based on confidence
-            priceMovement = (confidence / 100) * (0.01 + Math.random() * 0.07);
-          } else {
-            // Losing trade: -1 to -4% loss
-            priceMovement = -(0.01 + Math.random() * 0.03);
-          }
-          
-          const sellPrice = trade.price * (1 + priceMovement);
-          const profit = (sellPrice - trade.price) * trade.quantity;
-          const profitPercent = ((sellPrice - trade.price) / trade.price) * 100;
-          
-          // Update portfolio balance
-          setPortfolioBalance(prev => prev + (trade.quantity * sellPrice));
-          
-          // Update stats
-          setPortfolioStats(prevStats => ({
-            totalTrades: prevStats.totalTrades + 1,
-            winningTrades: prevStats.winningTrades + (profit > 0 ? 1 : 0),
-            totalProfit: prevStats.totalProfit + profit,
-            bestTrade: Math.max(prevStats.bestTrade, profitPercent),
-            worstTrade: Math.min(prevStats.worstTrade, profitPercent)
-          }));
-          
-          // Update bot status if auto-trade
-          if (isAutoBotTrade) {
-            if (profit > 0) {
-              setBotStatus(`✅ PROFIT +${profitPercent.toFixed(1)}% ${coin.toUpperCase()}`);
-            } else {
-              setBotStatus(`❌ LOSS ${profitPercent.toFixed(1)}% ${coin.toUpperCase()}`);
-            }
-          }
-          
-          return {
-            ...trade,
-            status: 'CLOSED',
-            sellPrice: sellPrice,
-            profit: profit,
-            profitPercent: profitPercent,
-            closedAt: new Date().toISOString()
-          };
-        }
-        return trade;
-      });
-    });
+    await loadPortfolio();
+    return result.position || null;
   };
 
-  const resetPortfolio = () => {
-    setPortfolioTrades([]);
-    setPortfolioBalance(10000);
-    setPortfolioStats({
-      totalTrades: 0,
-      winningTrades: 0,
-      totalProfit: 0,
-      bestTrade: 0,
-      worstTrade: 0
-    });
+  const resetPortfolio = async () => {
+    await resetPaperPortfolio();
+    await loadPortfolio();
     // Reset auto-bot
     setAutoBotActive(false);
     setBotStatus('🔒 BOT ZAKLJUČAN');
     setLastAutoTrade(null);
-    
-    // Clear localStorage
-    localStorage.removeItem('bot_portfolio_trades');
-    localStorage.removeItem('bot_portfolio_balance');
-    localStorage.removeItem('bot_portfolio_stats');
     localStorage.removeItem('auto_bot_active');
   };
 
@@ -625,139 +541,35 @@ function BotTable() {
     return null;
   };
 
-  // Enhanced prediction calculation for any timeframe using 10 indicators
+  // Prediction for the selected timeframe - signal, confidence and levels come from the backend strategy
   const calculateEnhancedTimeframePrediction = (allData, coin, timeframe) => {
-    // Get data for specific timeframe
-    const tfData = allData.filter(tf => tf.timeframe === timeframe);
-    if (tfData.length === 0) return null;
+    const row = allData.find(tf => tf.timeframe === timeframe);
+    if (!row || !row.signal) return null;
 
-    // Determine sample size based on timeframe
-    const sampleSize = timeframe === '1m' ? 5 : timeframe === '15m' ? 10 : timeframe === '1h' ? 15 : timeframe === '4h' ? 20 : timeframe === '12h' ? 25 : 30;
-    const lastSamples = tfData.slice(-sampleSize);
-    
-    // Extract price data for technical indicators
-    const prices = lastSamples.map(tf => parseFloat(tf.price || 0));
-    const highs = lastSamples.map(tf => parseFloat(tf.high || tf.price || 0));
-    const lows = lastSamples.map(tf => parseFloat(tf.low || tf.price || 0));
-    
-    // Calculate 10 key indicators
-    const rsi = calculateRSI(prices, Math.min(14, prices.length));
-    const macd = calculateMACD(prices, Math.min(12, prices.length), Math.min(26, prices.length), Math.min(9, prices.length));
-    const stoch = calculateStochastic(highs, lows, prices, Math.min(14, prices.length));
-    const bb = calculateBollingerBands(prices, Math.min(20, prices.length), 2);
-    const sma20 = prices.slice(-Math.min(20, prices.length)).reduce((a, b) => a + b, 0) / Math.min(20, prices.length);
-    const ema12 = prices.slice(-Math.min(12, prices.length)).reduce((a, b) => a + b, 0) / Math.min(12, prices.length);
-    
-    // Timeframe-specific volatility and bias adjustments
-    const timeframeMultiplier = {
-      '1m': { vol: 0.005, bias: Math.random() * 40 - 20, sensitivity: 3.0 },
-      '15m': { vol: 0.01, bias: Math.random() * 30 - 15, sensitivity: 2.5 },
-      '1h': { vol: 0.025, bias: Math.random() * 20 - 10, sensitivity: 2.0 },
-      '4h': { vol: 0.04, bias: Math.random() * 15 - 7.5, sensitivity: 1.5 },
-      '12h': { vol: 0.06, bias: Math.random() * 10 - 5, sensitivity: 1.2 },
-      '1d': { vol: 0.08, bias: Math.random() * 8 - 4, sensitivity: 1.0 }
-    };
+    const currentPrice = parseFloat(row.price);
+    const histogram = row.macd ? row.macd.histogram : 0;
+    // Backend NEUTRAL is shown as HOLD everywhere in the UI
+    const mainSignal = row.signal === 'NEUTRAL' ? 'HOLD' : row.signal;
 
-    const tfConfig = timeframeMultiplier[timeframe] || timeframeMultiplier['1h'];
-    
-    // Generate unique timeframe-adjusted indicators
-    const timeframeBias = tfConfig.bias;
-    const sensitivity = tfConfig.sensitivity;
-    
-    // Calculate weighted indicator scores with timeframe bias
-    let buyScore = 30 + timeframeBias; // Base score varies by timeframe
-    let sellScore = 30 - timeframeBias;
-    
-    // 1. RSI with timeframe sensitivity (weight: 20%)
-    const rsiAdjusted = rsi + (Math.random() - 0.5) * 10 * sensitivity;
-    if (rsiAdjusted < 25) buyScore += 25;
-    else if (rsiAdjusted > 75) sellScore += 25;
-    else if (rsiAdjusted < 45) buyScore += 15;
-    else if (rsiAdjusted > 55) sellScore += 15;
-    
-    // 2. MACD with timeframe dynamics (weight: 20%)
-    const macdAdjusted = macd.histogram * (1 + tfConfig.vol * 20);
-    if (macdAdjusted > 0.1) buyScore += 25;
-    else if (macdAdjusted < -0.1) sellScore += 25;
-    else if (macdAdjusted > 0) buyScore += 12;
-    else sellScore += 12;
-    
-    // 3. Stochastic with volatility adjustment (weight: 15%)
-    const stochAdjusted = stoch.k + timeframeBias * 0.5;
-    if (stochAdjusted < 15) buyScore += 20;
-    else if (stochAdjusted > 85) sellScore += 20;
-    else if (stochAdjusted < 40) buyScore += 10;
-    else if (stochAdjusted > 60) sellScore += 10;
-    
-    // 4. Price momentum with timeframe scaling (weight: 15%)
-    const currentPrice = prices[prices.length - 1];
-    const priceChange = ((currentPrice - prices[0]) / prices[0]) * 100;
-    const momentumThreshold = sensitivity * 0.8;
-    if (priceChange > momentumThreshold) buyScore += 20;
-    else if (priceChange < -momentumThreshold) sellScore += 20;
-    
-    // 5. Volume analysis (weight: 10%)
-    const avgVolume = lastSamples.reduce((sum, tf) => sum + parseFloat(tf.volume24h || 0), 0) / lastSamples.length;
-    const recentVolume = parseFloat(lastSamples[lastSamples.length - 1].volume24h || 0);
-    if (recentVolume > avgVolume * (1 + tfConfig.vol * 10)) buyScore += 15;
-    
-    // 6. Bollinger Bands position (weight: 10%)
-    if (currentPrice < bb.lower * (1 + tfConfig.vol)) buyScore += 15;
-    else if (currentPrice > bb.upper * (1 - tfConfig.vol)) sellScore += 15;
-    
-    // 7. Moving average crossover (weight: 10%)
-    const smaComparison = (currentPrice - sma20) / sma20 * 100;
-    if (smaComparison > sensitivity) buyScore += 15;
-    else if (smaComparison < -sensitivity) sellScore += 15;
-    
-    // Apply timeframe confidence modifiers
-    const baseConfidence = Math.max(buyScore, sellScore);
-    const timeframeConfidenceBonus = {
-      '1m': Math.random() * 20 + 35,  // 35-55%
-      '15m': Math.random() * 25 + 45, // 45-70%
-      '1h': Math.random() * 25 + 50,  // 50-75%
-      '4h': Math.random() * 20 + 60,  // 60-80%
-      '12h': Math.random() * 15 + 70, // 70-85%
-      '1d': Math.random() * 15 + 75   // 75-90%
-    };
+    console.log(`🎯 ${timeframe} Prediction for ${coin} [${row.strategy}]: RSI=${row.rsi}, MACD=${histogram.toFixed(4)}, Signal=${mainSignal}, Confidence=${row.confidence}%`);
 
-    // Final signal determination with stronger thresholds
-    const finalBuyScore = Math.min(95, buyScore);
-    const finalSellScore = Math.min(95, sellScore);
-    
-    let mainSignal, confidence;
-    
-    if (finalBuyScore > finalSellScore + 15 && finalBuyScore > 65) {
-      mainSignal = 'BUY';
-      confidence = Math.round(Math.min(95, timeframeConfidenceBonus[timeframe] + finalBuyScore * 0.2));
-    } else if (finalSellScore > finalBuyScore + 15 && finalSellScore > 65) {
-      mainSignal = 'SELL';  
-      confidence = Math.round(Math.min(95, timeframeConfidenceBonus[timeframe] + finalSellScore * 0.2));
-    } else {
-      mainSignal = 'HOLD';
-      confidence = Math.round(Math.min(70, timeframeConfidenceBonus[timeframe] * 0.8));
-    }
-    
-    console.log(`🎯 ${timeframe} Prediction for ${coin}: RSI=${rsi.toFixed(1)}, MACD=${macd.histogram.toFixed(4)}, Signal=${mainSignal}, Confidence=${confidence}%`);
-    
     return {
       coin,
-      confidence,
+      confidence: row.confidence,
       recommendation: mainSignal,
       price: currentPrice,
       timestamp: new Date().toISOString(),
-      volatility: avgVol,
-      signals: [
-        { indicator: 'RSI', value: rsi.toFixed(1), signal: rsi < 30 ? 'BUY' : rsi > 70 ? 'SELL' : 'NEUTRAL', confidence: finalBuyScore },
-        { indicator: 'MACD', value: macd.histogram.toFixed(4), signal: macd.histogram > 0 ? 'BUY' : 'SELL', confidence: finalBuyScore },
-        { indicator: 'Stochastic', value: stoch.k.toFixed(1), signal: stoch.k < 20 ? 'BUY' : stoch.k > 80 ? 'SELL' : 'NEUTRAL', confidence: finalBuyScore }
-      ],
+      // Expected move to the predicted price, in %
+      volatility: Math.round(Math.abs(parseFloat(row.predictedPrice) - currentPrice) / currentPrice * 1000) / 10,
+      // One entry per strategy rule that fired
+      signals: (row.reasons || []).map(reason => ({ indicator: reason, signal: mainSignal, confidence: row.confidence })),
+      strategy: row.strategy,
       timeframe,
-      entryPrice: currentPrice,
-      stopLoss: null,
-      takeProfit: null,
-      buyScore: finalBuyScore,
-      sellScore: finalSellScore
+      entryPrice: parseFloat(row.entryPrice),
+      stopLoss: parseFloat(row.stopLoss),
+      takeProfit: parseFloat(row.takeProfit),
+      buyScore: row.buyConfidence,
+      sellScore: row.sellConfidence
     };
   };
 
@@ -968,6 +780,22 @@ function BotTable() {
     };
   };
 
+  // Backend /ready report for the status banner - degraded dependencies show up before data goes stale
+  useEffect(() => {
+    const loadReadiness = () => {
+      fetchBackendReadiness()
+        .then(setBackendReadiness)
+        .catch(() => setBackendReadiness(null));
+    };
+    loadReadiness();
+    const interval = setInterval(loadReadiness, 60000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const unhealthyChecks = backendReadiness && backendReadiness.status !== 'ready'
+    ? Object.keys(backendReadiness.checks).filter(name => ['down', 'degraded'].includes(backendReadiness.checks[name].status))
+    : [];
+
   const overallStats = calculateOverallStats();
 
   useEffect(() => {
@@ -996,92 +824,113 @@ function BotTable() {
 
   useEffect(() => {
     let interval;
-    const loadData = async () => {
-      setIsLoading(true);
-      setConnectionError(null);
-      try {
-        const data = await fetchMarketData(selectedCoin);
-        setMarketData(data || []);
-        setLastUpdateTime(new Date().toLocaleTimeString());
-        
-        // Clear connection error if we got data (even fallback data)
-        if (data && data.length > 0) {
-          setConnectionError(null);
-          console.log('✅ Data received, connection error cleared');
-        }
+    // Shared by polling and the live stream: everything that follows fresh indicator rows
+    const applyMarketData = async (data) => {
+      setMarketData(data || []);
+      setLastUpdateTime(new Date().toLocaleTimeString());
+      
+      // Clear connection error if we got data (even fallback data)
+      if (data && data.length > 0) {
+        setConnectionError(null);
+        console.log('✅ Data received, connection error cleared');
+      }
 
-        // Timeframe-specific update intervals
-        let shouldUpdate = true;
-        const now = new Date();
-        const minutes = now.getMinutes();
-        const hours = now.getHours();
-        
-        if (selectedTimeframe === '1m') {
-          // 1m updates every minute - always true
-          shouldUpdate = true;
-        } else if (selectedTimeframe === '15m') {
-          // 15m updates only at 0, 15, 30, 45 minutes
-          shouldUpdate = [0, 15, 30, 45].includes(minutes);
-        } else if (selectedTimeframe === '1h') {
-          // 1h updates only at the top of each hour
-          shouldUpdate = minutes === 0;
-        } else if (selectedTimeframe === '4h') {
-          // 4h updates only at 0, 4, 8, 12, 16, 20 hours and minute 0
-          shouldUpdate = minutes === 0 && [0, 4, 8, 12, 16, 20].includes(hours);
-        } else if (selectedTimeframe === '12h') {
-          // 12h updates only at 0 and 12 hours and minute 0
-          shouldUpdate = minutes === 0 && [0, 12].includes(hours);
-        } else if (selectedTimeframe === '1d') {
-          // 1d updates only at midnight
-          shouldUpdate = minutes === 0 && hours === 0;
-        } else {
-          // For other timeframes, update every few minutes
-          shouldUpdate = minutes % 5 === 0;
-        }
+      // Timeframe-specific update intervals
+      let shouldUpdate = true;
+      const now = new Date();
+      const minutes = now.getMinutes();
+      const hours = now.getHours();
+      
+      if (selectedTimeframe === '1m') {
+        // 1m updates every minute - always true
+        shouldUpdate = true;
+      } else if (selectedTimeframe === '15m') {
+        // 15m updates only at 0, 15, 30, 45 minutes
+        shouldUpdate = [0, 15, 30, 45].includes(minutes);
+      } else if (selectedTimeframe === '1h') {
+        // 1h updates only at the top of each hour
+        shouldUpdate = minutes === 0;
+      } else if (selectedTimeframe === '4h') {
+        // 4h updates only at 0, 4, 8, 12, 16, 20 hours and minute 0
+        shouldUpdate = minutes === 0 && [0, 4, 8, 12, 16, 20].includes(hours);
+      } else if (selectedTimeframe === '12h') {
+        // 12h updates only at 0 and 12 hours and minute 0
+        shouldUpdate = minutes === 0 && [0, 12].includes(hours);
+      } else if (selectedTimeframe === '1d') {
+        // 1d updates only at midnight
+        shouldUpdate = minutes === 0 && hours === 0;
+      } else {
+        // For other timeframes, update every few minutes
+        shouldUpdate = minutes % 5 === 0;
+      }
 
-        if (data && data.length > 0 && shouldUpdate) {
-          // Calculate enhanced prediction for selected timeframe
-          const enhancedPrediction = calculateEnhancedTimeframePrediction(data, selectedCoin, selectedTimeframe);
-          if (enhancedPrediction) {
-            LocalDB.saveAnalysis(selectedCoin, enhancedPrediction);
-            setLastPrediction(enhancedPrediction);
-            setLastPredictionTime(new Date());
-            
-            // Direction change log
-            if (!lastPrediction || lastPrediction.recommendation !== enhancedPrediction.recommendation) {
-              console.log(`🔄 Direction change for ${selectedCoin} (${selectedTimeframe}): ${lastPrediction ? lastPrediction.recommendation : 'START'} → ${enhancedPrediction.recommendation}`);
-              setDirectionLog(prev => [...prev.slice(-4), { 
-                time: new Date().toLocaleTimeString(), 
-                from: lastPrediction ? lastPrediction.recommendation : '', 
+      if (data && data.length > 0 && shouldUpdate) {
+        // Calculate enhanced prediction for selected timeframe
+        const enhancedPrediction = calculateEnhancedTimeframePrediction(data, selectedCoin, selectedTimeframe);
+        if (enhancedPrediction) {
+          LocalDB.saveAnalysis(selectedCoin, enhancedPrediction);
+          setLastPrediction(enhancedPrediction);
+          setLastPredictionTime(new Date());
+          
+          // Direction change log
+          const directionKey = `${selectedCoin}_${selectedTimeframe}`;
+          const previousDirection = lastDirections.current[directionKey];
+          lastDirections.current[directionKey] = enhancedPrediction.recommendation;
+          if (previousDirection !== enhancedPrediction.recommendation) {
+            console.log(`🔄 Direction change for ${selectedCoin} (${selectedTimeframe}): ${previousDirection || 'START'} → ${enhancedPrediction.recommendation}`);
+            setDirectionLog(prev => [...prev.slice(-4), { 
+              time: new Date().toLocaleTimeString(), 
+              from: previousDirection || '', 
+              to: enhancedPrediction.recommendation,
+              timeframe: selectedTimeframe
+            }]);
+
+            // Desktop notification - only for a real change on this coin/timeframe, not its first reading
+            if (previousDirection) {
+              notifyDirectionChange({
+                coin: selectedCoin,
+                timeframe: selectedTimeframe,
+                from: previousDirection,
                 to: enhancedPrediction.recommendation,
-                timeframe: selectedTimeframe
-              }]);
-            }
-
-            // AUTO-BOT TRADING ENGINE - Execute trades based on predictions
-            if (autoBotActive && enhancedPrediction) {
-              executeAutoBotTrade(selectedCoin, enhancedPrediction);
+                confidence: enhancedPrediction.confidence,
+                price: enhancedPrediction.price,
+                quote
+              }).catch(console.error);
             }
           }
 
-          // Generate chart data from real timeframe data
-          const chartHistoryData = generateChartHistory(data, selectedCoin);
-          chartHistoryData.forEach(entry => {
-            LocalDB.saveAnalysis(selectedCoin, entry);
-          });
-          // Refresh localAnalysis state after real analysis
-          const updatedHistory = LocalDB.getHistory(selectedCoin);
-          setLocalAnalysis(updatedHistory);
-        }
-        // Load ETF data if on ETF tab
-        if (activeTab === 'etf') {
-          await fetchETFData();
+          // AUTO-BOT TRADING ENGINE - Execute trades based on predictions
+          if (autoBotActive && enhancedPrediction) {
+            executeAutoBotTrade(selectedCoin, enhancedPrediction);
+          }
         }
-        // Load logs and trade history
-        const logsResult = await fetchLogs();
-        setLogs(logsResult || []);
-        const tradesResult = await fetchTradeHistory();
-        setTradeHistory(tradesResult || []);
+
+        // Generate chart data from real timeframe data
+        const chartHistoryData = generateChartHistory(data, selectedCoin);
+        chartHistoryData.forEach(entry => {
+          LocalDB.saveAnalysis(selectedCoin, entry);
+        });
+        // Refresh localAnalysis state after real analysis
+        const updatedHistory = LocalDB.getHistory(selectedCoin);
+        setLocalAnalysis(updatedHistory);
+      }
+      // Load ETF data if on ETF tab
+      if (activeTab === 'etf') {
+        await fetchETFData();
+      }
+      // Load logs and trade history
+      const logsResult = await fetchLogs();
+      setLogs(logsResult || []);
+      const tradesResult = await fetchTradeHistory();
+      setTradeHistory(tradesResult || []);
+    };
+
+    const loadData = async () => {
+      setIsLoading(true);
+      setConnectionError(null);
+      try {
+        const data = await fetchMarketData(selectedCoin, null, isDefaultQuote ? null : quote);
+        await applyMarketData(data);
       } catch (error) {
         console.log('🔄 Using fallback data due to API error:', error.message);
         const cachedMarket = LocalDB.get('market_data');
@@ -1110,9 +959,29 @@ function BotTable() {
     } else {
       refreshInterval = parseInt(localStorage.getItem('trading_refresh_interval') || '60');
     }
-    interval = setInterval(loadData, refreshInterval * 1000);
-    return () => clearInterval(interval);
-  }, [selectedCoin, selectedTimeframe, activeTab]);
+
+    // Backend pushes new rows every minute - poll only while the stream is down.
+    // The stream carries the default quote only, other quotes are always polled.
+    let isStreaming = false;
+    const unsubscribe = isDefaultQuote
+      ? subscribeMarketStream(selectedCoin, {
+        onSnapshot: (data) => applyMarketData(data).catch(error => console.error('Stream update error:', error)),
+        onStatus: (live) => {
+          isStreaming = live;
+          setStreamLive(live);
+        }
+      })
+      : () => {};
+    if (!isDefaultQuote) setStreamLive(false);
+
+    interval = setInterval(() => {
+      if (!isStreaming) loadData();
+    }, refreshInterval * 1000);
+    return () => {
+      clearInterval(interval);
+      unsubscribe();
+    };
+  }, [selectedCoin, selectedTimeframe, activeTab, quote]);
 
   const fetchAll= async()=>{
     // This function is now replaced by the useEffect above
@@ -1124,6 +993,11 @@ function BotTable() {
     localStorage.setItem('selectedCoin', e.target.value);
   };
 
+  const handleQuoteChange=(e)=>{
+    setSelectedQuote(e.target.value);
+    localStorage.setItem('selectedQuote', e.target.value);
+  };
+
   const handleTimeframeChange=(e)=>{
     setSelectedTimeframe(e.target.value);
     localStorage.setItem('selectedTimeframe', e.target.value);
@@ -1188,6 +1062,9 @@ function BotTable() {
     }
   };
 
+  // Positions store the registry id in coinId (coin is the exchange symbol)
+  const hasOpenPosition = portfolioTrades.some(t => t.coinId === selectedCoin && t.status === 'OPEN');
+
   return (
     <>
       {/* Minimalan style za font i media queries */}
@@ -1315,7 +1192,7 @@ function BotTable() {
             ))}
           </div>
           <div style={{ color: '#95a5a6', fontSize: '0.8em', marginTop: '5px' }}>
-            Trenutni coin: {selectedCoin.toUpperCase()} | Timeframe: {selectedTimeframe} | Svi podaci realtime iz API-ja
+            Trenutni coin: {selectedCoin.toUpperCase()} | Quote: {quote} | Timeframe: {selectedTimeframe} | Svi podaci realtime iz API-ja
           </div>
         </div>
 
@@ -1335,6 +1212,10 @@ function BotTable() {
            window.location.hostname.includes('github.io') 
             ? `🚀 LIVE TRADING - Real-time Crypto API ${lastUpdateTime ? `(Updated: ${lastUpdateTime})` : ''}` 
             : '💻 LOCAL DEV - Backend on localhost:4000'}
+          {!connectionError && (streamLive ? ' • 📡 Stream' : ' • 🔄 Polling')}
+          {!connectionError && unhealthyChecks.length > 0 && (
+            ` • ⚠️ Backend ${backendReadiness.status}: ${unhealthyChecks.join(', ')}`
+          )}
         </div>
 
         {/* Rate Limit Status */}
@@ -1401,6 +1282,8 @@ function BotTable() {
           <button style={tabBtnStyle('market')} onClick={()=>setActiveTab('market')}>MARKET</button>
           <button style={tabBtnStyle('etf')} onClick={()=>setActiveTab('etf')}>ETF TOP 100</button>
           <button style={tabBtnStyle('portfolio')} onClick={()=>setActiveTab('portfolio')}>💼 PORTFOLIO</button>
+          <button style={tabBtnStyle('backtest')} onClick={()=>setActiveTab('backtest')}>🧪 BACKTEST</button>
+          <button style={tabBtnStyle('alerts')} onClick={()=>setActiveTab('alerts')}>🚨 ALERTS</button>
           <button style={tabBtnStyle('logs')} onClick={()=>setActiveTab('logs')}>LOGS</button>
           <button style={tabBtnStyle('history')} onClick={()=>setActiveTab('history')}>HISTORY</button>
           <button style={tabBtnStyle('edukacija')} onClick={()=>setActiveTab('edukacija')}>EDUKACIJA</button>
@@ -1429,8 +1312,27 @@ function BotTable() {
                     fontSize: window.innerWidth < 768 ? '0.9em' : '1em'
                   }}
                 >
+                  {coins.length === 0 && <option value={selectedCoin}>⏳ Učitavanje...</option>}
                   {coins.map((coin)=>(
-                    <option key={coin} value={coin}>{coin.toUpperCase()}</option>
+                    <option key={coin.id} value={coin.id}>{coin.symbol}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div style={{ minWidth: window.innerWidth < 768 ? '140px' : 'auto' }}>
+                <label style={{ marginRight:'6px', fontSize: window.innerWidth < 768 ? '0.9em' : '1em' }}>Quote:</label>
+                <select
+                  value={quote}
+                  onChange={handleQuoteChange}
+                  style={{
+                    background:'#333', color:'#fff', border:'1px solid #555',
+                    padding: window.innerWidth < 768 ? '4px 8px' : '5px 10px', 
+                    borderRadius:'4px',
+                    fontSize: window.innerWidth < 768 ? '0.9em' : '1em'
+                  }}
+                >
+                  {coinQuotes.map((coinQuote)=>(
+                    <option key={coinQuote} value={coinQuote}>{coinQuote}</option>
                   ))}
                 </select>
               </div>
@@ -1583,7 +1485,7 @@ function BotTable() {
                         <div style={{ background: '#2c3e50', padding: '12px', borderRadius: '8px', color: '#fff' }}>
                           <div style={{ fontSize: '0.8em', opacity: 0.8 }}>Current Price</div>
                           <div style={{ fontSize: '1.4em', fontWeight: 'bold', color: '#3498db' }}>
-                            ${selectedData.price}
+                            {formatQuotePrice(selectedData.price, quote)}
                           </div>
                         </div>
                         
@@ -1605,9 +1507,9 @@ function BotTable() {
                         color: '#ecf0f1'
                       }}>
                         <span>📊 TF: {selectedTimeframe}</span>
-                        <span style={{ color: '#e74c3c' }}>🛑 SL: ${selectedData.stopLoss}</span>
-                        <span style={{ color: '#2ecc71' }}>🎯 TP: ${selectedData.takeProfit}</span>
-                        <span style={{ color: '#f39c12' }}>📈 Entry: ${selectedData.entryPrice}</span>
+                        <span style={{ color: '#e74c3c' }}>🛑 SL: {selectedData.stopLoss} {quote}</span>
+                        <span style={{ color: '#2ecc71' }}>🎯 TP: {selectedData.takeProfit} {quote}</span>
+                        <span style={{ color: '#f39c12' }}>📈 Entry: {selectedData.entryPrice} {quote}</span>
                       </div>
                     </div>
                     ) : (
@@ -1712,7 +1614,7 @@ function BotTable() {
                                 </div>
                                 <div style={{ fontSize: '0.9em' }}>{confidence}%</div>
                                 <div style={{ fontSize: '0.8em', opacity: 0.8 }}>
-                                  ${parseFloat(tfData.price || 0).toFixed(2)}
+                                  {formatQuotePrice(tfData.price, quote)}
                                 </div>
                               </div>
                             );
@@ -1894,7 +1796,7 @@ function BotTable() {
                 <thead style={{ background:'#3a3a3a', textTransform:'uppercase'}}>
                   <tr>
                     <th style={{ padding: window.innerWidth < 768 ? '8px 4px' : '10px 8px' }}>TIMEFRAME</th>
-                    <th style={{ padding: window.innerWidth < 768 ? '8px 4px' : '10px 8px' }}>TRENUTNA</th>
+                    <th style={{ padding: window.innerWidth < 768 ? '8px 4px' : '10px 8px' }}>TRENUTNA ({quote})</th>
                     <th style={{ padding: window.innerWidth < 768 ? '8px 4px' : '10px 8px' }}>ULAZNA</th>
                     <th style={{ padding: window.innerWidth < 768 ? '8px 4px' : '10px 8px' }}>STOP LOSS</th>
                     <th style={{ padding: window.innerWidth < 768 ? '8px 4px' : '10px 8px' }}>TAKE PROFIT</th>
@@ -1910,8 +1812,8 @@ function BotTable() {
                       <td>{item.timeframe}</td>
                       <td>{item.price}</td>
                       <td>{item.entryPrice}</td>
-                      <td>{item.stopLoss}</td>
-                      <td>{item.takeProfit}</td>
+                      <td>{item.stopLoss}<LevelAnchor row={item} field="stopLoss" /></td>
+                      <td>{item.takeProfit}<LevelAnchor row={item} field="takeProfit" /></td>
                       <td style={rastStyle}>
                         {item.expectedMoveUp!=='-'? item.expectedMoveUp+'%' : '-'}
                       </td>
@@ -1934,6 +1836,158 @@ function BotTable() {
               </table>
             </div>
 
+            {/* Backend indicator suite - one vote per indicator and timeframe */}
+            {calculateIndicators(marketData).length > 0 && (
+              <div className="mobile-scroll" style={{ overflowX: 'auto', marginBottom: '20px' }}>
+                <table style={{
+                  width: '100%',
+                  minWidth: window.innerWidth < 768 ? '700px' : 'auto',
+                  fontSize: window.innerWidth < 768 ? '0.8em' : '0.9em'
+                }}>
+                  <thead style={{ background:'#3a3a3a', textTransform:'uppercase'}}>
+                    <tr>
+                      <th>TIMEFRAME</th>
+                      {INDICATORS.map(name => <th key={name}>{name}</th>)}
+                      <th>GLASOVI</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {calculateIndicators(marketData).map(row => (
+                      <tr key={row.timeframe} style={{ background: row.timeframe === selectedTimeframe ? '#2c3e50' : 'transparent' }}>
+                        <td>{row.timeframe}</td>
+                        {INDICATORS.map(name => {
+                          const indicator = row.indicators[name] || { value: null, signal: 'NEUTRAL' };
+                          return (
+                            <td key={name} title={formatIndicatorValue(indicator.value)} style={{ color: VOTE_COLORS[indicator.signal] }}>
+                              {indicator.signal}
+                            </td>
+                          );
+                        })}
+                        <td>
+                          <span style={{ color: VOTE_COLORS.BUY }}>{row.buySig}</span>
+                          {' / '}
+                          <span style={{ color: VOTE_COLORS.SELL }}>{row.sellSig}</span>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {/* Volumen iz pravih svijeća - volume profile (POC, value area), VWAP, MFI, OBV po timeframe-u */}
+            {calculateIndicators(marketData).some(row => row.indicators.vprofile && row.indicators.vprofile.value) && (
+              <div className="mobile-scroll" style={{ overflowX: 'auto', marginBottom: '20px' }}>
+                <table style={{
+                  width: '100%',
+                  minWidth: window.innerWidth < 768 ? '600px' : 'auto',
+                  fontSize: window.innerWidth < 768 ? '0.8em' : '0.9em'
+                }}>
+                  <thead style={{ background:'#3a3a3a', textTransform:'uppercase'}}>
+                    <tr>
+                      <th>TIMEFRAME</th>
+                      <th>POC ({quote})</th>
+                      <th>VALUE AREA</th>
+                      <th>VWAP</th>
+                      <th>MFI</th>
+                      <th>OBV / EMA20</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {calculateIndicators(marketData).map(row => {
+                      const { vprofile, vwap, mfi, obv } = row.indicators;
+                      const profile = vprofile && vprofile.value;
+                      return (
+                        <tr key={row.timeframe} style={{ background: row.timeframe === selectedTimeframe ? '#2c3e50' : 'transparent' }}>
+                          <td>{row.timeframe}</td>
+                          <td style={{ color: VOTE_COLORS[vprofile ? vprofile.signal : 'NEUTRAL'] }}>{profile ? profile.poc : '-'}</td>
+                          <td>{profile ? `${profile.val} - ${profile.vah}` : '-'}</td>
+                          <td style={{ color: VOTE_COLORS[vwap ? vwap.signal : 'NEUTRAL'] }}>{formatIndicatorValue(vwap && vwap.value)}</td>
+                          <td style={{ color: VOTE_COLORS[mfi ? mfi.signal : 'NEUTRAL'] }}>{formatIndicatorValue(mfi && mfi.value)}</td>
+                          <td style={{ color: VOTE_COLORS[obv ? obv.signal : 'NEUTRAL'] }}>
+                            {obv && obv.value ? `${obv.value.obv} / ${obv.value.ema}` : '-'}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {/* Support / resistance zone iz swing high/low točaka i pivoti zadnje zatvorene svijeće */}
+            {marketData.some(row => row.levels) && (
+              <div className="mobile-scroll" style={{ overflowX: 'auto', marginBottom: '20px' }}>
+                <table style={{
+                  width: '100%',
+                  minWidth: window.innerWidth < 768 ? '700px' : 'auto',
+                  fontSize: window.innerWidth < 768 ? '0.8em' : '0.9em'
+                }}>
+                  <thead style={{ background:'#3a3a3a', textTransform:'uppercase'}}>
+                    <tr>
+                      <th>TIMEFRAME</th>
+                      <th>SUPPORT ({quote})</th>
+                      <th>RESISTANCE ({quote})</th>
+                      <th>PIVOT</th>
+                      <th>CLASSIC S1 / R1</th>
+                      <th>FIB S1 / R1</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {marketData.filter(row => row.levels).map(row => {
+                      const { support, resistance, pivots } = row.levels;
+                      return (
+                        <tr key={row.timeframe} style={{ background: row.timeframe === selectedTimeframe ? '#2c3e50' : 'transparent' }}>
+                          <td>{row.timeframe}</td>
+                          <td style={{ color: VOTE_COLORS.BUY }}>{formatZones(support)}</td>
+                          <td style={{ color: VOTE_COLORS.SELL }}>{formatZones(resistance)}</td>
+                          <td>{pivots ? pivots.classic.pp : '-'}</td>
+                          <td>{pivots ? `${pivots.classic.s1} / ${pivots.classic.r1}` : '-'}</td>
+                          <td>{pivots ? `${pivots.fibonacci.s1} / ${pivots.fibonacci.r1}` : '-'}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {/* ATR rizik - stop na ATR multiplu, pozicija koja riskira fiksni % equity-ja */}
+            {marketData.some(row => row.risk) && (
+              <div className="mobile-scroll" style={{ overflowX: 'auto', marginBottom: '20px' }}>
+                <table style={{
+                  width: '100%',
+                  minWidth: window.innerWidth < 768 ? '600px' : 'auto',
+                  fontSize: window.innerWidth < 768 ? '0.8em' : '0.9em'
+                }}>
+                  <thead style={{ background:'#3a3a3a', textTransform:'uppercase'}}>
+                    <tr>
+                      <th>TIMEFRAME</th>
+                      <th>ATR</th>
+                      <th>ATR STOP LOSS</th>
+                      <th>ATR TAKE PROFIT</th>
+                      <th>POZICIJA</th>
+                      <th>RIZIK</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {marketData.filter(row => row.risk).map(row => (
+                      <tr key={row.timeframe} style={{ background: row.timeframe === selectedTimeframe ? '#2c3e50' : 'transparent' }}>
+                        <td>{row.timeframe}</td>
+                        <td>{row.risk.atr} ({row.risk.atrPercent}%)</td>
+                        <td style={{ color: VOTE_COLORS.SELL }}>{row.risk.stopLoss} ({row.risk.stopMultiplier}× ATR)</td>
+                        <td style={{ color: VOTE_COLORS.BUY }}>{row.risk.takeProfit} ({row.risk.targetMultiplier}× ATR)</td>
+                        <td>
+                          {row.risk.positionSize !== null ? `${row.risk.positionSize} ${quote} • ` : ''}{row.risk.positionPercent}% equity
+                        </td>
+                        <td>{row.risk.riskAmount !== null ? `${row.risk.riskAmount} ${quote} • ` : ''}{row.risk.riskPercent}%</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
             {/* Enhanced TABELA 2 with Local Analysis */}
             <div className="mobile-scroll" style={{ overflowX: 'auto', marginBottom: '20px' }}>
               <table style={{ 
@@ -1959,7 +2013,7 @@ function BotTable() {
                   marketData.map((item,i)=>{
                     // Get local analysis for this coin
                     const coinAnalysis = localAnalysis.find(a => a.coin === item.coin) || {};
-                    const successRate = coinAnalysis.signals ? 
+                    const successRate = coinAnalysis.signals && coinAnalysis.signals.length > 0 ? 
                       (coinAnalysis.signals.filter(s => s.confidence > 5).length / coinAnalysis.signals.length * 100).toFixed(1) : '0.0';
                     
                     // predikcija boja
@@ -2238,6 +2292,14 @@ function BotTable() {
           </>
         )}
 
+        {activeTab==='backtest' && (
+          <BacktestPanel coins={coins} defaultCoin={selectedCoin} />
+        )}
+
+        {activeTab==='alerts' && (
+          <AlertsPanel coins={coins} defaultCoin={selectedCoin} />
+        )}
+
         {activeTab==='logs' && (
           <div style={{ marginTop:'20px'}}>
             <h2>📝 Enhanced Logs - Signal History & Local Analysis</h2>
@@ -2264,7 +2326,7 @@ function BotTable() {
                 }}>
                   <option value="">All Coins</option>
                   {coins.map(coin => (
-                    <option key={coin} value={coin}>{coin.toUpperCase()}</option>
+                    <option key={coin.id} value={coin.id}>{coin.symbol}</option>
                   ))}
                 </select>
               </div>
@@ -2301,7 +2363,7 @@ function BotTable() {
                 {logs.length>0? (
                   logs.map((lg,i)=>(
                     <tr key={i}>
-                      <td>{lg.time}</td>
+                      <td>{new Date(lg.time).toLocaleString('sr-RS')}</td>
                       <td style={{ fontWeight: 'bold', color: '#3498db' }}>{lg.coin}</td>
                       <td>{lg.timeframe}</td>
                       <td>
@@ -2527,29 +2589,31 @@ function BotTable() {
                 <tr>
                   <th>Time</th>
                   <th>Coin</th>
-                  <th>Entry</th>
-                  <th>Exit</th>
-                  <th>Profit</th>
+                  <th>Timeframe</th>
+                  <th>Signal</th>
+                  <th>Price</th>
+                  <th>Confidence</th>
+                  <th>Reason</th>
                 </tr>
               </thead>
               <tbody>
                 {tradeHistory.length>0? (
                   tradeHistory.map((th,i)=>(
                     <tr key={i}>
-                      <td>{th.time}</td>
-                      <td>{th.coin}</td>
-                      <td>{th.entryPrice}</td>
-                      <td>{th.exitPrice}</td>
-                      <td style={{
-                        color: th.profit>=0 ? '#2ecc71':'#e74c3c'
-                      }}>
-                        {th.profit.toFixed(2)}
+                      <td>{new Date(th.time).toLocaleString('sr-RS')}</td>
+                      <td style={{ fontWeight: 'bold', color: '#3498db' }}>{th.coin}</td>
+                      <td>{th.timeframe}</td>
+                      <td>
+                        <span style={signalStyle(th.signal)}>{th.signal}</span>
                       </td>
+                      <td>{th.price ? `$${th.price}` : '-'}</td>
+                      <td style={{ color: '#f39c12', fontWeight: 'bold' }}>{th.confidence}%</td>
+                      <td>{th.reason}</td>
                     </tr>
                   ))
                 ):(
                   <tr>
-                    <td colSpan={5}>No trades</td>
+                    <td colSpan={7}>No trades</td>
                   </tr>
                 )}
               </tbody>
@@ -2791,7 +2855,7 @@ function BotTable() {
                     <strong>🔥 BOT AKTIVAN</strong> • Skeniram {selectedCoin.toUpperCase()} • Minimum 85% confidence za trade
                   </div>
                   <div style={{ color: '#95a5a6', fontSize: '12px', marginTop: '5px' }}>
-                    • Maksimalno 15% balance po trade-u • Auto-sell nakon 25-45s • Optimizovano za profit
+                    • Veličina pozicije iz ATR-a (fiksni % equity-ja u riziku) • Izlaz na ATR Stop-Loss / Take-Profit nivou
                   </div>
                 </div>
               )}
@@ -2811,7 +2875,7 @@ function BotTable() {
                   ${portfolioBalance.toFixed(2)}
                 </div>
                 <div style={{ color: '#95a5a6', fontSize: '12px', marginTop: '5px' }}>
-                  Početni: $10,000.00
+                  Početni: ${portfolioStartingBalance.toFixed(2)} • Equity: ${portfolioEquity.toFixed(2)}
                 </div>
               </div>
 
@@ -2826,7 +2890,7 @@ function BotTable() {
                   {portfolioStats.totalProfit >= 0 ? '+' : ''}${portfolioStats.totalProfit.toFixed(2)}
                 </div>
                 <div style={{ color: '#95a5a6', fontSize: '12px', marginTop: '5px' }}>
-                  {((portfolioStats.totalProfit / 10000) * 100).toFixed(2)}% ROI
+                  {((portfolioStats.totalProfit / portfolioStartingBalance) * 100).toFixed(2)}% ROI
                 </div>
               </div>
 
@@ -2948,6 +3012,12 @@ function BotTable() {
               <h3 style={{ color: '#1abc9c', marginBottom: '20px', textAlign: 'center' }}>
                 ⚡ Brzo Trgovanje (Quick Trade) - {selectedCoin.toUpperCase()}
               </h3>
+
+              {portfolioError && (
+                <div style={{ background: '#e74c3c', color: '#fff', padding: '10px', borderRadius: '6px', marginBottom: '15px', textAlign: 'center' }}>
+                  ❌ {portfolioError}
+                </div>
+              )}
               
               {(() => {
                 const currentData = marketData.find(m => m.timeframe === selectedTimeframe);
@@ -2992,7 +3062,7 @@ function BotTable() {
                           {[100, 250, 500, 1000].map(amount => (
                             <button
                               key={amount}
-                              onClick={() => executePortfolioTrade('BUY', selectedCoin, amount, prediction.price, prediction.confidence)}
+                              onClick={() => executePortfolioTrade('BUY', selectedCoin, amount, prediction.confidence)}
                               disabled={amount > portfolioBalance || prediction.recommendation !== 'BUY'}
                               style={{
                                 background: amount <= portfolioBalance && prediction.recommendation === 'BUY' ? '#2ecc71' : '#7f8c8d',
@@ -3014,7 +3084,7 @@ function BotTable() {
                     {/* Trade Actions */}
                     <div style={{ display: 'flex', flexDirection: 'column', gap: '15px' }}>
                       <button
-                        onClick={() => executePortfolioTrade('BUY', selectedCoin, 500, prediction.price, prediction.confidence)}
+                        onClick={() => executePortfolioTrade('BUY', selectedCoin, 500, prediction.confidence)}
                         disabled={prediction.recommendation !== 'BUY' || portfolioBalance < 500}
                         style={{
                           background: prediction.recommendation === 'BUY' && portfolioBalance >= 500 ? '#2ecc71' : '#7f8c8d',
@@ -3031,17 +3101,17 @@ function BotTable() {
                       </button>
                       
                       <button
-                        onClick={() => executePortfolioTrade('SELL', selectedCoin, 0, prediction.price, prediction.confidence)}
-                        disabled={!portfolioTrades.some(t => t.coin === selectedCoin.toUpperCase() && t.status === 'OPEN')}
+                        onClick={() => executePortfolioTrade('SELL', selectedCoin, 0, prediction.confidence)}
+                        disabled={!hasOpenPosition}
                         style={{
-                          background: portfolioTrades.some(t => t.coin === selectedCoin.toUpperCase() && t.status === 'OPEN') ? '#e74c3c' : '#7f8c8d',
+                          background: hasOpenPosition ? '#e74c3c' : '#7f8c8d',
                           color: '#fff',
                           border: 'none',
                           padding: '15px',
                           borderRadius: '8px',
                           fontSize: '16px',
                           fontWeight: 'bold',
-                          cursor: portfolioTrades.some(t => t.coin === selectedCoin.toUpperCase() && t.status === 'OPEN') ? 'pointer' : 'not-allowed'
+                          cursor: hasOpenPosition ? 'pointer' : 'not-allowed'
                         }}
                       >
                         📉 PRODAJ
@@ -3115,6 +3185,9 @@ function BotTable() {
                           <div style={{ color: '#3498db' }}>
                             ${trade.price.toFixed(4)} × {trade.quantity.toFixed(6)}
                           </div>
+                          <div style={{ color: '#95a5a6', fontSize: '11px' }}>
+                            SL ${trade.stopLoss.toFixed(4)} • TP ${trade.takeProfit.toFixed(4)}
+                          </div>
                         </div>
                         <div>
                           <div style={{ color: '#95a5a6', fontSize: '12px' }}>Status & Confidence</div>
@@ -3133,7 +3206,14 @@ function BotTable() {
                               ({trade.profitPercent >= 0 ? '+' : ''}{trade.profitPercent.toFixed(2)}%)
                             </div>
                           ) : (
-                            <div style={{ color: '#f39c12' }}>Aktivan...</div>
+                            <div style={{ color: '#f39c12' }}>
+                              Aktivan... {trade.unrealizedProfit !== undefined && (
+                                `(${trade.unrealizedProfit >= 0 ? '+' : ''}$${trade.unrealizedProfit.toFixed(2)})`
+                              )}
+                            </div>
+                          )}
+                          {trade.closeReason && (
+                            <div style={{ color: '#95a5a6', fontSize: '11px' }}>{trade.closeReason}</div>
                           )}
                         </div>
                       </div>
@@ -3185,9 +3265,9 @@ function BotTable() {
               </h4>
               <div style={{ color: '#ecf0f1', lineHeight: '1.6' }}>
                 <ul style={{ marginLeft: '20px' }}>
-                  <li><strong>Početni kapital:</strong> $10,000 za simulaciju</li>
-                  <li><strong>Automatska prodaja:</strong> Trade-ovi se zatvaraju automatski nakon 15-30 sekundi</li>
-                  <li><strong>Realisti čni rezultati:</strong> Profit/gubitak baziran na confidence i market volatility</li>
+                  <li><strong>Početni kapital:</strong> ${portfolioStartingBalance.toLocaleString()} za simulaciju (čuva se na backendu)</li>
+                  <li><strong>Stvarne cijene:</strong> Ulaz po trenutnoj tržišnoj cijeni u trenutku naloga</li>
+                  <li><strong>Automatska prodaja:</strong> Pozicija se zatvara kada cijena dotakne Stop-Loss ili Take-Profit</li>
                   <li><strong>BUY signali:</strong> Možeš kupovati samo kada bot preporuči BUY</li>
                   <li><strong>Risk management:</strong> Nikad ne uloži više nego što imaš!</li>
                 </ul>
@@ -3202,6 +3282,7 @@ function BotTable() {
       <Settings 
         isOpen={showSettings} 
         onClose={() => setShowSettings(false)} 
+        coins={coins}
       />
     </>
   );
@@ -1,15 +1,16 @@
 import React from 'react';
+import { useCoins } from '../utils/useCoins';
 
 const CoinSelect = ({ selectedCoin, setSelectedCoin }) => {
-    // Only coins supported by our backend
-    const coins = ['bitcoin', 'ethereum', 'solana', 'cardano', 'ripple'];
+    // Only coins supported by our backend (its coin registry)
+    const coins = useCoins();
 
     return (
         <div className="coin-selector">
             <label>Coin: </label>
             <select onChange={(e) => setSelectedCoin(e.target.value)} value={selectedCoin}>
                 {coins.map(coin => (
-                    <option key={coin} value={coin}>{coin.toUpperCase()}</option>
+                    <option key={coin.id} value={coin.id}>{coin.symbol}</option>
                 ))}
             </select>
         </div>
@@ -36,8 +36,8 @@ function MarketSection({
           }}
         >
           {coins.map((coin) => (
-            <option key={coin} value={coin}>
-              {coin.toUpperCase()}
+            <option key={coin.id} value={coin.id}>
+              {coin.symbol}
             </option>
           ))}
         </select>
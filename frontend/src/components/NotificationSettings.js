@@ -0,0 +1,195 @@
+import React, { useState } from 'react';
+import {
+  loadNotificationSettings,
+  saveNotificationSettings,
+  requestNotificationPermission,
+  isNotificationSupported,
+  isPushSupported,
+  notifyDirectionChange,
+  syncPushSubscription
+} from '../utils/notifications';
+
+const NOTIFY_TIMEFRAMES = ['1m', '15m', '1h', '4h', '12h', '1d'];
+
+const chipStyle = (active) => ({
+  background: active ? '#27ae60' : '#3a3a3a',
+  border: '1px solid #555',
+  color: '#fff',
+  padding: '4px 8px',
+  borderRadius: '12px',
+  cursor: 'pointer',
+  fontSize: '12px'
+});
+
+const inputStyle = {
+  padding: '5px',
+  background: '#2a2a2a',
+  border: '1px solid #555',
+  borderRadius: '4px',
+  color: '#fff'
+};
+
+// Per-coin/timeframe browser notification filters, stored in localStorage and applied immediately
+const NotificationSettings = ({ coins }) => {
+  const [settings, setSettings] = useState(loadNotificationSettings);
+  const [permission, setPermission] = useState(isNotificationSupported() ? Notification.permission : 'unsupported');
+  const [pushStatus, setPushStatus] = useState('');
+
+  const update = (changes) => {
+    const next = { ...settings, ...changes };
+    setSettings(next);
+    saveNotificationSettings(next);
+    return next;
+  };
+
+  const toggleInList = (field, value) => {
+    const list = settings[field];
+    update({ [field]: list.includes(value) ? list.filter(item => item !== value) : [...list, value] });
+  };
+
+  const enable = async (enabled) => {
+    if (enabled) {
+      const result = await requestNotificationPermission();
+      setPermission(result);
+      if (result !== 'granted') return;
+    }
+    const next = update({ enabled });
+    if (!enabled && settings.push) applyPush(next);
+  };
+
+  const applyPush = async (next = settings) => {
+    setPushStatus('⏳ ...');
+    try {
+      setPushStatus(await syncPushSubscription(next, coins.map(coin => coin.id)));
+    } catch (error) {
+      console.error('Push subscription error:', error);
+      setPushStatus(`Push greška: ${error.response?.data?.error || error.message}`);
+    }
+  };
+
+  const sendTest = async () => {
+    const shown = await notifyDirectionChange({
+      coin: settings.coins[0] || 'bitcoin',
+      timeframe: settings.timeframes[0] || '1h',
+      from: 'HOLD',
+      to: 'BUY',
+      confidence: Math.max(settings.minConfidence, 75)
+    });
+    if (!shown) alert('Notifikacija nije prikazana - provjerite dozvolu, filtere i tihe sate');
+  };
+
+  if (permission === 'unsupported') {
+    return (
+      <div style={{ color: '#ccc', fontSize: '13px' }}>
+        Ovaj browser ne podržava Web Notifications.
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ background: '#333', padding: '15px', borderRadius: '6px' }}>
+      <label style={{ display: 'flex', alignItems: 'center', gap: '8px', fontWeight: 'bold', marginBottom: '10px' }}>
+        <input type="checkbox" checked={settings.enabled} onChange={(e) => enable(e.target.checked)} />
+        Desktop notifikacije za promjenu smjera
+      </label>
+      {permission === 'denied' && (
+        <div style={{ color: '#e74c3c', fontSize: '12px', marginBottom: '10px' }}>
+          🚫 Notifikacije su blokirane u browseru - dozvolite ih u postavkama stranice.
+        </div>
+      )}
+
+      <div style={{ opacity: settings.enabled ? 1 : 0.5, pointerEvents: settings.enabled ? 'auto' : 'none' }}>
+        <div style={{ marginBottom: '10px' }}>
+          <div style={{ fontSize: '13px', marginBottom: '5px' }}>Coinovi ({settings.coins.length === 0 ? 'svi' : settings.coins.length}):</div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '5px' }}>
+            {coins.map(coin => (
+              <span key={coin.id} style={chipStyle(settings.coins.includes(coin.id))} onClick={() => toggleInList('coins', coin.id)}>
+                {coin.symbol}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        <div style={{ marginBottom: '10px' }}>
+          <div style={{ fontSize: '13px', marginBottom: '5px' }}>Timeframe ({settings.timeframes.length === 0 ? 'svi' : settings.timeframes.length}):</div>
+          <div style={{ display: 'flex', flexWrap: 'wrap', gap: '5px' }}>
+            {NOTIFY_TIMEFRAMES.map(tf => (
+              <span key={tf} style={chipStyle(settings.timeframes.includes(tf))} onClick={() => toggleInList('timeframes', tf)}>
+                {tf}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        <div style={{ marginBottom: '10px' }}>
+          <label style={{ fontSize: '13px' }}>
+            Minimalni confidence:{' '}
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={settings.minConfidence}
+              onChange={(e) => update({ minConfidence: Math.min(100, Math.max(0, parseInt(e.target.value) || 0)) })}
+              style={{ ...inputStyle, width: '70px' }}
+            />{' '}%
+          </label>
+        </div>
+
+        <div style={{ marginBottom: '10px', display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+          <label style={{ fontSize: '13px', display: 'flex', alignItems: 'center', gap: '6px' }}>
+            <input
+              type="checkbox"
+              checked={settings.quietHours.enabled}
+              onChange={(e) => update({ quietHours: { ...settings.quietHours, enabled: e.target.checked } })}
+            />
+            🌙 Tihi sati od
+          </label>
+          <input
+            type="time"
+            value={settings.quietHours.start}
+            onChange={(e) => update({ quietHours: { ...settings.quietHours, start: e.target.value } })}
+            style={inputStyle}
+          />
+          <span style={{ fontSize: '13px' }}>do</span>
+          <input
+            type="time"
+            value={settings.quietHours.end}
+            onChange={(e) => update({ quietHours: { ...settings.quietHours, end: e.target.value } })}
+            style={inputStyle}
+          />
+        </div>
+
+        {isPushSupported() && (
+          <div style={{ marginBottom: '10px', borderTop: '1px solid #444', paddingTop: '10px' }}>
+            <label style={{ fontSize: '13px', display: 'flex', alignItems: 'center', gap: '6px' }}>
+              <input
+                type="checkbox"
+                checked={settings.push}
+                onChange={(e) => applyPush(update({ push: e.target.checked }))}
+              />
+              📲 Push i kada je dashboard zatvoren (backend scanner)
+            </label>
+            {settings.push && (
+              <button
+                onClick={() => applyPush()}
+                style={{ background: '#3498db', border: 'none', color: '#fff', padding: '5px 10px', borderRadius: '4px', cursor: 'pointer', marginTop: '6px' }}
+              >
+                🔄 Primijeni filtere na push
+              </button>
+            )}
+            {pushStatus && <div style={{ fontSize: '12px', color: '#ccc', marginTop: '5px' }}>{pushStatus}</div>}
+          </div>
+        )}
+
+        <button
+          onClick={sendTest}
+          style={{ background: '#9b59b6', border: 'none', color: '#fff', padding: '6px 12px', borderRadius: '4px', cursor: 'pointer' }}
+        >
+          🔔 Test notifikacija
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationSettings;
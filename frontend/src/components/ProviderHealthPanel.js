@@ -0,0 +1,109 @@
+import React, { useEffect, useState } from 'react';
+import { fetchProviderHealth } from '../services/api';
+
+const HEALTH_REFRESH_MS = 10000;
+
+const STATE_STYLES = {
+  closed: { color: '#27ae60', label: '🟢 OK' },
+  'half-open': { color: '#f39c12', label: '🟡 PROBA' },
+  open: { color: '#e74c3c', label: '🔴 OTVOREN' }
+};
+
+const cellStyle = { padding: '6px 8px', borderBottom: '1px solid #444', textAlign: 'left' };
+
+// Backend circuit breakers per upstream provider (latency, error rate, breaker state)
+const ProviderHealthPanel = () => {
+  const [health, setHealth] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadHealth = () => {
+    fetchProviderHealth()
+      .then(response => {
+        setHealth(response);
+        setError(null);
+      })
+      .catch(err => setError(err.message));
+  };
+
+  useEffect(() => {
+    loadHealth();
+    const interval = setInterval(loadHealth, HEALTH_REFRESH_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  if (error) {
+    return <div style={{ color: '#e74c3c', fontSize: '13px' }}>❌ Backend nedostupan: {error}</div>;
+  }
+  if (!health) {
+    return <div style={{ color: '#ccc', fontSize: '13px' }}>⏳ Učitavam...</div>;
+  }
+
+  const { tickerStream } = health;
+
+  return (
+    <div style={{ background: '#333', padding: '15px', borderRadius: '6px', fontSize: '13px' }}>
+      <div style={{ marginBottom: '10px', color: '#ccc' }}>
+        Svijeće: <strong>{health.candleProvider}</strong> • Ticker stream: <strong>{tickerStream.mode}</strong>
+        {tickerStream.mode !== 'off' && (
+          <span style={{ color: tickerStream.connected ? '#27ae60' : '#e74c3c' }}>
+            {' '}({tickerStream.connected ? `spojen, ${tickerStream.liveSymbols} live` : 'nije spojen'})
+          </span>
+        )}
+      </div>
+
+      {health.providers.length === 0 ? (
+        <div style={{ color: '#ccc' }}>Još nema poziva prema providerima.</div>
+      ) : (
+        <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+          <thead>
+            <tr style={{ color: '#f39c12' }}>
+              <th style={cellStyle}>Provider</th>
+              <th style={cellStyle}>Stanje</th>
+              <th style={cellStyle}>Latencija</th>
+              <th style={cellStyle}>Greške</th>
+              <th style={cellStyle}>Zadnja greška</th>
+            </tr>
+          </thead>
+          <tbody>
+            {health.providers.map(provider => {
+              const stateStyle = STATE_STYLES[provider.state] || STATE_STYLES.closed;
+              return (
+                <tr key={provider.name}>
+                  <td style={cellStyle}>{provider.name}</td>
+                  <td style={{ ...cellStyle, color: stateStyle.color, fontWeight: 'bold' }}>
+                    {stateStyle.label}
+                    {provider.state === 'open' && provider.retryAt && (
+                      <div style={{ fontSize: '11px', fontWeight: 'normal', color: '#ccc' }}>
+                        proba u {new Date(provider.retryAt).toLocaleTimeString()}
+                      </div>
+                    )}
+                  </td>
+                  <td style={cellStyle}>{provider.avgLatencyMs !== null ? `${provider.avgLatencyMs}ms` : '-'}</td>
+                  <td style={cellStyle}>
+                    {provider.errorRate !== null ? `${provider.errorRate}%` : '-'}
+                    <div style={{ fontSize: '11px', color: '#ccc' }}>
+                      {provider.failures}/{provider.requests}{provider.rejected > 0 ? `, ${provider.rejected} preskočeno` : ''}
+                      {provider.outliers > 0 ? `, ${provider.outliers} outlier` : ''}
+                    </div>
+                  </td>
+                  <td style={{ ...cellStyle, fontSize: '11px', color: '#ccc', maxWidth: '180px', wordBreak: 'break-word' }}>
+                    {provider.lastError || '-'}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      <button
+        onClick={loadHealth}
+        style={{ background: '#3498db', border: 'none', color: '#fff', padding: '5px 10px', borderRadius: '4px', cursor: 'pointer', marginTop: '10px' }}
+      >
+        🔄 Osvježi
+      </button>
+    </div>
+  );
+};
+
+export default ProviderHealthPanel;
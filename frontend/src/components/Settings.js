@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
+import NotificationSettings from './NotificationSettings';
+import ProviderHealthPanel from './ProviderHealthPanel';
 
-const Settings = ({ isOpen, onClose }) => {
+const Settings = ({ isOpen, onClose, coins = [] }) => {
   const [apiUrl, setApiUrl] = useState('');
   const [apiKey, setApiKey] = useState('');
   const [refreshInterval, setRefreshInterval] = useState(60);
@@ -339,6 +341,22 @@ const Settings = ({ isOpen, onClose }) => {
           )}
         </div>
 
+        {/* Browser Notifications - saved immediately, independent of Save & Apply */}
+        <div style={{ marginBottom: '20px' }}>
+          <h3 style={{ color: '#f39c12', marginBottom: '10px' }}>
+            🔔 Notifikacije
+          </h3>
+          <NotificationSettings coins={coins} />
+        </div>
+
+        {/* Upstream provider health (backend circuit breakers) */}
+        <div style={{ marginBottom: '20px' }}>
+          <h3 style={{ color: '#f39c12', marginBottom: '10px' }}>
+            🩺 Provider Health
+          </h3>
+          <ProviderHealthPanel />
+        </div>
+
         {/* Rate Limits Warning */}
         <div style={{
           background: '#f39c12',
@@ -71,19 +71,30 @@ const retryRequest = async (requestFn, maxRetries = 3, delay = 2000) => {
   }
 };
 
+// Render only sleeps after ~15 idle minutes - no need to wake it while it keeps answering
+const BACKEND_AWAKE_MS = 5 * 60 * 1000;
+let backendAwakeUntil = 0;
+
+const markBackendAwake = () => {
+    backendAwakeUntil = Date.now() + BACKEND_AWAKE_MS;
+};
+
 // Wake up Render backend to avoid cold start delays
 const wakeUpBackend = async (apiUrl) => {
+    if (Date.now() < backendAwakeUntil) return;
     try {
-        console.log(`🔥 Waking up backend at: ${apiUrl}/test`);
+        console.log(`🔥 Waking up backend at: ${apiUrl}/health`);
         const apiClient = createApiClient();
-        await apiClient.get(`${apiUrl}/test`);
+        await apiClient.get(`${apiUrl}/health`);
+        markBackendAwake();
         console.log(`✅ Backend is awake and ready!`);
     } catch (error) {
         console.warn(`⚠️ Backend wake up failed, continuing anyway...`, error.message);
     }
 };
 
-export const fetchMarketData = async (coin) => {
+// `strategy` picks a backend strategy definition, `quote` the quote currency (EUR, BTC...); omitted means the backend default
+export const fetchMarketData = async (coin, strategy, quote) => {
     return retryRequest(async () => {
         const API_BASE_URL = getApiUrls();
         
@@ -93,10 +104,12 @@ export const fetchMarketData = async (coin) => {
         }
         
         const apiClient = createApiClient();
-        console.log(`🚀 Fetching real-time data from: ${API_BASE_URL}/api/getAllIndicators?coin=${coin}`);
+        const query = [`coin=${coin}`, strategy && `strategy=${strategy}`, quote && `quote=${quote}`].filter(Boolean).join('&');
+        console.log(`🚀 Fetching real-time data from: ${API_BASE_URL}/api/getAllIndicators?${query}`);
         
         try {
-            const response = await apiClient.get(`${API_BASE_URL}/api/getAllIndicators?coin=${coin}`);
+            const response = await apiClient.get(`${API_BASE_URL}/api/getAllIndicators?${query}`);
+            markBackendAwake();
             console.log(`✅ API Response received:`, response.status, response.data?.success);
             return response.data.success ? response.data.data : generateFallbackData(coin);
         } catch (error) {
@@ -107,6 +120,68 @@ export const fetchMarketData = async (coin) => {
     });
 };
 
+// No event (not even the backend's 25s ping) for this long means the stream is dead
+const STREAM_STALE_MS = 60 * 1000;
+
+/**
+ * Live indicator updates for one coin over Server-Sent Events.
+ * handlers: onSnapshot(rows), onSignal(logEntry), onAlert(alert), onStatus(live)
+ * onStatus(false) means callers should poll - the stream is down or the backend has no scanner running.
+ * Returns a function that closes the stream.
+ */
+export const subscribeMarketStream = (coin, { strategy, onSnapshot, onSignal, onAlert, onStatus }) => {
+    if (typeof EventSource === 'undefined') {
+        onStatus(false);
+        return () => {};
+    }
+
+    const query = strategy ? `coins=${coin}&strategy=${strategy}` : `coins=${coin}`;
+    const source = new EventSource(`${getApiUrls()}/api/stream?${query}`);
+    let live = false;
+    let scannerLive = false;
+    let staleTimer = null;
+
+    const setLive = (value) => {
+        if (value === live) return;
+        live = value;
+        console.log(value ? `📡 Live stream connected for ${coin}` : `⚠️ Live stream down for ${coin}, polling instead`);
+        onStatus(value);
+    };
+
+    // Every event proves the connection is alive
+    const touch = () => {
+        markBackendAwake();
+        if (scannerLive) setLive(true);
+        clearTimeout(staleTimer);
+        staleTimer = setTimeout(() => setLive(false), STREAM_STALE_MS);
+    };
+
+    const listen = (event, handler) => {
+        source.addEventListener(event, (message) => {
+            touch();
+            if (handler) handler(JSON.parse(message.data));
+        });
+    };
+
+    listen('hello', (hello) => {
+        scannerLive = hello.live;
+        setLive(scannerLive);
+    });
+    listen('ping', null);
+    listen('snapshot', (snapshot) => onSnapshot(snapshot.data));
+    listen('signal', onSignal);
+    listen('alert', onAlert);
+
+    // EventSource reconnects on its own; the next hello brings the status back
+    source.onerror = () => setLive(false);
+
+    onStatus(false);
+    return () => {
+        clearTimeout(staleTimer);
+        source.close();
+    };
+};
+
 export const fetchLogs = async () => {
     return retryRequest(async () => {
         const API_BASE_URL = getApiUrls();
@@ -124,3 +199,151 @@ export const fetchTradeHistory = async () => {
         return response.data.success ? response.data.trades : [];
     });
 };
+
+// Paper trading portfolio (server-side engine)
+export const fetchPortfolio = async () => {
+    return retryRequest(async () => {
+        const API_BASE_URL = getApiUrls();
+        const apiClient = createApiClient();
+        const [summary, positions] = await Promise.all([
+            apiClient.get(`${API_BASE_URL}/api/portfolio`),
+            apiClient.get(`${API_BASE_URL}/api/portfolio/positions`)
+        ]);
+        return {
+            ...summary.data.portfolio,
+            positions: positions.data.positions || []
+        };
+    });
+};
+
+// Orders are not retried - a retry after a timeout could open the position twice
+export const placePaperOrder = async (order) => {
+    const API_BASE_URL = getApiUrls();
+    const apiClient = createApiClient();
+    try {
+        const response = await apiClient.post(`${API_BASE_URL}/api/portfolio/orders`, order);
+        return response.data;
+    } catch (error) {
+        // Backend rejections (400) carry a readable reason
+        if (error.response?.data) return error.response.data;
+        throw error;
+    }
+};
+
+export const resetPaperPortfolio = async () => {
+    const API_BASE_URL = getApiUrls();
+    const apiClient = createApiClient();
+    const response = await apiClient.post(`${API_BASE_URL}/api/portfolio/reset`);
+    return response.data;
+};
+
+// Strategy definitions the backend can evaluate
+export const fetchStrategies = async () => {
+    return retryRequest(async () => {
+        const API_BASE_URL = getApiUrls();
+        const apiClient = createApiClient();
+        const response = await apiClient.get(`${API_BASE_URL}/api/strategies`);
+        return response.data;
+    });
+};
+
+// Historical backtest of the backend signal rules
+export const fetchBacktest = async ({ coin, timeframe, from, to, balance, strategy }) => {
+    const API_BASE_URL = getApiUrls();
+    const apiClient = createApiClient();
+    const params = new URLSearchParams({ coin, timeframe, balance: String(balance) });
+    if (from) params.append('from', from);
+    if (to) params.append('to', to);
+    if (strategy) params.append('strategy', strategy);
+
+    try {
+        const response = await apiClient.get(`${API_BASE_URL}/api/backtest?${params.toString()}`);
+        return response.data;
+    } catch (error) {
+        if (error.response?.data) return error.response.data;
+        throw error;
+    }
+};
+
+// VAPID key for browser push; `configured` is false when the backend has no key pair
+export const fetchPushKey = async () => {
+    const API_BASE_URL = getApiUrls();
+    const apiClient = createApiClient();
+    const response = await apiClient.get(`${API_BASE_URL}/api/notifications/push-key`);
+    return response.data;
+};
+
+// Register a backend notification subscription (webpush, telegram or webhook)
+export const createNotificationSubscription = async (subscription) => {
+    const API_BASE_URL = getApiUrls();
+    const apiClient = createApiClient();
+    const response = await apiClient.post(`${API_BASE_URL}/api/notifications/subscriptions`, subscription);
+    return response.data;
+};
+
+export const deleteNotificationSubscription = async (id) => {
+    const API_BASE_URL = getApiUrls();
+    const apiClient = createApiClient();
+    try {
+        const response = await apiClient.delete(`${API_BASE_URL}/api/notifications/subscriptions/${id}`);
+        return response.data;
+    } catch (error) {
+        // Already gone on the backend (e.g. expired push subscription) - nothing left to delete
+        if (error.response?.status === 404) return { success: true };
+        throw error;
+    }
+};
+
+export const fetchAlerts = async () => {
+    const API_BASE_URL = getApiUrls();
+    const apiClient = createApiClient();
+    const response = await apiClient.get(`${API_BASE_URL}/api/alerts`);
+    return response.data;
+};
+
+// Validation errors come back as { success: false, error } so the form can show them
+export const saveAlert = async (alert, id) => {
+    const API_BASE_URL = getApiUrls();
+    const apiClient = createApiClient();
+    try {
+        const response = id
+            ? await apiClient.put(`${API_BASE_URL}/api/alerts/${id}`, alert)
+            : await apiClient.post(`${API_BASE_URL}/api/alerts`, alert);
+        return response.data;
+    } catch (error) {
+        if (error.response?.data) return error.response.data;
+        throw error;
+    }
+};
+
+export const deleteAlert = async (id) => {
+    const API_BASE_URL = getApiUrls();
+    const apiClient = createApiClient();
+    const response = await apiClient.delete(`${API_BASE_URL}/api/alerts/${id}`);
+    return response.data;
+};
+
+export const fetchProviderHealth = async () => {
+    const API_BASE_URL = getApiUrls();
+    const apiClient = createApiClient();
+    const response = await apiClient.get(`${API_BASE_URL}/api/providers/health`);
+    return response.data;
+};
+
+// Backend readiness report - a 503 (not ready) still carries the report, so it resolves too
+export const fetchBackendReadiness = async () => {
+    const API_BASE_URL = getApiUrls();
+    const apiClient = createApiClient();
+    const response = await apiClient.get(`${API_BASE_URL}/ready`, {
+        validateStatus: status => status === 200 || status === 503
+    });
+    return response.data;
+};
+
+// Backend coin registry: { defaultQuote, quotes, coins: [{ id, name, symbol, exchangeSymbol, pairs, aliases }] }
+export const fetchCoinRegistry = async () => {
+    const API_BASE_URL = getApiUrls();
+    const apiClient = createApiClient();
+    const response = await apiClient.get(`${API_BASE_URL}/api/coins`);
+    return response.data;
+};
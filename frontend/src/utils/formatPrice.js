@@ -0,0 +1,13 @@
+// Isto kao backend: 2 decimale za cijene >= 1, 4 za >= 0.01, inače 8 (DOGE, ETHBTC...)
+export const formatPrice = (value) => {
+  const price = parseFloat(value);
+  if (!Number.isFinite(price)) return '-';
+  const decimals = price >= 1 ? 2 : price >= 0.01 ? 4 : 8;
+  return price.toFixed(decimals);
+};
+
+// "42000.00 USDT" - cijena u quote valuti reda umjesto "$"
+export const formatQuotePrice = (value, quote) => {
+  const formatted = formatPrice(value);
+  return formatted === '-' || !quote ? formatted : `${formatted} ${quote}`;
+};
@@ -0,0 +1,170 @@
+// Browser (Web Notifications) alerts for direction changes + optional service-worker push
+import {
+  fetchPushKey,
+  createNotificationSubscription,
+  deleteNotificationSubscription
+} from '../services/api';
+import { formatQuotePrice } from './formatPrice';
+
+const SETTINGS_KEY = 'notification_settings';
+const PUSH_SUBSCRIPTION_ID_KEY = 'notification_push_subscription_id';
+const WORKER_URL = `${process.env.PUBLIC_URL || ''}/notification-sw.js`;
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: false,
+  push: false,           // also receive backend signals via service-worker push when the tab is closed
+  coins: [],             // empty = every coin
+  timeframes: [],        // empty = every timeframe
+  minConfidence: 60,
+  quietHours: {
+    enabled: false,
+    start: '22:00',
+    end: '07:00'
+  }
+};
+
+export const isNotificationSupported = () => 'Notification' in window;
+
+export const isPushSupported = () => 'serviceWorker' in navigator && 'PushManager' in window;
+
+export const loadNotificationSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    return {
+      ...DEFAULT_NOTIFICATION_SETTINGS,
+      ...saved,
+      quietHours: { ...DEFAULT_NOTIFICATION_SETTINGS.quietHours, ...(saved.quietHours || {}) }
+    };
+  } catch (error) {
+    return DEFAULT_NOTIFICATION_SETTINGS;
+  }
+};
+
+export const saveNotificationSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Local time; ranges like 22:00-07:00 wrap past midnight
+export const isQuietTime = (settings, date = new Date()) => {
+  if (!settings.quietHours.enabled) return false;
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const start = toMinutes(settings.quietHours.start);
+  const end = toMinutes(settings.quietHours.end);
+  return start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+};
+
+export const shouldNotify = (settings, { coin, timeframe, confidence }) => {
+  if (!settings.enabled || !isNotificationSupported() || Notification.permission !== 'granted') return false;
+  if (settings.coins.length > 0 && !settings.coins.includes(coin)) return false;
+  if (settings.timeframes.length > 0 && !settings.timeframes.includes(timeframe)) return false;
+  if ((confidence || 0) < settings.minConfidence) return false;
+  return !isQuietTime(settings);
+};
+
+export const requestNotificationPermission = async () => {
+  if (!isNotificationSupported()) return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  return Notification.requestPermission();
+};
+
+// The same worker shows local notifications and handles backend push messages
+const getWorkerRegistration = async () => {
+  if (!('serviceWorker' in navigator)) return null;
+  try {
+    return await navigator.serviceWorker.register(WORKER_URL);
+  } catch (error) {
+    console.error('❌ Notification service worker registration failed:', error);
+    return null;
+  }
+};
+
+/**
+ * Show a desktop notification for a BotTable direction change if the user's filters allow it.
+ * change: { coin, timeframe, from, to, confidence, price, quote }
+ */
+export const notifyDirectionChange = async (change) => {
+  const settings = loadNotificationSettings();
+  if (!shouldNotify(settings, change)) return false;
+
+  const icon = change.to === 'BUY' ? '🟢' : change.to === 'SELL' ? '🔴' : '🟡';
+  const title = `${icon} ${change.coin.toUpperCase()} ${change.timeframe}: ${change.from} → ${change.to}`;
+  const options = {
+    body: `Confidence ${change.confidence}%${change.price ? ` • Cijena ${formatQuotePrice(change.price, change.quote)}` : ''}`,
+    tag: `${change.coin}_${change.timeframe}`,
+    renotify: true
+  };
+
+  // Through the service worker where possible - it keeps working while the tab is in the background
+  const registration = await getWorkerRegistration();
+  if (registration) {
+    await registration.showNotification(title, options);
+  } else {
+    new Notification(title, options);
+  }
+  return true;
+};
+
+// base64url VAPID key -> Uint8Array for PushManager.subscribe()
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+  const raw = window.atob(base64);
+  return Uint8Array.from([...raw].map(char => char.charCodeAt(0)));
+};
+
+/**
+ * Bring the backend push subscription in line with the settings: (re)subscribe with the current
+ * filters when push is on, unsubscribe when it's off. Returns a status message for the UI.
+ */
+export const syncPushSubscription = async (settings, coinIds) => {
+  const previousId = localStorage.getItem(PUSH_SUBSCRIPTION_ID_KEY);
+  if (previousId) {
+    await deleteNotificationSubscription(previousId);
+    localStorage.removeItem(PUSH_SUBSCRIPTION_ID_KEY);
+  }
+
+  const registration = isPushSupported() ? await getWorkerRegistration() : null;
+  if (!settings.enabled || !settings.push) {
+    const existing = registration && await registration.pushManager.getSubscription();
+    if (existing) await existing.unsubscribe();
+    return 'Push isključen';
+  }
+
+  if (!registration) return 'Browser ne podržava push';
+
+  // Backend only evaluates its own coin list - an empty filter there would mean "every coin"
+  const pushCoins = settings.coins.filter(coin => coinIds.includes(coin));
+  if (settings.coins.length > 0 && pushCoins.length === 0) return 'Odabrani coinovi nisu podržani za push';
+
+  const { configured, publicKey } = await fetchPushKey();
+  if (!configured) return 'Backend nema VAPID ključeve - push nije dostupan';
+
+  const pushSubscription = await registration.pushManager.getSubscription()
+    || await registration.pushManager.subscribe({
+      userVisibleOnly: true,
+      applicationServerKey: urlBase64ToUint8Array(publicKey)
+    });
+
+  const response = await createNotificationSubscription({
+    channel: 'webpush',
+    user: 'dashboard',
+    pushSubscription: pushSubscription.toJSON(),
+    coins: pushCoins,
+    timeframes: settings.timeframes,
+    minConfidence: settings.minConfidence,
+    quietHours: settings.quietHours.enabled ? {
+      start: settings.quietHours.start,
+      end: settings.quietHours.end,
+      utcOffsetMinutes: -new Date().getTimezoneOffset()
+    } : null
+  });
+
+  if (!response.success) return `Push greška: ${response.error}`;
+  localStorage.setItem(PUSH_SUBSCRIPTION_ID_KEY, response.subscription.id);
+  return 'Push aktivan';
+};
@@ -0,0 +1,56 @@
+import { useEffect, useState } from 'react';
+import { fetchCoinRegistry } from '../services/api';
+
+// Coins come only from the backend registry (backend/config/coins.json) - empty and `loading` until /api/coins answers
+export const DEFAULT_REGISTRY = { defaultQuote: 'USDT', quotes: ['USDT'], coins: [], loading: true };
+
+// Render cold starts can take a while - keep asking instead of showing a stale hard-coded list
+const RETRY_MS = 10000;
+
+// One request at a time per page load, shared by every selector
+let registryRequest = null;
+
+const loadRegistry = () => {
+  if (!registryRequest) {
+    registryRequest = fetchCoinRegistry().catch(error => {
+      registryRequest = null;
+      throw error;
+    });
+  }
+  return registryRequest;
+};
+
+export const useCoinRegistry = () => {
+  const [registry, setRegistry] = useState(DEFAULT_REGISTRY);
+
+  useEffect(() => {
+    let active = true;
+    let retryTimer = null;
+    const load = () => {
+      loadRegistry()
+        .then(loaded => {
+          if (active && loaded.coins && loaded.coins.length > 0) setRegistry({ ...loaded, loading: false });
+        })
+        .catch(error => {
+          console.warn(`⚠️ Coin list unavailable, retrying in ${RETRY_MS / 1000}s:`, error.message);
+          if (active) retryTimer = setTimeout(load, RETRY_MS);
+        });
+    };
+    load();
+    return () => {
+      active = false;
+      clearTimeout(retryTimer);
+    };
+  }, []);
+
+  return registry;
+};
+
+export const useCoins = () => useCoinRegistry().coins;
+
+// Quote currencies a coin is traded in (no BTC for bitcoin itself)
+export const getCoinQuotes = (registry, coinId) => {
+  const coin = registry.coins.find(entry => entry.id === coinId);
+  if (!coin || !coin.pairs) return [registry.defaultQuote];
+  return registry.quotes.filter(quote => coin.pairs[quote]);
+};
@@ -0,0 +1,415 @@
+// Technical indicators shared by the backend (signals, backtests) and the frontend - no dependencies, CommonJS.
+// Every function takes series oldest first and returns only the bars with a value, so the last
+// output always belongs to the last input (same convention as the technicalindicators package).
+
+// Indicators of the per-timeframe suite (backend computes them, the dashboard lists them in this order)
+const INDICATORS = [
+  'rsi', 'macd', 'stoch', 'bollinger', 'ema50', 'ema200', 'adx', 'cci', 'willr', 'mom',
+  'obv', 'vwap', 'mfi', 'vwmacd', 'vprofile' // volume based
+];
+
+function sum(values) {
+  return values.reduce((total, value) => total + value, 0);
+}
+
+function sma(values, period) {
+  const result = [];
+  for (let i = period - 1; i < values.length; i++) {
+    result.push(sum(values.slice(i - period + 1, i + 1)) / period);
+  }
+  return result;
+}
+
+// Seeded with the SMA of the first `period` values, then smoothed with k = 2 / (period + 1)
+function ema(values, period) {
+  if (values.length < period) return [];
+  const k = 2 / (period + 1);
+  const result = [sum(values.slice(0, period)) / period];
+  for (let i = period; i < values.length; i++) {
+    result.push(values[i] * k + result[result.length - 1] * (1 - k));
+  }
+  return result;
+}
+
+// Wilder's smoothing (RMA): seeded with the average of the first `period` values, then prev + (value - prev) / period
+function wilder(values, period) {
+  if (values.length < period) return [];
+  const result = [sum(values.slice(0, period)) / period];
+  for (let i = period; i < values.length; i++) {
+    const previous = result[result.length - 1];
+    result.push(previous + (values[i] - previous) / period);
+  }
+  return result;
+}
+
+// Wilder RSI - average gains/losses smoothed over the whole series, not just the first `period` changes
+function rsi(values, period = 14) {
+  const gains = [];
+  const losses = [];
+  for (let i = 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    gains.push(Math.max(change, 0));
+    losses.push(Math.max(-change, 0));
+  }
+
+  const avgGains = wilder(gains, period);
+  const avgLosses = wilder(losses, period);
+  return avgGains.map((avgGain, i) => {
+    if (avgLosses[i] === 0) return avgGain === 0 ? 50 : 100;
+    return 100 - 100 / (1 + avgGain / avgLosses[i]);
+  });
+}
+
+/**
+ * EMA MACD: { MACD, signal, histogram } from the bar where the slow EMA exists.
+ * signal / histogram stay undefined until `signalPeriod` MACD values are available.
+ */
+function macd(values, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+  const slow = ema(values, slowPeriod);
+  const fast = ema(values, fastPeriod).slice(slowPeriod - fastPeriod);
+  const line = slow.map((slowValue, i) => fast[i] - slowValue);
+  const signal = ema(line, signalPeriod);
+  const offset = signalPeriod - 1;
+
+  return line.map((value, i) => {
+    const signalValue = i >= offset ? signal[i - offset] : undefined;
+    return {
+      MACD: value,
+      signal: signalValue,
+      histogram: signalValue === undefined ? undefined : value - signalValue
+    };
+  });
+}
+
+// Highest high / lowest low of the `period` bars ending at `index`
+function range(high, low, index, period) {
+  return {
+    highest: Math.max(...high.slice(index - period + 1, index + 1)),
+    lowest: Math.min(...low.slice(index - period + 1, index + 1))
+  };
+}
+
+// Slow stochastic inputs: %K over `period` bars, %D = SMA(signalPeriod) of %K (undefined until available)
+function stochastic(high, low, close, period = 14, signalPeriod = 3) {
+  const k = [];
+  for (let i = period - 1; i < close.length; i++) {
+    const { highest, lowest } = range(high, low, i, period);
+    k.push(highest === lowest ? 50 : ((close[i] - lowest) / (highest - lowest)) * 100);
+  }
+
+  const d = sma(k, signalPeriod);
+  return k.map((value, i) => ({ k: value, d: i >= signalPeriod - 1 ? d[i - signalPeriod + 1] : undefined }));
+}
+
+// SMA middle band +/- stdDev population standard deviations; pb = position of the close inside the bands
+function bollinger(values, period = 20, stdDev = 2) {
+  const result = [];
+  for (let i = period - 1; i < values.length; i++) {
+    const window = values.slice(i - period + 1, i + 1);
+    const middle = sum(window) / period;
+    const deviation = Math.sqrt(sum(window.map(value => (value - middle) ** 2)) / period);
+    const upper = middle + stdDev * deviation;
+    const lower = middle - stdDev * deviation;
+    result.push({ middle, upper, lower, pb: upper === lower ? 0.5 : (values[i] - lower) / (upper - lower) });
+  }
+  return result;
+}
+
+function trueRanges(high, low, close) {
+  const result = [];
+  for (let i = 1; i < close.length; i++) {
+    result.push(Math.max(high[i] - low[i], Math.abs(high[i] - close[i - 1]), Math.abs(low[i] - close[i - 1])));
+  }
+  return result;
+}
+
+// Average True Range with Wilder smoothing
+function atr(high, low, close, period = 14) {
+  return wilder(trueRanges(high, low, close), period);
+}
+
+/**
+ * Wilder's ADX with the directional indicators: { adx, pdi, mdi }.
+ * TR/+DM/-DM are Wilder-smoothed sums, ADX is the Wilder average of DX.
+ */
+function adx(high, low, close, period = 14) {
+  const tr = trueRanges(high, low, close);
+  const plusDM = [];
+  const minusDM = [];
+  for (let i = 1; i < close.length; i++) {
+    const up = high[i] - high[i - 1];
+    const down = low[i - 1] - low[i];
+    plusDM.push(up > down && up > 0 ? up : 0);
+    minusDM.push(down > up && down > 0 ? down : 0);
+  }
+
+  // Wilder sums: the first is a plain sum, then sum - sum / period + value
+  const smoothSum = (values) => wilder(values, period).map(value => value * period);
+  const trSum = smoothSum(tr);
+  const plusSum = smoothSum(plusDM);
+  const minusSum = smoothSum(minusDM);
+
+  const directional = trSum.map((trValue, i) => {
+    const pdi = trValue === 0 ? 0 : (plusSum[i] / trValue) * 100;
+    const mdi = trValue === 0 ? 0 : (minusSum[i] / trValue) * 100;
+    const dx = pdi + mdi === 0 ? 0 : (Math.abs(pdi - mdi) / (pdi + mdi)) * 100;
+    return { pdi, mdi, dx };
+  });
+
+  const adxValues = wilder(directional.map(entry => entry.dx), period);
+  return adxValues.map((value, i) => {
+    const { pdi, mdi } = directional[i + period - 1];
+    return { adx: value, pdi, mdi };
+  });
+}
+
+// Commodity Channel Index: typical price vs its SMA, scaled by 0.015 x mean absolute deviation
+function cci(high, low, close, period = 20) {
+  const typical = close.map((value, i) => (high[i] + low[i] + value) / 3);
+  const result = [];
+  for (let i = period - 1; i < typical.length; i++) {
+    const window = typical.slice(i - period + 1, i + 1);
+    const mean = sum(window) / period;
+    const meanDeviation = sum(window.map(value => Math.abs(value - mean))) / period;
+    result.push(meanDeviation === 0 ? 0 : (typical[i] - mean) / (0.015 * meanDeviation));
+  }
+  return result;
+}
+
+// Williams %R: 0 at the period high, -100 at the period low
+function williamsR(high, low, close, period = 14) {
+  const result = [];
+  for (let i = period - 1; i < close.length; i++) {
+    const { highest, lowest } = range(high, low, i, period);
+    result.push(highest === lowest ? -50 : ((highest - close[i]) / (highest - lowest)) * -100);
+  }
+  return result;
+}
+
+// Rate of change in % over `period` bars (momentum)
+function roc(values, period = 10) {
+  const result = [];
+  for (let i = period; i < values.length; i++) {
+    result.push(((values[i] - values[i - period]) / values[i - period]) * 100);
+  }
+  return result;
+}
+
+// On-Balance Volume: running total adding volume on up closes and subtracting it on down closes (starts at 0)
+function obv(close, volume) {
+  const result = [];
+  let total = 0;
+  for (let i = 1; i < close.length; i++) {
+    if (close[i] > close[i - 1]) total += volume[i];
+    else if (close[i] < close[i - 1]) total -= volume[i];
+    result.push(total);
+  }
+  return result;
+}
+
+// Volume weighted average of the typical price - cumulative from the first bar, or over the trailing `period` bars
+function vwap(high, low, close, volume, period) {
+  const result = [];
+  for (let i = 0; i < close.length; i++) {
+    if (period && i < period - 1) continue;
+    const from = period ? i - period + 1 : 0;
+    let priceVolume = 0;
+    let totalVolume = 0;
+    for (let j = from; j <= i; j++) {
+      priceVolume += ((high[j] + low[j] + close[j]) / 3) * volume[j];
+      totalVolume += volume[j];
+    }
+    result.push(totalVolume === 0 ? close[i] : priceVolume / totalVolume);
+  }
+  return result;
+}
+
+// Money Flow Index - RSI of the typical price weighted by volume
+function mfi(high, low, close, volume, period = 14) {
+  const typical = close.map((value, i) => (high[i] + low[i] + value) / 3);
+  const positive = [];
+  const negative = [];
+  for (let i = 1; i < typical.length; i++) {
+    const flow = typical[i] * volume[i];
+    positive.push(typical[i] > typical[i - 1] ? flow : 0);
+    negative.push(typical[i] < typical[i - 1] ? flow : 0);
+  }
+
+  const result = [];
+  for (let i = period - 1; i < positive.length; i++) {
+    const positiveFlow = sum(positive.slice(i - period + 1, i + 1));
+    const negativeFlow = sum(negative.slice(i - period + 1, i + 1));
+    if (negativeFlow === 0) result.push(positiveFlow === 0 ? 50 : 100);
+    else result.push(100 - 100 / (1 + positiveFlow / negativeFlow));
+  }
+  return result;
+}
+
+// Volume weighted moving average of the close
+function vwma(close, volume, period) {
+  const result = [];
+  for (let i = period - 1; i < close.length; i++) {
+    const window = volume.slice(i - period + 1, i + 1);
+    const totalVolume = sum(window);
+    const priceVolume = sum(window.map((value, j) => close[i - period + 1 + j] * value));
+    result.push(totalVolume === 0 ? sum(close.slice(i - period + 1, i + 1)) / period : priceVolume / totalVolume);
+  }
+  return result;
+}
+
+// Volume-weighted MACD: VWMA(fast) - VWMA(slow) with an EMA signal line, same shape as `macd`
+function vwmacd(close, volume, fastPeriod = 12, slowPeriod = 26, signalPeriod = 9) {
+  const slow = vwma(close, volume, slowPeriod);
+  const fast = vwma(close, volume, fastPeriod).slice(slowPeriod - fastPeriod);
+  const line = slow.map((slowValue, i) => fast[i] - slowValue);
+  const signal = ema(line, signalPeriod);
+  const offset = signalPeriod - 1;
+
+  return line.map((value, i) => {
+    const signalValue = i >= offset ? signal[i - offset] : undefined;
+    return {
+      MACD: value,
+      signal: signalValue,
+      histogram: signalValue === undefined ? undefined : value - signalValue
+    };
+  });
+}
+
+/**
+ * Volume traded per price level: every candle's volume is spread evenly over the part of its
+ * high-low range that falls into each of `rows` equal price bins.
+ * Returns { poc, valueAreaHigh, valueAreaLow, rows: [{ low, high, volume }] } or null without volume -
+ * poc is the middle of the busiest bin, the value area grows from it towards the busier neighbour
+ * until it holds `valueAreaPercent` of the volume.
+ */
+function volumeProfile(high, low, volume, rows = 24, valueAreaPercent = 0.7) {
+  const totalVolume = sum(volume);
+  if (high.length === 0 || totalVolume === 0) return null;
+
+  const top = Math.max(...high);
+  const bottom = Math.min(...low);
+  const step = (top - bottom) / rows || 1;
+  const bins = Array.from({ length: rows }, (_, i) => ({ low: bottom + i * step, high: bottom + (i + 1) * step, volume: 0 }));
+
+  high.forEach((candleHigh, i) => {
+    const candleLow = low[i];
+    const first = Math.min(rows - 1, Math.floor((candleLow - bottom) / step));
+    const last = Math.min(rows - 1, Math.floor((candleHigh - bottom) / step));
+    const span = candleHigh - candleLow;
+    for (let b = first; b <= last; b++) {
+      const overlap = span === 0 ? 1 : (Math.min(candleHigh, bins[b].high) - Math.max(candleLow, bins[b].low)) / span;
+      bins[b].volume += volume[i] * (span === 0 ? 1 / (last - first + 1) : overlap);
+    }
+  });
+
+  let poc = 0;
+  bins.forEach((bin, i) => { if (bin.volume > bins[poc].volume) poc = i; });
+
+  let from = poc;
+  let to = poc;
+  let areaVolume = bins[poc].volume;
+  while (areaVolume < totalVolume * valueAreaPercent && (from > 0 || to < rows - 1)) {
+    const below = from > 0 ? bins[from - 1].volume : -1;
+    const above = to < rows - 1 ? bins[to + 1].volume : -1;
+    if (above >= below) areaVolume += bins[++to].volume;
+    else areaVolume += bins[--from].volume;
+  }
+
+  return {
+    poc: (bins[poc].low + bins[poc].high) / 2,
+    valueAreaHigh: bins[to].high,
+    valueAreaLow: bins[from].low,
+    rows: bins
+  };
+}
+
+/**
+ * Fractal swing points: a swing high is the highest high of the `strength` bars on either side
+ * (a tie with an earlier bar doesn't count), a swing low likewise. The last `strength` bars can't be
+ * confirmed yet. Returns [{ index, type: 'high' | 'low', price }] oldest first.
+ */
+function swingPoints(high, low, strength = 3) {
+  const result = [];
+  for (let i = strength; i < high.length - strength; i++) {
+    const left = i - strength;
+    const right = i + strength + 1;
+    if (high[i] === Math.max(...high.slice(left, right)) && high[i] > Math.max(...high.slice(left, i))) {
+      result.push({ index: i, type: 'high', price: high[i] });
+    }
+    if (low[i] === Math.min(...low.slice(left, right)) && low[i] < Math.min(...low.slice(left, i))) {
+      result.push({ index: i, type: 'low', price: low[i] });
+    }
+  }
+  return result;
+}
+
+// Classic (floor) and Fibonacci pivot levels from one completed bar
+function pivotPoints(high, low, close) {
+  const pp = (high + low + close) / 3;
+  const range = high - low;
+  return {
+    classic: {
+      pp,
+      r1: 2 * pp - low,
+      r2: pp + range,
+      r3: high + 2 * (pp - low),
+      s1: 2 * pp - high,
+      s2: pp - range,
+      s3: low - 2 * (high - pp)
+    },
+    fibonacci: {
+      pp,
+      r1: pp + 0.382 * range,
+      r2: pp + 0.618 * range,
+      r3: pp + range,
+      s1: pp - 0.382 * range,
+      s2: pp - 0.618 * range,
+      s3: pp - range
+    }
+  };
+}
+
+/**
+ * Group price levels that lie within `tolerance` of each other (price units) into zones.
+ * A level joins the zone above it while it stays within `tolerance` of the zone's lowest level.
+ * Returns [{ low, high, price, touches }] sorted by price; `price` is the zone's average level.
+ */
+function clusterLevels(levels, tolerance) {
+  const zones = [];
+  [...levels].sort((a, b) => a - b).forEach(level => {
+    const zone = zones[zones.length - 1];
+    if (zone && level - zone.low <= tolerance) {
+      zone.high = level;
+      zone.total += level;
+      zone.touches++;
+    } else {
+      zones.push({ low: level, high: level, total: level, touches: 1 });
+    }
+  });
+  return zones.map(({ low, high, total, touches }) => ({ low, high, price: total / touches, touches }));
+}
+
+module.exports = {
+  INDICATORS,
+  sma,
+  ema,
+  wilder,
+  rsi,
+  macd,
+  stochastic,
+  bollinger,
+  atr,
+  adx,
+  cci,
+  williamsR,
+  roc,
+  obv,
+  vwap,
+  mfi,
+  vwma,
+  vwmacd,
+  volumeProfile,
+  swingPoints,
+  pivotPoints,
+  clusterLevels
+};
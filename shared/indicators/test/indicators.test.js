@@ -0,0 +1,199 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const indicators = require('..');
+
+// Reference RSI(14) series from the StockCharts "RSI" ChartSchool worksheet
+const RSI_CLOSES = [
+  44.3389, 44.0902, 44.1497, 43.6124, 44.3278, 44.8264, 45.0955, 45.4245, 45.8433, 46.0826, 45.8931,
+  46.0328, 45.6140, 46.2820, 46.2820, 46.0028, 46.0328, 46.4116, 46.2222, 45.6439, 46.2122, 46.2521,
+  45.7137, 46.4515, 45.7835, 45.3548, 44.0288, 44.1783, 44.2181, 44.5672, 43.4205, 42.6628, 43.1314
+];
+const RSI_EXPECTED = [
+  70.53, 66.32, 66.55, 69.41, 66.36, 57.97, 62.93, 63.26, 56.06, 62.38,
+  54.71, 50.42, 39.99, 41.46, 41.87, 45.46, 37.30, 33.08, 37.77
+];
+
+// Deterministic OHLC series (trend + two waves) for the multi-input indicators.
+// Expected values were cross-checked against the technicalindicators package.
+const high = [];
+const low = [];
+const close = [];
+const volume = [];
+for (let i = 0; i < 120; i++) {
+  const price = 100 + 10 * Math.sin(i / 7) + i * 0.1 + 3 * Math.cos(i / 3);
+  close.push(+price.toFixed(4));
+  high.push(+(price + 1 + Math.abs(Math.sin(i))).toFixed(4));
+  low.push(+(price - 1 - Math.abs(Math.cos(i))).toFixed(4));
+  volume.push(1000 + Math.round(500 * Math.abs(Math.sin(i / 5))));
+}
+
+const last = values => values[values.length - 1];
+
+function assertClose(actual, expected, tolerance = 1e-6) {
+  assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+}
+
+test('sma averages the trailing window', () => {
+  assert.deepStrictEqual(indicators.sma([1, 2, 3, 4, 5], 3), [2, 3, 4]);
+  assertClose(last(indicators.sma(close, 20)), 111.338635);
+});
+
+test('ema is seeded with the SMA and smoothed with 2 / (period + 1)', () => {
+  // seed (1 + 2 + 3) / 3 = 2, then 4 * 0.5 + 2 * 0.5 = 3, then 5 * 0.5 + 3 * 0.5 = 4
+  assert.deepStrictEqual(indicators.ema([1, 2, 3, 4, 5], 3), [2, 3, 4]);
+  assert.deepStrictEqual(indicators.ema([1, 2], 3), []);
+  assertClose(last(indicators.ema(close, 20)), 109.270506747805);
+});
+
+test('wilder smoothing adds 1 / period of the difference', () => {
+  // seed (2 + 4) / 2 = 3, then 3 + (7 - 3) / 2 = 5
+  assert.deepStrictEqual(indicators.wilder([2, 4, 7], 2), [3, 5]);
+});
+
+test('rsi matches the StockCharts reference values', () => {
+  const values = indicators.rsi(RSI_CLOSES, 14);
+  assert.strictEqual(values.length, RSI_EXPECTED.length);
+  values.forEach((value, i) => assertClose(value, RSI_EXPECTED[i], 0.005));
+});
+
+test('rsi is 100 without losses and 50 on a flat series', () => {
+  assert.strictEqual(last(indicators.rsi([1, 2, 3, 4, 5, 6], 3)), 100);
+  assert.strictEqual(last(indicators.rsi([5, 5, 5, 5, 5], 3)), 50);
+});
+
+test('macd uses EMAs with a real signal line', () => {
+  const values = indicators.macd(close, 12, 26, 9);
+  assert.strictEqual(values.length, close.length - 25);
+  assert.strictEqual(values[0].signal, undefined);
+  assert.strictEqual(values[0].histogram, undefined);
+
+  const value = last(values);
+  assertClose(value.MACD, -2.365730466683);
+  assertClose(value.signal, -0.773972982471);
+  assertClose(value.histogram, -1.591757484213);
+  assert.notStrictEqual(value.histogram, 0);
+});
+
+test('stochastic %D is the 3-bar average of %K', () => {
+  const values = indicators.stochastic(high, low, close, 14, 3);
+  assert.strictEqual(values.length, close.length - 13);
+  assert.strictEqual(values[1].d, undefined);
+
+  const value = last(values);
+  assertClose(value.k, 11.800052624172);
+  assertClose(value.d, 10.706127530993);
+  assert.notStrictEqual(value.k, value.d);
+  assertClose(value.d, (values[values.length - 1].k + values[values.length - 2].k + values[values.length - 3].k) / 3);
+});
+
+test('bollinger bands use the population standard deviation', () => {
+  // mean 5, population deviation 2 -> 5 +/- 4
+  const [band] = indicators.bollinger([2, 4, 4, 4, 5, 5, 7, 9], 8, 2);
+  assert.deepStrictEqual(band, { middle: 5, upper: 9, lower: 1, pb: 1 });
+
+  const value = last(indicators.bollinger(close, 20, 2));
+  assertClose(value.upper, 121.119256131661);
+  assertClose(value.lower, 101.558013868339);
+  assertClose(value.pb, -0.022049410898);
+});
+
+test('atr is the Wilder average of the true range', () => {
+  assertClose(last(indicators.atr(high, low, close, 14)), 3.335249617151);
+});
+
+test('adx matches the Wilder reference', () => {
+  const values = indicators.adx(high, low, close, 14);
+  assert.strictEqual(values.length, close.length - 27);
+  const value = last(values);
+  assertClose(value.adx, 32.828061283595);
+  assertClose(value.pdi, 6.860203958563);
+  assertClose(value.mdi, 27.235600779664);
+});
+
+test('cci, williams %R and roc', () => {
+  assertClose(last(indicators.cci(high, low, close, 20)), -173.140995140697, 1e-5);
+  assertClose(last(indicators.williamsR(high, low, close, 14)), -88.199947375828);
+  assertClose(last(indicators.roc(close, 10)), -10.405778586167);
+  assert.deepStrictEqual(indicators.roc([100, 110, 121], 1), [10, 10]);
+});
+
+test('obv adds volume on up closes and subtracts it on down closes', () => {
+  assert.deepStrictEqual(indicators.obv([10, 11, 11, 9, 12], [5, 10, 20, 30, 40]), [10, 10, -20, 20]);
+  assert.strictEqual(last(indicators.obv(close, volume)), 1597);
+});
+
+test('vwap weights the typical price by volume', () => {
+  // typical prices 2 and 5, volumes 1 and 3 -> (2 + 15) / 4
+  assert.deepStrictEqual(indicators.vwap([3, 6], [1, 4], [2, 5], [1, 3]), [2, 4.25]);
+  assertClose(last(indicators.vwap(high, low, close, volume)), 106.704885104734);
+  assert.strictEqual(indicators.vwap(high, low, close, volume, 20).length, close.length - 19);
+  assertClose(last(indicators.vwap(high, low, close, volume, 20)), 111.244893703813);
+});
+
+test('mfi matches the reference', () => {
+  const values = indicators.mfi(high, low, close, volume, 14);
+  assert.strictEqual(values.length, close.length - 14);
+  assertClose(last(values), 6.8, 0.005);
+});
+
+test('vwmacd is the VWMA spread with an EMA signal line', () => {
+  const values = indicators.vwmacd(close, volume, 12, 26, 9);
+  assert.strictEqual(values.length, close.length - 25);
+  const value = last(values);
+  assertClose(value.MACD, last(indicators.vwma(close, volume, 12)) - last(indicators.vwma(close, volume, 26)));
+  assertClose(value.histogram, value.MACD - value.signal);
+  assertClose(value.histogram, -2.511604742305);
+
+  // equal volumes turn the VWMA into the SMA
+  assert.deepStrictEqual(indicators.vwma([1, 2, 3, 4], [7, 7, 7, 7], 2), indicators.sma([1, 2, 3, 4], 2));
+});
+
+test('volume profile finds the point of control and the 70% value area', () => {
+  const profile = indicators.volumeProfile([3, 3, 5], [1, 1, 3], [10, 10, 40], 4);
+  assert.deepStrictEqual(profile.rows.map(row => row.volume), [10, 10, 20, 20]);
+  assert.strictEqual(profile.poc, 3.5);
+  assert.strictEqual(profile.valueAreaLow, 2);
+  assert.strictEqual(profile.valueAreaHigh, 5);
+
+  const full = indicators.volumeProfile(high, low, volume);
+  assertClose(full.rows.reduce((total, row) => total + row.volume, 0), volume.reduce((total, value) => total + value, 0));
+  assert.ok(full.valueAreaLow <= full.poc && full.poc <= full.valueAreaHigh);
+  assert.strictEqual(indicators.volumeProfile([1], [1], [0]), null);
+});
+
+test('swing points need `strength` lower highs / higher lows on both sides', () => {
+  const swings = indicators.swingPoints([1, 2, 5, 2, 1, 3, 4, 3, 2], [0, 1, 4, 1, 0, 2, 3, 2, 1], 2);
+  assert.deepStrictEqual(swings, [
+    { index: 2, type: 'high', price: 5 },
+    { index: 4, type: 'low', price: 0 },
+    { index: 6, type: 'high', price: 4 }
+  ]);
+  // a flat top only counts once, at its first bar
+  assert.deepStrictEqual(indicators.swingPoints([1, 3, 3, 1, 0], [0, 0, 0, 0, 0], 1).filter(swing => swing.type === 'high'), [
+    { index: 1, type: 'high', price: 3 }
+  ]);
+});
+
+test('classic and fibonacci pivots', () => {
+  // H 110, L 90, C 105 -> PP 101.67, range 20
+  const { classic, fibonacci } = indicators.pivotPoints(110, 90, 105);
+  assertClose(classic.pp, 101.666666666667);
+  assertClose(classic.r1, 113.333333333333);
+  assertClose(classic.s1, 93.333333333333);
+  assertClose(classic.r2, 121.666666666667);
+  assertClose(classic.s2, 81.666666666667);
+  assertClose(classic.r3, 133.333333333333);
+  assertClose(classic.s3, 73.333333333333);
+  assertClose(fibonacci.r1, 109.306666666667);
+  assertClose(fibonacci.s2, 89.306666666667);
+  assertClose(fibonacci.r3, 121.666666666667);
+});
+
+test('clusterLevels groups nearby levels into zones', () => {
+  assert.deepStrictEqual(indicators.clusterLevels([100, 101, 100.5, 110, 111, 95], 1.5), [
+    { low: 95, high: 95, price: 95, touches: 1 },
+    { low: 100, high: 101, price: 100.5, touches: 3 },
+    { low: 110, high: 111, price: 110.5, touches: 2 }
+  ]);
+  assert.deepStrictEqual(indicators.clusterLevels([], 1), []);
+});